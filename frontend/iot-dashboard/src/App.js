@@ -4,19 +4,44 @@ import './App.css';
 import { Authenticator } from '@aws-amplify/ui-react';
 import '@aws-amplify/ui-react/styles.css';
 import logo from './file.png'; // Asegúrate de que file.png está en src/
-import WebSocketMessages from "./WebSocketMessages";
+import Dashboard from "./components/Dashboard";
+import LanguageSelect from "./components/LanguageSelect";
+import "./i18n/authenticator"; // traduce el Authenticator al idioma activo
+import { useTranslation } from "./hooks/useTranslation";
+import { consumeAuthNotice, subscribeAuthNotice } from "./api/client";
+import { Hub } from "aws-amplify/utils";
+import { getConfig } from "./config/runtimeConfig";
+import { exitSimulator, SIMULATOR_USER } from "./simulator/deviceSimulator";
 
 
 
 
 function App() {
   const [showWelcome, setShowWelcome] = useState(true);
+  const [authNotice, setAuthNotice] = useState(consumeAuthNotice); // p. ej. sesión caducada (401)
+  useTranslation(); // re-render del Authenticator al cambiar de idioma
 
   useEffect(() => {
     const timer = setTimeout(() => setShowWelcome(false), 3000); // Oculta saludo tras 4 segundos
     return () => clearTimeout(timer);
   }, []);
 
+  // Aviso de cierre de sesión forzado: se muestra en el login hasta volver a entrar
+  useEffect(() => {
+    const unsubscribe = subscribeAuthNotice(setAuthNotice);
+    const stopHub = Hub.listen("auth", ({ payload }) => {
+      if (payload.event === "signedIn") setAuthNotice(null);
+    });
+    return () => {
+      unsubscribe();
+      stopHub();
+    };
+  }, []);
+
+  // Modo simulador: sin Cognito, directamente al panel con el usuario de demo
+  if (getConfig().simulator) {
+    return <Dashboard user={SIMULATOR_USER} signOut={exitSimulator} showWelcome={showWelcome} />;
+  }
 
   return (
     <Authenticator
@@ -26,6 +51,7 @@ function App() {
           return (
             <div style={{
               display: 'flex',
+              flexWrap: 'wrap',
               alignItems: 'center',
               justifyContent: 'center',
               padding: '20px',
@@ -35,58 +61,20 @@ function App() {
             }}>
               <img src={logo} alt="logo" style={{ height: '60px', marginRight: '15px' }} />
               <h2 style={{ color: '#22c55e' }}>Smart-Things</h2>
+              <LanguageSelect />
+              {authNotice && (
+                <p style={{ color: '#dc2626', width: '100%', textAlign: 'center' }}>{authNotice}</p>
+              )}
             </div>
           );
         }
       }}
     >
       {({ signOut, user }) => (
-        <div className="App">
-          <header className="App-header">
-            <div className="logo-container">
-              <img src={logo} className="App-logo" alt="logo" />
-              <span className="logo-text">Smart-Things</span>
-            </div>
-            {showWelcome && <h2>Bienvenido, {user.username}!</h2>}
-          </header>
-
-          <main>
-            <h3>Control de dispositivos</h3>
-            <div>
-              <button onClick={() => sendCommand('d_000', 'on')}>🔌 Encender reles</button>
-              <button onClick={() => sendCommand('d_000', 'off')}>⛔ Apagar reles</button>
-            </div>
-            {/* 📩 Aquí mostramos los mensajes del WebSocket */}
-            <WebSocketMessages />
-          </main>
-
-          <button className="logout-button" onClick={signOut}>Cerrar sesión</button>
-        </div>
+        <Dashboard user={user} signOut={signOut} showWelcome={showWelcome} />
       )}
     </Authenticator>
   );
 }
 
-// Function to send commands
-async function sendCommand(deviceId, value) {
-  try {
-    const response = await fetch('https://kl7d93xve4.execute-api.eu-west-1.amazonaws.com/dev/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        deviceId,
-        path: 'k1/set',
-        value
-      })
-    });
-    //const data = await response.json();
-    // alert(`Comando enviado: ${value}`); // Desactivado para interfaz limpia
-  } catch (error) {
-    console.error('Error enviando comando:', error);
-    // alert('Error enviando comando'); // Desactivado para interfaz limpia
-  }
-}
-
 export default App;
@@ -5,6 +5,7 @@ import { Authenticator } from '@aws-amplify/ui-react';
 import '@aws-amplify/ui-react/styles.css';
 import logo from './file.png'; // Asegúrate de que file.png está en src/
 import Amplify, { PubSub } from 'aws-amplify';
+import { getConfig } from './config/runtimeConfig';
 
 
 function App() {
@@ -68,7 +69,7 @@ function App() {
 // Function to send commands
 async function sendCommand(deviceId, value) {
   try {
-    const response = await fetch('https://kl7d93xve4.execute-api.eu-west-1.amazonaws.com/dev/', {
+    const response = await fetch(getConfig().apiUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -95,8 +96,7 @@ function WebSocketMessages() {
   const [messages, setMessages] = useState([]);
 
   useEffect(() => {
-    // ⚠️ Usa tu endpoint WebSocket aquí (wss://...)
-    const ws = new WebSocket('wss://o3ppujthph.execute-api.eu-west-1.amazonaws.com/production');
+    const ws = new WebSocket(getConfig().wsUrl);
 
     ws.onmessage = (event) => {
       try {
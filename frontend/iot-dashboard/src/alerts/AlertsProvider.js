@@ -0,0 +1,48 @@
+// src/alerts/AlertsProvider.js
+import React, { createContext, useContext, useEffect, useState } from "react";
+import { createAlertEngine } from "./alertEngine";
+import { notifyAlert } from "./notifier";
+import { PresenceContext } from "../presence/PresenceProvider";
+import { useTopicSubscription } from "../hooks/useConnection";
+import { usePreferences } from "../hooks/usePreferences";
+import { clearAlerts, loadAlerts, saveAlert } from "../storage/alertStore";
+
+export const AlertsContext = createContext(null);
+
+const alertStore = { save: saveAlert, load: loadAlerts, clear: clearAlerts };
+
+// Evalúa las reglas de alerta del usuario; va dentro de PresenceProvider (reglas "offline")
+export function AlertsProvider({ devices, options, children }) {
+  const presence = useContext(PresenceContext);
+  const { preferences } = usePreferences();
+  const [engine] = useState(() =>
+    createAlertEngine({
+      devices,
+      rules: preferences.alertRules,
+      presence: presence.getSnapshot,
+      store: alertStore,
+      ...options,
+    })
+  );
+
+  useTopicSubscription("#", (data) => engine.handleMessage(data));
+
+  useEffect(() => {
+    engine.setRules(preferences.alertRules);
+  }, [engine, preferences.alertRules]);
+
+  useEffect(() => {
+    engine.restore();
+    engine.start();
+    const stopNotifying = engine.onAlert((alert) => {
+      const device = devices.find((d) => d.id === alert.deviceId);
+      notifyAlert(alert, device && device.name);
+    });
+    return () => {
+      stopNotifying();
+      engine.stop();
+    };
+  }, [engine, devices]);
+
+  return <AlertsContext.Provider value={engine}>{children}</AlertsContext.Provider>;
+}
@@ -0,0 +1,196 @@
+// src/alerts/alertEngine.js
+// Motor de alertas en el navegador: evalúa las reglas del usuario (alertRules.js) con cada
+// mensaje IoT y, cada tickMs, con la presencia de los dispositivos (presenceEngine).
+//
+// Una alerta: { id, key, ruleId, type, deviceId, params, raisedAt, lastAt, count,
+//               status: "active" | "acknowledged" | "snoozed", ackAt, snoozedUntil }
+// - Mientras una alerta sigue activa, si la regla vuelve a saltar solo sube count (sin avisar
+//   otra vez); reconocida, la siguiente vez abre una alerta nueva.
+// - Aplazar (snooze) silencia esa regla para ese dispositivo/topic durante unos minutos; si al
+//   acabar el dispositivo sigue offline, vuelve a avisar.
+import { evaluateMessage, isOfflineTooLong } from "./alertRules";
+
+export const ALERT_DEFAULTS = {
+  tickMs: 5000,
+};
+
+export const SNOOZE_OPTIONS_MIN = [15, 60, 240];
+
+// presence(): estados de presenceEngine.getSnapshot(); store: { save, load, clear } (alertStore)
+export function createAlertEngine({
+  devices,
+  rules = [],
+  presence = () => ({}),
+  store = null,
+  now = Date.now,
+  ...options
+}) {
+  const config = { ...ALERT_DEFAULTS, ...options };
+  const listeners = new Set();
+  const alertListeners = new Set();
+  const snoozes = new Map(); // key → hasta cuándo
+  const offlineSince = new Map(); // deviceId → desde cuándo
+  const raisedOffline = new Set(); // keys ya avisadas en este episodio offline
+  let currentRules = rules;
+  let alerts = []; // la más reciente primero
+  let counter = 0;
+  let timer = null;
+
+  function changed() {
+    listeners.forEach((l) => l());
+  }
+
+  function persist(alert) {
+    if (store) store.save(alert);
+  }
+
+  function replace(alert) {
+    alerts = alerts.map((a) => (a.id === alert.id ? alert : a));
+    persist(alert);
+    changed();
+  }
+
+  function raise(rule, subject, params) {
+    const t = now();
+    const key = `${rule.id}:${subject}`;
+    if ((snoozes.get(key) || 0) > t) return null;
+
+    const open = alerts.find((a) => a.key === key && a.status === "active");
+    if (open) {
+      replace({ ...open, params, lastAt: t, count: open.count + 1 });
+      return null;
+    }
+
+    counter += 1;
+    const alert = {
+      id: `alert-${t}-${counter}`,
+      key,
+      ruleId: rule.id,
+      type: rule.type,
+      deviceId: devices.some((d) => d.id === subject) ? subject : null,
+      params,
+      raisedAt: t,
+      lastAt: t,
+      count: 1,
+      status: "active",
+      ackAt: null,
+      snoozedUntil: null,
+    };
+    alerts = [alert, ...alerts];
+    persist(alert);
+    changed();
+    alertListeners.forEach((l) => l(alert));
+    return alert;
+  }
+
+  function findDevice(topic) {
+    return devices.find((d) => topic.startsWith(`${d.topicPrefix}/`)) || null;
+  }
+
+  const engine = {
+    config,
+
+    setRules(next) {
+      currentRules = next;
+    },
+
+    handleMessage(data) {
+      if (!data || !data.topic) return;
+      const device = findDevice(data.topic);
+      const date = new Date(now());
+      currentRules.forEach((rule) => {
+        const params = evaluateMessage(rule, data, device, date);
+        if (params) raise(rule, device ? device.id : data.topic, params);
+      });
+    },
+
+    // Reglas "offline": se mide desde la última vez que se vio el dispositivo
+    tick() {
+      const t = now();
+      const states = presence();
+      devices.forEach((device) => {
+        const state = states[device.id];
+        if (!state || state.status !== "offline") {
+          offlineSince.delete(device.id);
+          raisedOffline.forEach(
+            (key) => key.endsWith(`:${device.id}`) && raisedOffline.delete(key)
+          );
+          return;
+        }
+        if (!offlineSince.has(device.id)) offlineSince.set(device.id, state.lastSeen || t);
+        const since = offlineSince.get(device.id);
+
+        currentRules.forEach((rule) => {
+          const key = `${rule.id}:${device.id}`;
+          if (raisedOffline.has(key) || !isOfflineTooLong(rule, device, since, t)) return;
+          if ((snoozes.get(key) || 0) > t) return;
+          raisedOffline.add(key);
+          raise(rule, device.id, { minutes: rule.minutes, since });
+        });
+      });
+    },
+
+    acknowledge(alertId) {
+      const alert = alerts.find((a) => a.id === alertId);
+      if (!alert || alert.status === "acknowledged") return;
+      replace({ ...alert, status: "acknowledged", ackAt: now() });
+    },
+
+    snooze(alertId, minutes) {
+      const alert = alerts.find((a) => a.id === alertId);
+      if (!alert) return;
+      const until = now() + minutes * 60000;
+      snoozes.set(alert.key, until);
+      raisedOffline.delete(alert.key);
+      replace({ ...alert, status: "snoozed", snoozedUntil: until });
+    },
+
+    // Recupera el historial guardado (y los aplazamientos aún vigentes)
+    async restore() {
+      if (!store) return;
+      const stored = await store.load();
+      const known = new Set(alerts.map((a) => a.id));
+      const t = now();
+      stored.forEach((a) => {
+        if (a.snoozedUntil && a.snoozedUntil > t) {
+          snoozes.set(a.key, Math.max(snoozes.get(a.key) || 0, a.snoozedUntil));
+        }
+      });
+      const restored = stored.filter((a) => !known.has(a.id)).reverse();
+      alerts = [...alerts, ...restored].sort((a, b) => b.raisedAt - a.raisedAt);
+      changed();
+    },
+
+    clearHistory() {
+      alerts = [];
+      if (store) store.clear();
+      changed();
+    },
+
+    start() {
+      if (!timer) timer = setInterval(() => engine.tick(), config.tickMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // listener(alert) solo con cada alerta nueva (para toasts y notificaciones)
+    onAlert(listener) {
+      alertListeners.add(listener);
+      return () => alertListeners.delete(listener);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot() {
+      return alerts;
+    },
+  };
+
+  return engine;
+}
@@ -0,0 +1,181 @@
+import { createAlertEngine } from "./alertEngine";
+import { createRule, isWithinSchedule } from "./alertRules";
+import { normalizeDevice } from "../config/devices";
+import { setLanguage } from "../i18n/i18n";
+
+const device = normalizeDevice({ id: "d_000", model: "mod_1x1", relays: 2, name: "Placa" });
+const other = normalizeDevice({ id: "d_001", model: "mod_1x1", relays: 1 });
+const MIN = 60000;
+
+// Hora local fija: 23:30 de un día cualquiera
+const LATE = new Date(2026, 0, 15, 23, 30).getTime();
+
+function setupEngine(rules, { presence = {}, at = LATE } = {}) {
+  let t = at;
+  let states = presence;
+  const saved = [];
+  const engine = createAlertEngine({
+    devices: [device, other],
+    rules: rules.map(createRule),
+    presence: () => states,
+    store: { save: (a) => saved.push(a), load: () => Promise.resolve([]), clear: () => {} },
+    now: () => t,
+  });
+  const raised = [];
+  engine.onAlert((a) => raised.push(a));
+  return {
+    engine,
+    raised,
+    saved,
+    advance: (ms) => (t += ms),
+    setPresence: (next) => (states = next),
+  };
+}
+
+test("valida las reglas del formulario", () => {
+  expect(createRule({ type: "offline", minutes: "5" })).toMatchObject({
+    deviceId: "*",
+    minutes: 5,
+  });
+  expect(() => createRule({ type: "offline", minutes: 0 })).toThrow(/minutos/);
+  expect(() =>
+    createRule({ type: "relayOutsideSchedule", relay: "k1", from: "7", to: "22:00" })
+  ).toThrow(/HH:MM/);
+  expect(() => createRule({ type: "payloadMatch", topic: "a/#/b", match: "x" })).toThrow(/#/);
+  expect(() => createRule({ type: "payloadMatch", match: "(" })).toThrow(/Expresión/);
+  expect(() => createRule({ type: "otra" })).toThrow(/desconocido/);
+});
+
+test("las franjas pueden cruzar medianoche", () => {
+  const at = (h, m) => new Date(2026, 0, 15, h, m);
+  expect(isWithinSchedule(at(7, 0), "07:00", "22:00")).toBe(true);
+  expect(isWithinSchedule(at(22, 0), "07:00", "22:00")).toBe(false);
+  expect(isWithinSchedule(at(23, 30), "22:00", "06:00")).toBe(true);
+  expect(isWithinSchedule(at(6, 0), "22:00", "06:00")).toBe(false);
+});
+
+test("avisa cuando un dispositivo lleva offline más de N minutos, una vez por episodio", () => {
+  const { engine, raised, advance, setPresence } = setupEngine(
+    [{ id: "r1", type: "offline", deviceId: "d_000", minutes: 10 }],
+    { presence: { d_000: { status: "offline", lastSeen: LATE - 5 * MIN } } }
+  );
+
+  engine.tick();
+  expect(raised).toHaveLength(0);
+  advance(5 * MIN);
+  engine.tick();
+  engine.tick();
+  expect(raised).toHaveLength(1);
+  expect(raised[0]).toMatchObject({ type: "offline", deviceId: "d_000", params: { minutes: 10 } });
+
+  // Vuelve y se cae otra vez: episodio nuevo
+  setPresence({ d_000: { status: "online", lastSeen: LATE } });
+  engine.tick();
+  engine.acknowledge(raised[0].id);
+  setPresence({ d_000: { status: "offline", lastSeen: LATE } });
+  advance(10 * MIN);
+  engine.tick();
+  expect(raised).toHaveLength(2);
+});
+
+test("avisa si un relé se enciende fuera de horario", () => {
+  const { engine, raised } = setupEngine([
+    {
+      id: "r1",
+      type: "relayOutsideSchedule",
+      deviceId: "*",
+      relay: "k1",
+      from: "07:00",
+      to: "22:00",
+    },
+  ]);
+  engine.handleMessage({ topic: "mod_1x1/d_000/k1/status", payload: "off" });
+  engine.handleMessage({ topic: "mod_1x1/d_000/k2/status", payload: "on" });
+  expect(raised).toHaveLength(0);
+
+  engine.handleMessage({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  expect(raised[0]).toMatchObject({
+    deviceId: "d_000",
+    params: { relay: "k1", from: "07:00", to: "22:00" },
+  });
+});
+
+test("no avisa si el relé se enciende dentro de la franja", () => {
+  const { engine, raised } = setupEngine(
+    [{ type: "relayOutsideSchedule", deviceId: "d_000", relay: "k1", from: "07:00", to: "22:00" }],
+    { at: new Date(2026, 0, 15, 12, 0).getTime() }
+  );
+  engine.handleMessage({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  expect(raised).toHaveLength(0);
+});
+
+test("los mensajes que coinciden se agrupan mientras la alerta sigue activa", () => {
+  const { engine, raised } = setupEngine([
+    { id: "r1", type: "payloadMatch", topic: "mod_1x1/+/answerInfo", match: "error|fail" },
+  ]);
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "hi!" });
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "ERROR sensor" });
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "fail again" });
+
+  expect(raised).toHaveLength(1);
+  expect(engine.getSnapshot()[0]).toMatchObject({ count: 2, params: { payload: "fail again" } });
+
+  engine.acknowledge(raised[0].id);
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "error" });
+  expect(raised).toHaveLength(2);
+  expect(engine.getSnapshot().map((a) => a.status)).toEqual(["active", "acknowledged"]);
+});
+
+test("aplazar silencia la regla hasta que vence y guarda el historial", () => {
+  const { engine, raised, saved, advance } = setupEngine([
+    { id: "r1", type: "payloadMatch", topic: "#", match: "alarm" },
+  ]);
+  engine.handleMessage({ topic: "mod_1x1/d_001/hb", payload: "alarm" });
+  engine.snooze(raised[0].id, 15);
+  expect(engine.getSnapshot()[0]).toMatchObject({
+    status: "snoozed",
+    snoozedUntil: LATE + 15 * MIN,
+  });
+
+  advance(10 * MIN);
+  engine.handleMessage({ topic: "mod_1x1/d_001/hb", payload: "alarm" });
+  expect(raised).toHaveLength(1);
+
+  advance(5 * MIN);
+  engine.handleMessage({ topic: "mod_1x1/d_001/hb", payload: "alarm" });
+  expect(raised).toHaveLength(2);
+  expect(saved.map((a) => a.status)).toEqual(["active", "snoozed", "active"]);
+});
+
+test("recupera el historial y los aplazamientos vigentes", async () => {
+  const engine = createAlertEngine({
+    devices: [device],
+    rules: [createRule({ id: "r1", type: "payloadMatch", topic: "#", match: "x" })],
+    store: {
+      save: () => {},
+      load: () =>
+        Promise.resolve([
+          { id: "a1", key: "r1:d_000", raisedAt: 1, status: "snoozed", snoozedUntil: LATE + MIN },
+        ]),
+    },
+    now: () => LATE,
+  });
+  await engine.restore();
+  expect(engine.getSnapshot()).toHaveLength(1);
+  engine.handleMessage({ topic: "mod_1x1/d_000/hb", payload: "x" });
+  expect(engine.getSnapshot()).toHaveLength(1);
+});
+
+test("los errores de las reglas salen en el idioma activo", () => {
+  setLanguage("en");
+  try {
+    expect(() => createRule({ type: "offline", minutes: 0 })).toThrow(
+      "Minutes must be a number greater than 0"
+    );
+    expect(() => createRule({ type: "payloadMatch", topic: "a/#/b", match: "x" })).toThrow(
+      "Invalid topic pattern (# only as the last level): a/#/b"
+    );
+  } finally {
+    setLanguage("es");
+  }
+});
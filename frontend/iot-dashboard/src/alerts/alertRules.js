@@ -0,0 +1,99 @@
+// src/alerts/alertRules.js
+// Reglas de alerta que define cada usuario (se guardan en sus preferencias):
+//
+//   { id, type: "offline", deviceId: "d_000" | "*", minutes: 10 }
+//       el dispositivo lleva más de N minutos offline (según la presencia)
+//   { id, type: "relayOutsideSchedule", deviceId: "d_000" | "*", relay: "k1", from: "07:00", to: "22:00" }
+//       el relé se ha encendido (kN/status "on") fuera de la franja; si to < from cruza medianoche
+//   { id, type: "payloadMatch", topic: "mod_1x1/+/answerInfo", match: "error|fail" }
+//       un mensaje de un topic que encaja con el patrón MQTT trae un payload que cumple la
+//       expresión regular (sin distinguir mayúsculas)
+import { parseOnOff } from "../lib/relayState";
+import { matchTopic, validatePattern } from "../connection/topicRouter";
+import { t } from "../i18n/i18n";
+
+export const RULE_TYPES = ["offline", "relayOutsideSchedule", "payloadMatch"];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Expresión de una regla payloadMatch (lanza SyntaxError si no es válida)
+const matcher = (match) => new RegExp(match, "i");
+
+let counter = 0;
+const newRuleId = () => `rule-${Date.now().toString(36)}-${(counter += 1)}`;
+
+// Comprueba y normaliza una regla del formulario; lanza Error con el motivo (en el idioma
+// activo) si no vale
+export function createRule(raw) {
+  const rule = { id: raw.id || newRuleId(), type: raw.type };
+  switch (raw.type) {
+    case "offline": {
+      const minutes = Number(raw.minutes);
+      if (!(minutes > 0)) throw new Error(t("alerts.error.minutes"));
+      return { ...rule, deviceId: raw.deviceId || "*", minutes };
+    }
+    case "relayOutsideSchedule":
+      if (!/^k\d+$/.test(raw.relay || ""))
+        throw new Error(t("alerts.error.relay", { relay: raw.relay }));
+      if (!TIME.test(raw.from || "") || !TIME.test(raw.to || "")) {
+        throw new Error(t("alerts.error.schedule"));
+      }
+      return {
+        ...rule,
+        deviceId: raw.deviceId || "*",
+        relay: raw.relay,
+        from: raw.from,
+        to: raw.to,
+      };
+    case "payloadMatch":
+      validatePattern(raw.topic || "#");
+      if (!raw.match) throw new Error(t("alerts.error.missingMatch"));
+      try {
+        matcher(raw.match);
+      } catch (e) {
+        throw new Error(t("alerts.error.match", { match: raw.match }));
+      }
+      return { ...rule, topic: raw.topic || "#", match: raw.match };
+    default:
+      throw new Error(t("alerts.error.type", { type: raw.type, valid: RULE_TYPES.join(", ") }));
+  }
+}
+
+const minutesOfDay = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+// ¿Cae la hora local de `date` dentro de [from, to)? Con to < from la franja cruza medianoche.
+export function isWithinSchedule(date, from, to) {
+  const m = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOfDay(from);
+  const end = minutesOfDay(to);
+  return start <= end ? m >= start && m < end : m >= start || m < end;
+}
+
+const appliesTo = (rule, device) => rule.deviceId === "*" || rule.deviceId === device.id;
+
+// Reglas de mensaje (no las de presencia): devuelve los parámetros de la alerta o null.
+// data: { topic, payload }; device: el dispositivo del topic (o null si no es de ninguno).
+export function evaluateMessage(rule, data, device, date) {
+  if (rule.type === "relayOutsideSchedule") {
+    if (!device || !appliesTo(rule, device)) return null;
+    if (data.topic !== `${device.topicPrefix}/${rule.relay}/status`) return null;
+    if (parseOnOff(data.payload) !== true) return null;
+    if (isWithinSchedule(date, rule.from, rule.to)) return null;
+    return { relay: rule.relay, from: rule.from, to: rule.to };
+  }
+  if (rule.type === "payloadMatch") {
+    if (!matchTopic(rule.topic, data.topic)) return null;
+    const payload = typeof data.payload === "string" ? data.payload : JSON.stringify(data.payload);
+    return matcher(rule.match).test(payload)
+      ? { topic: data.topic, payload: payload.slice(0, 200) }
+      : null;
+  }
+  return null;
+}
+
+// Regla de presencia: ¿lleva el dispositivo offline al menos rule.minutes desde `since`?
+export function isOfflineTooLong(rule, device, since, nowMs) {
+  return (
+    rule.type === "offline" && appliesTo(rule, device) && nowMs - since >= rule.minutes * 60000
+  );
+}
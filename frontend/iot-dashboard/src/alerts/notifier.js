@@ -0,0 +1,49 @@
+// src/alerts/notifier.js
+// Notificaciones del navegador (Web Notifications API) para las alertas. Solo se muestran con la
+// pestaña oculta: con el panel a la vista ya están los avisos de la propia página (AlertToasts).
+import { t } from "../i18n/i18n";
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+// "default" | "granted" | "denied" | "unsupported"
+export function notificationPermission() {
+  return notificationsSupported() ? window.Notification.permission : "unsupported";
+}
+
+// Hay que pedirlo desde un clic del usuario
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return window.Notification.requestPermission();
+}
+
+// Título y texto de una alerta en el idioma activo
+export function describeAlert(alert, deviceName) {
+  return {
+    title: t(`alerts.title.${alert.type}`, {
+      ...alert.params,
+      device: deviceName || alert.deviceId || "",
+    }),
+    body: t(`alerts.body.${alert.type}`, alert.params),
+  };
+}
+
+export function notifyAlert(alert, deviceName) {
+  if (notificationPermission() !== "granted" || !document.hidden) return;
+  const { title, body } = describeAlert(alert, deviceName);
+  try {
+    const notification = new window.Notification(title, {
+      body,
+      tag: alert.key, // una por regla y dispositivo: la nueva sustituye a la anterior
+      icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    // Android Chrome solo permite notificaciones desde el service worker
+    console.warn("No se pudo mostrar la notificación", e);
+  }
+}
@@ -0,0 +1,127 @@
+// src/api/client.js
+// Cliente HTTP común: añade el ID token de Cognito a cada petición y, si la API
+// responde 401/403 incluso tras refrescar el token, cierra la sesión con un aviso.
+import { fetchAuthSession, signOut } from "aws-amplify/auth";
+import { presignUrl } from "@aws-amplify/core/internals/aws-client-utils";
+import { getConfig } from "../config/runtimeConfig";
+import { t } from "../i18n/i18n";
+
+const AUTH_NOTICE_KEY = "smart-things:auth-notice";
+const noticeListeners = new Set();
+
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+// La petición no llegó a la API (sin red, DNS, servidor caído...): fetch rechaza y no hay
+// respuesta. Solo este error cuenta como "sin conexión"; los HTTP son ApiError.
+export class NetworkError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "NetworkError";
+    this.cause = cause;
+  }
+}
+
+// ID token actual (Amplify lo refresca solo si ha caducado); null si no hay sesión
+export async function getIdToken({ forceRefresh = false } = {}) {
+  try {
+    const { tokens } = await fetchAuthSession({ forceRefresh });
+    return tokens && tokens.idToken ? tokens.idToken.toString() : null;
+  } catch (e) {
+    console.error("No se pudo obtener la sesión de Cognito", e);
+    return null;
+  }
+}
+
+// URL del WebSocket con el token en la query (API Gateway no admite cabeceras en el handshake)
+export async function getSocketUrl() {
+  const { wsUrl } = getConfig();
+  const token = await getIdToken();
+  if (!token) return wsUrl;
+  const url = new URL(wsUrl);
+  url.searchParams.set("token", token);
+  return url.toString();
+}
+
+// URL de MQTT sobre WebSocket de AWS IoT Core firmada (SigV4) con las credenciales temporales
+// del identity pool de Cognito. Se firma en cada conexión porque caducan.
+export async function getMqttUrl() {
+  const { iotEndpoint, iotRegion } = getConfig();
+  const { credentials } = await fetchAuthSession();
+  if (!credentials) throw new Error("Sin credenciales de AWS para conectar con AWS IoT");
+  return presignUrl(
+    { method: "GET", url: new URL(`wss://${iotEndpoint}/mqtt`) },
+    { credentials, signingRegion: iotRegion, signingService: "iotdevicegateway" }
+  ).toString();
+}
+
+// Aviso que se muestra en la pantalla de login tras un cierre de sesión forzado.
+// Se guarda en sessionStorage para sobrevivir a una recarga.
+export function subscribeAuthNotice(listener) {
+  noticeListeners.add(listener);
+  return () => noticeListeners.delete(listener);
+}
+
+export function consumeAuthNotice() {
+  const notice = sessionStorage.getItem(AUTH_NOTICE_KEY);
+  if (notice) sessionStorage.removeItem(AUTH_NOTICE_KEY);
+  return notice;
+}
+
+// Cierra la sesión dejando un aviso para la pantalla de login (401/403, inactividad...)
+export async function forceSignOut(message) {
+  sessionStorage.setItem(AUTH_NOTICE_KEY, message);
+  noticeListeners.forEach((l) => l(message));
+  try {
+    await signOut();
+  } catch (e) {
+    console.error("Error cerrando sesión", e);
+  }
+}
+
+// Lanza NetworkError si fetch rechaza
+async function request(path, { method, body, headers }, token) {
+  const url = `${getConfig().apiUrl}${path}`;
+  const init = {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: token }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  };
+  try {
+    return await fetch(url, init);
+  } catch (e) {
+    throw new NetworkError(e.message, e);
+  }
+}
+
+// Lanza ApiError si la respuesta no es 2xx y NetworkError si no hay respuesta
+export async function apiFetch(path = "", { method = "GET", body, headers } = {}) {
+  let response = await request(path, { method, body, headers }, await getIdToken());
+
+  // Token rechazado: un reintento con token recién refrescado antes de rendirse
+  if (response.status === 401) {
+    response = await request(
+      path,
+      { method, body, headers },
+      await getIdToken({ forceRefresh: true })
+    );
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    await forceSignOut(t(response.status === 401 ? "auth.sessionExpired" : "auth.forbidden"));
+    throw new ApiError(`HTTP ${response.status}`, response.status);
+  }
+  if (!response.ok) {
+    throw new ApiError(`HTTP ${response.status}`, response.status);
+  }
+  return response;
+}
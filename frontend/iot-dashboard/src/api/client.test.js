@@ -0,0 +1,52 @@
+import { fetchAuthSession, signOut } from "aws-amplify/auth";
+import { apiFetch, ApiError, consumeAuthNotice, getSocketUrl } from "./client";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: jest.fn(),
+  signOut: jest.fn(() => Promise.resolve()),
+}));
+
+// dev no trae wsUrl por defecto
+jest.mock("../config/runtimeConfig", () => {
+  const actual = jest.requireActual("../config/runtimeConfig");
+  return { ...actual, getConfig: () => ({ ...actual.getConfig(), wsUrl: "wss://ws.example/dev" }) };
+});
+
+const session = (token) => ({ tokens: { idToken: { toString: () => token } } });
+
+beforeEach(() => {
+  fetchAuthSession.mockReset();
+  signOut.mockClear();
+  fetchAuthSession.mockImplementation(({ forceRefresh }) =>
+    Promise.resolve(session(forceRefresh ? "fresh-token" : "old-token"))
+  );
+});
+
+test("añade el ID token de Cognito a la petición", async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+  await apiFetch("", { method: "POST", body: { deviceId: "d_000" } });
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe("old-token");
+});
+
+test("ante un 401 reintenta con el token refrescado", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce({ ok: false, status: 401 })
+    .mockResolvedValueOnce({ ok: true, status: 200 });
+  await apiFetch("", { method: "POST" });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe("fresh-token");
+  expect(signOut).not.toHaveBeenCalled();
+});
+
+test("un 403 cierra la sesión con un aviso", async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 403 }));
+  await expect(apiFetch("", { method: "POST" })).rejects.toEqual(expect.any(ApiError));
+  expect(signOut).toHaveBeenCalled();
+  expect(consumeAuthNotice()).toMatch(/permiso/);
+  expect(consumeAuthNotice()).toBeNull();
+});
+
+test("el WebSocket lleva el token en la query", async () => {
+  expect(await getSocketUrl()).toMatch(/\?token=old-token$/);
+});
@@ -0,0 +1,25 @@
+// src/api/commands.js
+import { can, commandPermission, getCurrentRole } from "../auth/roles";
+import { deviceTopic } from "../config/devices";
+import { getActiveTransport, postCommand } from "../connection/transport";
+
+export class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermissionError";
+  }
+}
+
+// Publica `value` en <topicPrefix>/<path> por el transporte activo (POST a la API o MQTT).
+// Lanza si no se puede enviar para que el llamante marque el comando como fallido,
+// y sin llegar a enviarlo si el rol actual no tiene permiso para ese comando.
+export async function sendCommand(device, path, value, correlationId) {
+  const role = getCurrentRole();
+  if (!can(role, commandPermission(path))) {
+    throw new PermissionError(`El rol ${role} no puede enviar ${path}`);
+  }
+  // Sin panel montado (p. ej. en los tests) se usa el POST de siempre
+  const transport = getActiveTransport();
+  const publish = transport ? transport.publish : postCommand;
+  return publish(deviceTopic(device, path), value, { deviceId: device.id, path, correlationId });
+}
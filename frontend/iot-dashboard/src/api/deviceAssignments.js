@@ -0,0 +1,105 @@
+// src/api/deviceAssignments.js
+// Servicio de asignación: qué dispositivos puede ver cada usuario de Cognito (por su sub).
+//   createApiDeviceAssignments()  → GET users/<sub>/devices en la API de comandos
+//   createMockDeviceAssignments() → en memoria, para tests y desarrollo local
+// Los dos devuelven { getUserDevices(userSub) } → Promise<[dispositivo normalizado]> y
+// { setUserDevices(userSub, deviceIds) } (PUT users/<sub>/devices) para los administradores.
+// Sin red, la API devuelve la última lista recibida (para abrir el panel offline).
+import { apiFetch, NetworkError } from "./client";
+import { PermissionError } from "./commands";
+import { can, getCurrentRole } from "../auth/roles";
+import { DEVICES, normalizeDevice } from "../config/devices";
+import { getConfig } from "../config/runtimeConfig";
+import { loadLastDevices, saveLastDevices } from "../storage/lastKnownStore";
+import { getSimulator } from "../simulator/deviceSimulator";
+
+// Acepta [..] o { devices: [..] }; las entradas mal definidas se descartan con un aviso
+export function parseDeviceList(body) {
+  const list = Array.isArray(body) ? body : (body && body.devices) || [];
+  return list.flatMap((raw) => {
+    try {
+      return [normalizeDevice(raw)];
+    } catch (e) {
+      console.warn(e.message);
+      return [];
+    }
+  });
+}
+
+export function createApiDeviceAssignments() {
+  return {
+    async getUserDevices(userSub) {
+      let response;
+      try {
+        response = await apiFetch(`users/${encodeURIComponent(userSub)}/devices`);
+      } catch (e) {
+        // Solo sin red (NetworkError); los errores HTTP (ApiError) no usan la copia
+        const cached = e instanceof NetworkError && loadLastDevices(userSub);
+        if (!cached) throw e;
+        console.warn("Sin conexión: se usa la última lista de dispositivos", e);
+        return parseDeviceList(cached);
+      }
+      const devices = parseDeviceList(await response.json());
+      saveLastDevices(userSub, devices);
+      return devices;
+    },
+
+    async setUserDevices(userSub, deviceIds) {
+      await apiFetch(`users/${encodeURIComponent(userSub)}/devices`, {
+        method: "PUT",
+        body: { devices: deviceIds },
+      });
+    },
+  };
+}
+
+// assignments: { [sub]: ["d_000", ...] }; "*" aplica a cualquier usuario sin entrada propia.
+// Sin assignments, todos los usuarios ven el registro completo.
+export function createMockDeviceAssignments({ assignments, devices = DEVICES, delayMs = 0 } = {}) {
+  const byId = new Map(devices.map((d) => [d.id, d]));
+  const wait = () => delayMs && new Promise((resolve) => setTimeout(resolve, delayMs));
+
+  return {
+    async getUserDevices(userSub) {
+      await wait();
+      if (!assignments) return devices;
+      const ids = assignments[userSub] || assignments["*"] || [];
+      return ids.map((id) => byId.get(id)).filter(Boolean);
+    },
+
+    // Sin asignaciones previas, el resto de usuarios sigue viendo el registro completo
+    async setUserDevices(userSub, deviceIds) {
+      await wait();
+      assignments = {
+        ...(assignments || { "*": devices.map((d) => d.id) }),
+        [userSub]: [...deviceIds],
+      };
+    },
+  };
+}
+
+let service = null;
+
+export function getDeviceAssignments() {
+  if (!service) {
+    const { devicesSource, simulator } = getConfig();
+    if (simulator) {
+      service = createMockDeviceAssignments({ devices: getSimulator().devices, delayMs: 300 });
+    } else {
+      service =
+        devicesSource === "mock"
+          ? createMockDeviceAssignments({ delayMs: 300 })
+          : createApiDeviceAssignments();
+    }
+  }
+  return service;
+}
+
+// Cambia los dispositivos de otro usuario; sin llamar a la API si el rol actual no puede
+export async function assignUserDevices(userSub, deviceIds) {
+  const role = getCurrentRole();
+  if (!can(role, "users:manage")) {
+    throw new PermissionError(`El rol ${role} no puede asignar dispositivos`);
+  }
+  return getDeviceAssignments().setUserDevices(userSub, deviceIds);
+}
@@ -0,0 +1,126 @@
+import {
+  assignUserDevices,
+  createApiDeviceAssignments,
+  createMockDeviceAssignments,
+  parseDeviceList,
+} from "./deviceAssignments";
+import { NetworkError } from "./client";
+import { normalizeDevice } from "../config/devices";
+import { setCurrentRole } from "../auth/roles";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+}));
+
+const registry = [
+  { id: "d_000", model: "mod_1x1", relays: 1 },
+  { id: "d_001", model: "mod_2x2", relays: 4 },
+].map(normalizeDevice);
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("normaliza la lista y descarta entradas sin id o modelo", () => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const devices = parseDeviceList({
+    devices: [{ id: "d_001", model: "mod_2x2", relays: 4 }, { id: "d_002" }],
+  });
+  expect(devices).toEqual([
+    {
+      id: "d_001",
+      model: "mod_2x2",
+      name: "d_001",
+      relays: 4,
+      topicPrefix: "mod_2x2/d_001",
+      critical: [],
+      notes: "optional",
+    },
+  ]);
+  expect(console.warn).toHaveBeenCalledTimes(1);
+  console.warn.mockRestore();
+});
+
+test("el mock devuelve solo los dispositivos asignados al usuario", async () => {
+  const service = createMockDeviceAssignments({
+    devices: registry,
+    assignments: { "user-123": ["d_001", "d_999"], "*": ["d_000"] },
+  });
+  expect((await service.getUserDevices("user-123")).map((d) => d.id)).toEqual(["d_001"]);
+  expect((await service.getUserDevices("otro")).map((d) => d.id)).toEqual(["d_000"]);
+});
+
+test("el mock sin asignaciones devuelve todo el registro, y vacío si no hay comodín", async () => {
+  expect(await createMockDeviceAssignments({ devices: registry }).getUserDevices("x")).toBe(
+    registry
+  );
+  const none = createMockDeviceAssignments({ devices: registry, assignments: {} });
+  expect(await none.getUserDevices("x")).toEqual([]);
+});
+
+test("la API pide los dispositivos del usuario por su sub", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve([{ id: "d_000", model: "mod_1x1", name: "Placa principal" }]),
+    })
+  );
+  const devices = await createApiDeviceAssignments().getUserDevices("abc/123");
+  expect(global.fetch.mock.calls[0][0]).toMatch(/users\/abc%2F123\/devices$/);
+  expect(devices[0]).toMatchObject({ id: "d_000", name: "Placa principal", relays: 1 });
+});
+
+test("sin red la API devuelve la última lista recibida", async () => {
+  window.localStorage.clear();
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const service = createApiDeviceAssignments();
+  global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+  await expect(service.getUserDevices("abc")).rejects.toThrow(NetworkError);
+
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(registry) })
+  );
+  await service.getUserDevices("abc");
+
+  global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+  expect(await service.getUserDevices("abc")).toEqual(registry);
+  await expect(service.getUserDevices("otro")).rejects.toThrow(NetworkError);
+  console.warn.mockRestore();
+});
+
+test("un error que no es de red no usa la copia", async () => {
+  window.localStorage.clear();
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const service = createApiDeviceAssignments();
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(registry) })
+  );
+  await service.getUserDevices("abc");
+
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500 }));
+  await expect(service.getUserDevices("abc")).rejects.toThrow("HTTP 500");
+  console.warn.mockRestore();
+});
+
+test("un admin asigna dispositivos con PUT y el mock los aplica", async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+  await createApiDeviceAssignments().setUserDevices("abc", ["d_001"]);
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toMatch(/users\/abc\/devices$/);
+  expect(init.method).toBe("PUT");
+  expect(JSON.parse(init.body)).toEqual({ devices: ["d_001"] });
+
+  const mock = createMockDeviceAssignments({ devices: registry });
+  await mock.setUserDevices("ana", ["d_001"]);
+  expect((await mock.getUserDevices("ana")).map((d) => d.id)).toEqual(["d_001"]);
+  expect((await mock.getUserDevices("otro")).map((d) => d.id)).toEqual(["d_000", "d_001"]);
+});
+
+test("solo un admin puede asignar dispositivos", async () => {
+  global.fetch = jest.fn();
+  setCurrentRole("operator");
+  await expect(assignUserDevices("abc", ["d_000"])).rejects.toThrow(/operator/);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
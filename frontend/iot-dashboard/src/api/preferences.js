@@ -0,0 +1,23 @@
+// src/api/preferences.js
+// Sincronización opcional de preferencias con el backend (GET/PUT users/<sub>/preferences).
+// Se activa con preferencesSync: true en la configuración (ver config/runtimeConfig.js).
+import { ApiError, apiFetch } from "./client";
+
+export function createApiPreferencesSync() {
+  const path = (userSub) => `users/${encodeURIComponent(userSub)}/preferences`;
+
+  return {
+    async load(userSub) {
+      try {
+        const response = await apiFetch(path(userSub));
+        return await response.json();
+      } catch (e) {
+        if (e instanceof ApiError && e.status === 404) return null; // aún sin guardar
+        throw e;
+      }
+    },
+    async save(userSub, preferences) {
+      await apiFetch(path(userSub), { method: "PUT", body: preferences });
+    },
+  };
+}
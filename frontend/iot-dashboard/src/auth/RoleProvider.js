@@ -0,0 +1,25 @@
+// src/auth/RoleProvider.js
+import React, { createContext, useEffect, useState } from "react";
+import { loadRole, setCurrentRole } from "./roles";
+
+export const RoleContext = createContext(null);
+
+// Mientras se leen los grupos se trata al usuario como viewer (nada se puede accionar)
+export function RoleProvider({ children }) {
+  const [role, setRole] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRole().then((r) => {
+      if (cancelled) return;
+      setCurrentRole(r);
+      setRole(r);
+    });
+    return () => {
+      cancelled = true;
+      setCurrentRole("viewer");
+    };
+  }, []);
+
+  return <RoleContext.Provider value={role}>{children}</RoleContext.Provider>;
+}
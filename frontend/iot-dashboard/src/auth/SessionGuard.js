@@ -0,0 +1,64 @@
+// src/auth/SessionGuard.js
+import React, { useContext, useEffect, useState, useSyncExternalStore } from "react";
+import SessionTimeoutWarning from "../components/SessionTimeoutWarning";
+import { ACTIVITY_KEY, createSessionTimeout, sessionTimeoutMs } from "./sessionTimeout";
+import { ConnectionContext } from "../connection/ConnectionProvider";
+import { forceSignOut } from "../api/client";
+import { getConfig } from "../config/runtimeConfig";
+import { t } from "../i18n/i18n";
+import { useRole } from "../hooks/useRole";
+
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart"];
+
+const idleSnapshot = { status: "active", remainingMs: null };
+const noop = () => () => {};
+
+// Cierra la sesión tras el tiempo de inactividad del rol: primero el WebSocket, luego Amplify.
+// Debe ir dentro de <ConnectionProvider> y <RoleProvider>.
+export function SessionGuard({ children }) {
+  const { role, loading } = useRole();
+  const manager = useContext(ConnectionContext);
+  const [guard, setGuard] = useState(null);
+
+  useEffect(() => {
+    // En modo simulador no hay sesión de Cognito que cerrar
+    if (loading || getConfig().simulator) return undefined;
+    const next = createSessionTimeout({
+      timeoutMs: sessionTimeoutMs(role, getConfig().sessionTimeouts),
+      onExpire: () => {
+        if (manager) manager.close();
+        forceSignOut(t("auth.idle"));
+      },
+    });
+    const onActivity = () => next.activity();
+    // Actividad en otra pestaña: reevaluar ya, sin esperar al siguiente tick
+    const onStorage = (e) => e.key === ACTIVITY_KEY && next.tick();
+
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    window.addEventListener("storage", onStorage);
+    next.start();
+    setGuard(next);
+    return () => {
+      next.stop();
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, onActivity));
+      window.removeEventListener("storage", onStorage);
+    };
+  }, [role, loading, manager]);
+
+  const state = useSyncExternalStore(
+    guard ? guard.subscribe : noop,
+    guard ? guard.getSnapshot : () => idleSnapshot
+  );
+
+  return (
+    <>
+      {children}
+      {state.status === "warning" && (
+        <SessionTimeoutWarning
+          remainingMs={state.remainingMs}
+          onContinue={() => guard.activity({ force: true })}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,71 @@
+// src/auth/roles.js
+// Roles a partir de los grupos de Cognito (claim "cognito:groups" del ID token):
+//   viewer   → ver estado y logs
+//   operator → además, accionar relés y editar programas
+//   admin    → además, asignar dispositivos a los usuarios (users:manage)
+import { fetchAuthSession } from "aws-amplify/auth";
+import { getConfig } from "../config/runtimeConfig";
+import { simulatorSettings } from "../simulator/deviceSimulator";
+
+export const ROLES = ["viewer", "operator", "admin"]; // de menos a más permisos
+
+const GROUP_ROLES = {
+  viewer: "viewer",
+  viewers: "viewer",
+  operator: "operator",
+  operators: "operator",
+  admin: "admin",
+  admins: "admin",
+};
+
+export const PERMISSIONS = {
+  viewer: ["view"],
+  operator: ["view", "relay:switch", "programs:edit"],
+  admin: ["view", "relay:switch", "programs:edit", "users:manage"],
+};
+
+// El rol más alto de los grupos; sin grupos conocidos → viewer
+export function roleFromGroups(groups = []) {
+  return groups
+    .map((g) => GROUP_ROLES[String(g).toLowerCase()])
+    .filter(Boolean)
+    .reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best), "viewer");
+}
+
+export function can(role, permission) {
+  return (PERMISSIONS[role] || []).includes(permission);
+}
+
+// Permiso necesario para cada comando (path) que se envía al dispositivo
+export function commandPermission(path) {
+  if (/^k\d+\/set$/.test(path)) return "relay:switch";
+  if (path === "programs/set" || path === "programs/del") return "programs:edit";
+  return "view"; // askInfo, programs/get...
+}
+
+// Rol de la sesión actual, para el cliente de comandos (fuera de React)
+let currentRole = "viewer";
+
+export function getCurrentRole() {
+  return currentRole;
+}
+
+export function setCurrentRole(role) {
+  currentRole = role;
+}
+
+export async function loadRole() {
+  // En modo simulador no hay grupos de Cognito: el rol sale de la configuración (?simRole=)
+  if (getConfig().simulator) {
+    const { role } = simulatorSettings();
+    return ROLES.includes(role) ? role : "viewer";
+  }
+  try {
+    const { tokens } = await fetchAuthSession();
+    const groups = (tokens && tokens.idToken && tokens.idToken.payload["cognito:groups"]) || [];
+    return roleFromGroups(groups);
+  } catch (e) {
+    console.error("No se pudieron leer los grupos de Cognito", e);
+    return "viewer";
+  }
+}
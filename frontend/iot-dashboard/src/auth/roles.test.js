@@ -0,0 +1,25 @@
+import { can, commandPermission, roleFromGroups } from "./roles";
+
+jest.mock("aws-amplify/auth", () => ({ fetchAuthSession: jest.fn() }));
+
+test("toma el rol más alto de los grupos de Cognito", () => {
+  expect(roleFromGroups(["viewers", "Operators"])).toBe("operator");
+  expect(roleFromGroups(["operator", "admin"])).toBe("admin");
+  expect(roleFromGroups(["otro-grupo"])).toBe("viewer");
+  expect(roleFromGroups()).toBe("viewer");
+});
+
+test("cada rol tiene sus permisos", () => {
+  expect(can("viewer", "view")).toBe(true);
+  expect(can("viewer", "relay:switch")).toBe(false);
+  expect(can("operator", "programs:edit")).toBe(true);
+  expect(can("operator", "users:manage")).toBe(false);
+  expect(can("admin", "users:manage")).toBe(true);
+});
+
+test("asocia cada comando a su permiso", () => {
+  expect(commandPermission("k3/set")).toBe("relay:switch");
+  expect(commandPermission("programs/del")).toBe("programs:edit");
+  expect(commandPermission("programs/get")).toBe("view");
+  expect(commandPermission("askInfo")).toBe("view");
+});
@@ -0,0 +1,108 @@
+// src/auth/sessionTimeout.js
+// Cierre de sesión por inactividad. La última actividad se comparte entre pestañas por
+// localStorage: usar el panel en cualquier pestaña mantiene viva la sesión en todas.
+//   active  → hay actividad reciente
+//   warning → faltan menos de warningMs: se muestra la cuenta atrás
+//   expired → se acabó el tiempo (onExpire se llama una sola vez)
+
+// Minutos de inactividad por rol: quien puede accionar relés caduca antes
+export const SESSION_TIMEOUTS = {
+  viewer: 60,
+  operator: 15,
+  admin: 10,
+};
+
+export const SESSION_DEFAULTS = {
+  warningMs: 60000,
+  tickMs: 1000,
+  activityThrottleMs: 5000, // no escribir en localStorage en cada movimiento de ratón
+};
+
+export const ACTIVITY_KEY = "smart-things:last-activity";
+
+// Minutos → ms según el rol; overrides (p. ej. sessionTimeouts de config.json) tienen prioridad
+export function sessionTimeoutMs(role, overrides = {}) {
+  const minutes = overrides[role] ?? SESSION_TIMEOUTS[role] ?? SESSION_TIMEOUTS.viewer;
+  return minutes * 60000;
+}
+
+export function createSessionTimeout({
+  timeoutMs,
+  onExpire,
+  now = Date.now,
+  storage = window.localStorage,
+  ...options
+}) {
+  const config = { ...SESSION_DEFAULTS, ...options };
+  const listeners = new Set();
+  let timer = null;
+  let lastActivity = now();
+  let state = { status: "active", remainingMs: timeoutMs };
+
+  function set(next) {
+    if (next.status === state.status && next.remainingMs === state.remainingMs) return;
+    state = next;
+    listeners.forEach((l) => l());
+  }
+
+  function readShared() {
+    try {
+      const shared = Number(storage.getItem(ACTIVITY_KEY));
+      if (shared > lastActivity) lastActivity = shared;
+    } catch (e) {
+      // storage no disponible: solo cuenta la actividad de esta pestaña
+    }
+  }
+
+  function tick() {
+    if (state.status === "expired") return;
+    readShared();
+    const remainingMs = Math.max(0, lastActivity + timeoutMs - now());
+    if (remainingMs === 0) {
+      set({ status: "expired", remainingMs: 0 });
+      stop();
+      onExpire();
+      return;
+    }
+    // Redondeado al segundo para no repintar la cuenta atrás más de lo necesario
+    const rounded = Math.ceil(remainingMs / 1000) * 1000;
+    set({ status: remainingMs <= config.warningMs ? "warning" : "active", remainingMs: rounded });
+  }
+
+  // Con la cuenta atrás visible solo cuenta la confirmación explícita (force), no mover el ratón
+  function activity({ force = false } = {}) {
+    if (state.status === "expired" || (state.status === "warning" && !force)) return;
+    const t = now();
+    if (!force && t - lastActivity < config.activityThrottleMs) return;
+    lastActivity = t;
+    try {
+      storage.setItem(ACTIVITY_KEY, String(t));
+    } catch (e) {
+      // idem
+    }
+    tick();
+  }
+
+  function start() {
+    if (timer) return;
+    activity({ force: true });
+    timer = setInterval(tick, config.tickMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    activity,
+    tick,
+    start,
+    stop,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => state,
+  };
+}
@@ -0,0 +1,90 @@
+import { ACTIVITY_KEY, createSessionTimeout, sessionTimeoutMs } from "./sessionTimeout";
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+}
+
+let t;
+const now = () => t;
+
+function setup(options = {}) {
+  const onExpire = jest.fn();
+  const storage = memoryStorage();
+  const guard = createSessionTimeout({
+    timeoutMs: 300000,
+    warningMs: 60000,
+    onExpire,
+    now,
+    storage,
+    ...options,
+  });
+  guard.activity({ force: true });
+  return { guard, onExpire, storage };
+}
+
+beforeEach(() => {
+  t = 1000000;
+});
+
+test("el tiempo de inactividad depende del rol y se puede sobrescribir", () => {
+  expect(sessionTimeoutMs("operator")).toBe(15 * 60000);
+  expect(sessionTimeoutMs("viewer")).toBe(60 * 60000);
+  expect(sessionTimeoutMs("admin", { admin: 5 })).toBe(5 * 60000);
+  expect(sessionTimeoutMs("desconocido")).toBe(60 * 60000);
+});
+
+test("avisa con cuenta atrás y caduca una sola vez", () => {
+  const { guard, onExpire } = setup();
+
+  t += 200000;
+  guard.tick();
+  expect(guard.getSnapshot()).toEqual({ status: "active", remainingMs: 100000 });
+
+  t += 70500;
+  guard.tick();
+  expect(guard.getSnapshot()).toEqual({ status: "warning", remainingMs: 30000 });
+
+  t += 30000;
+  guard.tick();
+  guard.tick();
+  expect(guard.getSnapshot().status).toBe("expired");
+  expect(onExpire).toHaveBeenCalledTimes(1);
+});
+
+test("con el aviso en pantalla solo cuenta la confirmación explícita", () => {
+  const { guard } = setup();
+  t += 250000;
+  guard.tick();
+  guard.activity(); // mover el ratón
+  expect(guard.getSnapshot().status).toBe("warning");
+
+  guard.activity({ force: true }); // "Seguir conectado"
+  expect(guard.getSnapshot()).toEqual({ status: "active", remainingMs: 300000 });
+});
+
+test("la actividad en otra pestaña mantiene viva la sesión", () => {
+  const { guard, onExpire, storage } = setup();
+  t += 290000;
+  storage.setItem(ACTIVITY_KEY, String(t)); // otra pestaña
+  t += 20000;
+  guard.tick();
+  expect(guard.getSnapshot()).toEqual({ status: "active", remainingMs: 280000 });
+  expect(onExpire).not.toHaveBeenCalled();
+});
+
+test("la actividad se agrupa para no escribir en cada evento", () => {
+  const { guard, storage } = setup({ activityThrottleMs: 5000 });
+  const first = storage.getItem(ACTIVITY_KEY);
+  t += 1000;
+  guard.activity();
+  expect(storage.getItem(ACTIVITY_KEY)).toBe(first);
+  t += 5000;
+  guard.activity();
+  expect(storage.getItem(ACTIVITY_KEY)).toBe(String(t));
+});
@@ -0,0 +1,271 @@
+// src/commands/commandTracker.js
+// Seguimiento de comandos enviados: pending → confirmed | failed.
+// Un comando se confirma cuando llega por el WebSocket un mensaje con su
+// correlationId o un status/feedback del mismo relé con el valor pedido.
+//
+// Sin conexión (o si el envío falla por la red) los comandos quedan "queued" en IndexedDB y se
+// envían en orden al volver la conexión, salvo que el usuario los cancele ("cancelled") o
+// hayan caducado ("expired"): un relé accionado horas después puede ser peligroso.
+// La cola es de cada usuario (userId): en una tablet compartida lo que dejó encolado uno no se
+// envía con la sesión del siguiente.
+import { NetworkError } from "../api/client";
+import { sendCommand } from "../api/commands";
+import { deviceTopic } from "../config/devices";
+import { parseOnOff } from "../lib/relayState";
+import { t } from "../i18n/i18n";
+import {
+  deleteQueuedCommand,
+  loadQueuedCommands,
+  saveQueuedCommand,
+} from "../storage/commandQueueStore";
+
+export const COMMAND_TIMEOUT_MS = 10000;
+const MAX_HISTORY = 200;
+
+// Cuánto puede esperar en cola cada tipo de comando. Las lecturas (askInfo, programs/get)
+// no se encolan: se repiten solas al reconectar.
+export const QUEUE_EXPIRY_MS = {
+  relay: 5 * 60 * 1000,
+  programs: 60 * 60 * 1000,
+};
+
+export function queueExpiryMs(path) {
+  if (/^k\d+\/set$/.test(path)) return QUEUE_EXPIRY_MS.relay;
+  if (path === "programs/set" || path === "programs/del") return QUEUE_EXPIRY_MS.programs;
+  return null;
+}
+
+const SETTLED = ["confirmed", "failed", "cancelled", "expired"];
+export const isSettled = (status) => SETTLED.includes(status);
+
+let commands = [];
+const listeners = new Set();
+const timers = new Map();
+let counter = 0;
+let online = true;
+let replaying = false;
+let owner = null; // userId de la sesión actual (lo fija restoreQueue)
+
+function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  counter += 1;
+  return `cmd-${Date.now()}-${counter}`;
+}
+
+function emit() {
+  listeners.forEach((l) => l());
+}
+
+// Recorta el historial a MAX_HISTORY; los que salen ya no se pueden confirmar, así que su
+// temporizador de confirmación se cancela
+function keepHistory(list) {
+  list.slice(MAX_HISTORY).forEach((c) => {
+    clearTimeout(timers.get(c.id));
+    timers.delete(c.id);
+  });
+  return list.slice(0, MAX_HISTORY);
+}
+
+function update(id, changes) {
+  commands = commands.map((c) => (c.id === id ? { ...c, ...changes } : c));
+  emit();
+}
+
+function settle(id, status, error) {
+  const current = commands.find((c) => c.id === id);
+  if (!current || isSettled(current.status)) return;
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  if (current.status === "queued") deleteQueuedCommand(id);
+  update(id, { status, error, settledAt: Date.now() });
+}
+
+// Solo vuelve a la cola lo que no llegó a salir por falta de red (NetworkError del fetch o del
+// socket MQTT); cualquier otro error hace fallar el comando
+const isNetworkError = (error) => error instanceof NetworkError;
+
+function enqueue(entry) {
+  const queued = { ...entry, status: "queued" };
+  saveQueuedCommand(queued);
+  return queued;
+}
+
+function send(entry, timeoutMs) {
+  timers.set(
+    entry.id,
+    setTimeout(() => settle(entry.id, "failed", t("commands.error.noAck")), timeoutMs)
+  );
+
+  return sendCommand(entry.device, entry.path, entry.value, entry.id).catch((error) => {
+    console.error("Error enviando comando:", error);
+    const current = commands.find((c) => c.id === entry.id);
+    if (isNetworkError(error) && entry.expiresAt && current && current.status === "pending") {
+      // Se ha caído la red justo al enviarlo: vuelve a la cola
+      clearTimeout(timers.get(entry.id));
+      timers.delete(entry.id);
+      online = false;
+      update(entry.id, enqueue({ ...current, sentAt: null }));
+      return;
+    }
+    settle(entry.id, "failed", error.message);
+  });
+}
+
+const normalize = (v) => String(v).trim().toLowerCase();
+
+// sameValue "onoff": se comparan como on/off (la placa puede contestar "1" a un "on")
+function sameValue(rule, sent, received) {
+  if (rule.sameValue === "onoff") return parseOnOff(sent) === parseOnOff(received);
+  return normalize(sent) === normalize(received);
+}
+
+// Qué topics confirman cada comando y si el payload debe repetir el valor enviado:
+// relés "kN/set" → kN/status y kN/feedback; programas set/del → programs/ack; get → programs/list.
+function ackRules(device, path) {
+  const relay = path.match(/^(k\d+)\/set$/);
+  if (relay) {
+    return [
+      { topic: deviceTopic(device, relay[1], "status"), sameValue: "onoff" },
+      { topic: deviceTopic(device, relay[1], "feedback"), sameValue: "onoff" },
+    ];
+  }
+  if (path === "programs/set" || path === "programs/del") {
+    return [{ topic: deviceTopic(device, "programs", "ack"), sameValue: true }];
+  }
+  if (path === "programs/get") {
+    return [{ topic: deviceTopic(device, "programs", "list"), sameValue: false }];
+  }
+  return [];
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getSnapshot() {
+  return commands;
+}
+
+// Envía el comando (o lo deja en cola si no hay conexión) y devuelve su id de correlación.
+export function trackCommand(device, path, value, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const id = newId();
+  const now = Date.now();
+  const expiryMs = queueExpiryMs(path);
+  let entry = {
+    id,
+    userId: owner,
+    device,
+    deviceId: device.id,
+    path,
+    value,
+    ackRules: ackRules(device, path),
+    status: "pending",
+    queuedAt: now,
+    expiresAt: expiryMs ? now + expiryMs : null,
+    sentAt: now,
+    settledAt: null,
+    error: null,
+  };
+  if (!online && entry.expiresAt) entry = enqueue({ ...entry, sentAt: null });
+  commands = keepHistory([entry, ...commands]);
+  emit();
+
+  if (entry.status === "pending") send(entry, timeoutMs);
+  return id;
+}
+
+// Solo los que siguen en cola
+export function cancelCommand(id) {
+  const current = commands.find((c) => c.id === id);
+  if (current && current.status === "queued") settle(id, "cancelled");
+}
+
+// El más antiguo en cola del usuario actual
+function nextQueued() {
+  return [...commands].reverse().find((c) => c.status === "queued" && c.userId === owner);
+}
+
+// Envía la cola en orden, uno tras otro; los caducados no se envían
+async function replayQueue() {
+  if (replaying) return;
+  replaying = true;
+  try {
+    for (;;) {
+      const next = nextQueued();
+      if (!next || !online) break;
+      if (Date.now() >= next.expiresAt) {
+        settle(next.id, "expired", t("commands.error.expired"));
+        continue;
+      }
+      deleteQueuedCommand(next.id);
+      const entry = { ...next, status: "pending", sentAt: Date.now() };
+      update(next.id, entry);
+      await send(entry, COMMAND_TIMEOUT_MS);
+    }
+  } finally {
+    replaying = false;
+  }
+}
+
+// Lo llama quien vigila la conexión (useOfflineQueue): al volver, se envía la cola
+export function setOnline(value) {
+  online = value;
+  return online ? replayQueue() : Promise.resolve();
+}
+
+export function isOnline() {
+  return online;
+}
+
+// Recupera la cola guardada del usuario (p. ej. tras recargar la página sin conexión). La de
+// otros usuarios se queda en IndexedDB hasta que vuelvan a entrar (o caduque).
+export async function restoreQueue(userId = null) {
+  owner = userId;
+  const others = commands.filter((c) => c.status === "queued" && c.userId !== owner);
+  if (others.length) {
+    commands = commands.filter((c) => !others.includes(c));
+    emit();
+  }
+  const stored = await loadQueuedCommands();
+  const known = new Set(commands.map((c) => c.id));
+  const restored = stored.filter((c) => c.userId === owner && !known.has(c.id));
+  if (restored.length) {
+    commands = keepHistory([...commands, ...restored].sort((a, b) => b.queuedAt - a.queuedAt));
+    emit();
+  }
+  if (online) await replayQueue();
+}
+
+// Se alimenta con cada mensaje IoT ({ topic, payload, correlationId? }) recibido por el WebSocket.
+export function handleIncomingMessage(data) {
+  if (!data || !data.topic) return;
+
+  if (data.correlationId) {
+    settle(data.correlationId, "confirmed");
+    return;
+  }
+
+  // El más antiguo pendiente que espere este topic (y este valor, si aplica)
+  const match = [...commands]
+    .reverse()
+    .find(
+      (c) =>
+        c.status === "pending" &&
+        c.ackRules.some(
+          (rule) =>
+            rule.topic === data.topic && (!rule.sameValue || sameValue(rule, c.value, data.payload))
+        )
+    );
+  if (match) settle(match.id, "confirmed");
+}
+
+// Solo para tests
+export function resetCommands() {
+  timers.forEach((t) => clearTimeout(t));
+  timers.clear();
+  commands = [];
+  online = true;
+  owner = null;
+  emit();
+}
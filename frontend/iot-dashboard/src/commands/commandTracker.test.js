@@ -0,0 +1,233 @@
+import {
+  QUEUE_EXPIRY_MS,
+  cancelCommand,
+  getSnapshot,
+  handleIncomingMessage,
+  resetCommands,
+  restoreQueue,
+  setOnline,
+  trackCommand,
+} from "./commandTracker";
+import { getDevice } from "../config/devices";
+import { setCurrentRole } from "../auth/roles";
+import { setActiveTransport } from "../connection/transport";
+import { loadQueuedCommands, resetQueuedCommands } from "../storage/commandQueueStore";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+}));
+
+const device = getDevice("d_000");
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+afterEach(() => console.error.mockRestore());
+
+const statusOf = (id) => getSnapshot().find((c) => c.id === id).status;
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  resetCommands();
+  resetQueuedCommands();
+  setCurrentRole("operator");
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+});
+
+test("envía el correlationId y queda pendiente", async () => {
+  const id = trackCommand(device, "k1/set", "on");
+  expect(statusOf(id)).toBe("pending");
+  await flush();
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+    deviceId: "d_000",
+    path: "k1/set",
+    value: "on",
+    correlationId: id,
+  });
+});
+
+test("se confirma con el status del relé y el mismo valor", () => {
+  const id = trackCommand(device, "k1/set", "on");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/k1/status", payload: "off" });
+  expect(statusOf(id)).toBe("pending");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/k1/status", payload: "ON" });
+  expect(statusOf(id)).toBe("confirmed");
+});
+
+test("acepta 1/0 y true/false como on/off del relé", () => {
+  const on = trackCommand(device, "k1/set", "on");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/k1/status", payload: "0" });
+  expect(statusOf(on)).toBe("pending");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/k1/status", payload: "1" });
+  expect(statusOf(on)).toBe("confirmed");
+  const off = trackCommand(device, "k1/set", "off");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/k1/feedback", payload: "false" });
+  expect(statusOf(off)).toBe("confirmed");
+});
+
+test("se confirma por correlationId", () => {
+  const id = trackCommand(device, "askInfo", "hi");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "hi!", correlationId: id });
+  expect(statusOf(id)).toBe("confirmed");
+});
+
+test("falla si la API devuelve error HTTP", async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 502 }));
+  const id = trackCommand(device, "k1/set", "on");
+  await flush();
+  expect(getSnapshot()[0]).toMatchObject({ id, status: "failed", error: "HTTP 502" });
+});
+
+test("falla por timeout sin confirmación", () => {
+  jest.useFakeTimers();
+  const id = trackCommand(device, "k1/set", "off", { timeoutMs: 1000 });
+  jest.advanceTimersByTime(1000);
+  expect(statusOf(id)).toBe("failed");
+  jest.useRealTimers();
+});
+
+test("los comandos que salen del historial no dejan su temporizador vivo", () => {
+  jest.useFakeTimers();
+  try {
+    for (let i = 0; i <= 200; i += 1) trackCommand(device, "k1/set", "on");
+    expect(getSnapshot()).toHaveLength(200);
+    expect(jest.getTimerCount()).toBe(200);
+  } finally {
+    resetCommands();
+    jest.useRealTimers();
+  }
+});
+
+test("los programas se confirman con programs/ack y programs/list", () => {
+  const set = trackCommand(device, "programs/set", "rl:07_00_30m");
+  const get = trackCommand(device, "programs/get", "get");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/programs/ack", payload: "rl:07_00_30m" });
+  expect(statusOf(set)).toBe("confirmed");
+  expect(statusOf(get)).toBe("pending");
+  handleIncomingMessage({ topic: "mod_1x1/d_000/programs/list", payload: "[]" });
+  expect(statusOf(get)).toBe("confirmed");
+});
+
+test("no envía comandos que el rol no permite", async () => {
+  setCurrentRole("viewer");
+  const id = trackCommand(device, "k1/set", "on");
+  await flush();
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(getSnapshot()[0]).toMatchObject({
+    id,
+    status: "failed",
+    error: expect.stringMatching(/viewer/),
+  });
+});
+
+test("con un transporte activo publica en el topic del dispositivo sin pasar por la API", async () => {
+  const publish = jest.fn(() => Promise.resolve());
+  setActiveTransport({ publish });
+  const id = trackCommand(device, "k1/set", "off");
+  await flush();
+  setActiveTransport(null);
+
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(publish).toHaveBeenCalledWith("mod_1x1/d_000/k1/set", "off", {
+    deviceId: "d_000",
+    path: "k1/set",
+    correlationId: id,
+  });
+});
+
+const sentPaths = () => global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).value);
+
+test("sin conexión encola los comandos y al volver los envía en orden", async () => {
+  setOnline(false);
+  const first = trackCommand(device, "k1/set", "on");
+  const second = trackCommand(device, "k1/set", "off");
+  await flush();
+
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(statusOf(first)).toBe("queued");
+  expect((await loadQueuedCommands()).map((c) => c.id)).toEqual([first, second]);
+
+  await setOnline(true);
+  expect(sentPaths()).toEqual(["on", "off"]);
+  expect(statusOf(first)).toBe("pending");
+  expect(statusOf(second)).toBe("pending");
+  expect(await loadQueuedCommands()).toEqual([]);
+});
+
+test("las lecturas no se encolan", async () => {
+  setOnline(false);
+  const id = trackCommand(device, "askInfo", "hi");
+  await flush();
+  expect(statusOf(id)).toBe("pending");
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test("un comando en cola se puede cancelar y no se envía", async () => {
+  setOnline(false);
+  const id = trackCommand(device, "k1/set", "on");
+  cancelCommand(id);
+  expect(statusOf(id)).toBe("cancelled");
+
+  await setOnline(true);
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(await loadQueuedCommands()).toEqual([]);
+});
+
+test("los comandos caducados en la cola no se envían", async () => {
+  const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+  setOnline(false);
+  const relay = trackCommand(device, "k1/set", "on");
+  const program = trackCommand(device, "programs/set", "rl:07_00_30m");
+
+  now.mockReturnValue(1000 + QUEUE_EXPIRY_MS.relay);
+  await setOnline(true);
+  now.mockRestore();
+
+  expect(getSnapshot().find((c) => c.id === relay)).toMatchObject({ status: "expired" });
+  expect(statusOf(program)).toBe("pending");
+  expect(sentPaths()).toEqual(["rl:07_00_30m"]);
+});
+
+test("si la red falla al enviar, el comando vuelve a la cola", async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+  const id = trackCommand(device, "k1/set", "on");
+  await flush();
+  expect(statusOf(id)).toBe("queued");
+
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+  await setOnline(true);
+  expect(statusOf(id)).toBe("pending");
+  expect(sentPaths()).toEqual(["on"]);
+});
+
+test("un error que no es de red hace fallar el comando en vez de encolarlo", async () => {
+  // Respuesta sin forma de Response: TypeError al leerla, pero la petición sí salió
+  global.fetch = jest.fn(() => Promise.resolve(undefined));
+  const id = trackCommand(device, "k1/set", "on");
+  await flush();
+  expect(getSnapshot().find((c) => c.id === id)).toMatchObject({ status: "failed" });
+  expect(await loadQueuedCommands()).toEqual([]);
+});
+
+test("recupera la cola guardada tras recargar la página", async () => {
+  setOnline(false);
+  const id = trackCommand(device, "k2/set", "on");
+  resetCommands(); // como una recarga: la memoria se pierde, IndexedDB no
+
+  await restoreQueue();
+  expect(statusOf(id)).toBe("pending");
+  expect(sentPaths()).toEqual(["on"]);
+});
+
+test("solo recupera y envía la cola del usuario que entra", async () => {
+  await restoreQueue("ana");
+  setOnline(false);
+  const id = trackCommand(device, "k1/set", "on");
+  resetCommands(); // recarga; entra otro usuario en la misma tablet
+
+  await restoreQueue("luis");
+  expect(getSnapshot()).toEqual([]);
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  await restoreQueue("ana");
+  expect(statusOf(id)).toBe("pending");
+  expect(sentPaths()).toEqual(["on"]);
+});
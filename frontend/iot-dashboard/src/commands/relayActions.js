@@ -0,0 +1,79 @@
+// src/commands/relayActions.js
+// Accionar un relé dejando rastro: envía kN/set con el tracker de comandos y apunta en la
+// auditoría quién lo hizo y con qué nota; el resultado se completa cuando el comando se
+// confirma o falla.
+// Tras recargar la página los comandos pendientes se pierden y los de la cola se recuperan
+// (restoreQueue): resumePendingAudit vuelve a vigilar sus entradas o las da por fallidas.
+import { getCurrentUser } from "aws-amplify/auth";
+import { getSnapshot, isSettled, subscribe, trackCommand } from "./commandTracker";
+import { relayPolicy } from "../config/devices";
+import { addAuditEntry, loadAudit, updateAuditEntry } from "../storage/auditStore";
+import { t } from "../i18n/i18n";
+
+const watched = new Map(); // commandId → id de la entrada de auditoría
+let unsubscribeTracker = null;
+
+async function currentUsername() {
+  try {
+    const { username } = await getCurrentUser();
+    return username;
+  } catch (e) {
+    return "desconocido";
+  }
+}
+
+function checkOutcomes() {
+  const commands = getSnapshot();
+  watched.forEach((auditId, commandId) => {
+    const command = commands.find((c) => c.id === commandId);
+    if (command && !isSettled(command.status)) return; // pending o en cola
+    watched.delete(commandId);
+    updateAuditEntry(auditId, {
+      outcome: command ? command.status : "failed",
+      error: command ? command.error : t("audit.error.discarded"),
+      settledAt: command ? command.settledAt : Date.now(),
+    });
+  });
+  if (!watched.size && unsubscribeTracker) {
+    unsubscribeTracker();
+    unsubscribeTracker = null;
+  }
+}
+
+function watchOutcome(commandId, auditId) {
+  watched.set(commandId, auditId);
+  if (!unsubscribeTracker) unsubscribeTracker = subscribe(checkOutcomes);
+  checkOutcomes(); // por si ya se resolvió mientras se guardaba la entrada
+}
+
+// Lanza Error si el relé exige nota y no se ha escrito. Devuelve el id del comando.
+export async function switchRelay(device, relayKey, value, { note = "" } = {}) {
+  const text = note.trim();
+  if (relayPolicy(device, relayKey).notes === "required" && !text) {
+    throw new Error(t("relays.error.noteRequired", { n: relayKey.slice(1) }));
+  }
+
+  const commandId = trackCommand(device, `${relayKey}/set`, value);
+  const entry = await addAuditEntry({
+    username: await currentUsername(),
+    deviceId: device.id,
+    relay: relayKey,
+    value,
+    note: text,
+    commandId,
+    outcome: "pending",
+    error: null,
+  });
+  watchOutcome(commandId, entry.id);
+  return commandId;
+}
+
+// Las entradas del usuario que se quedaron "pending" en una sesión anterior: si su comando sigue
+// en el tracker (en cola) se vigila; si no, se marca como fallida. Llamar después de restoreQueue.
+export async function resumePendingAudit() {
+  const username = await currentUsername();
+  const pending = (await loadAudit()).filter(
+    (e) => e.outcome === "pending" && e.username === username && !watched.has(e.commandId)
+  );
+  pending.forEach((e) => watchOutcome(e.commandId, e.id));
+}
@@ -0,0 +1,95 @@
+import { resumePendingAudit, switchRelay } from "./relayActions";
+import {
+  handleIncomingMessage,
+  resetCommands,
+  restoreQueue,
+  setOnline,
+  trackCommand,
+} from "./commandTracker";
+import { addAuditEntry, loadAudit, resetAudit } from "../storage/auditStore";
+import { setCurrentRole } from "../auth/roles";
+import { resetQueuedCommands } from "../storage/commandQueueStore";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+  getCurrentUser: () => Promise.resolve({ username: "ana" }),
+}));
+
+const device = {
+  id: "d_001",
+  model: "mod_2x2",
+  relays: 2,
+  topicPrefix: "mod_2x2/d_001",
+  critical: ["k2"],
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  resetCommands();
+  resetQueuedCommands();
+  resetAudit();
+  setCurrentRole("operator");
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+});
+
+test("registra quién accionó el relé y completa el resultado al confirmarse", async () => {
+  const commandId = await switchRelay(device, "k1", "on", { note: "  riego sector 3 " });
+  expect(await loadAudit()).toEqual([
+    expect.objectContaining({
+      username: "ana",
+      deviceId: "d_001",
+      relay: "k1",
+      value: "on",
+      note: "riego sector 3",
+      commandId,
+      outcome: "pending",
+    }),
+  ]);
+
+  handleIncomingMessage({ topic: "mod_2x2/d_001/k1/status", payload: "on" });
+  await flush();
+  const [entry] = await loadAudit();
+  expect(entry.outcome).toBe("confirmed");
+  expect(entry.settledAt).toEqual(expect.any(Number));
+});
+
+test("apunta el fallo si el comando no se puede enviar", async () => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  setCurrentRole("viewer");
+  await switchRelay(device, "k1", "off");
+  await flush();
+  const [entry] = await loadAudit();
+  expect(entry).toMatchObject({ outcome: "failed", error: expect.stringMatching(/viewer/) });
+  console.error.mockRestore();
+});
+
+test("los relés críticos exigen nota y no se envía nada sin ella", async () => {
+  await expect(switchRelay(device, "k2", "on", { note: " " })).rejects.toThrow(/exige una nota/);
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(await loadAudit()).toEqual([]);
+});
+
+test("tras recargar vigila los comandos que siguen en cola y da por fallidos los perdidos", async () => {
+  // Lo que dejó la sesión anterior: un comando en cola y otro pendiente que se perdió
+  setOnline(false);
+  const queued = trackCommand(device, "k2/set", "off");
+  const entry = { username: "ana", deviceId: "d_001", value: "off", note: "", error: null };
+  await addAuditEntry({ ...entry, relay: "k1", commandId: "perdido", outcome: "pending" });
+  await addAuditEntry({ ...entry, relay: "k2", commandId: queued, outcome: "pending" });
+  resetCommands();
+  setOnline(false); // la página se recarga todavía sin conexión
+
+  await restoreQueue();
+  await resumePendingAudit();
+  await flush();
+  const [lost, waiting] = await loadAudit();
+  expect(lost.outcome).toBe("failed");
+  expect(waiting.outcome).toBe("pending");
+
+  await setOnline(true);
+  handleIncomingMessage({ topic: "mod_2x2/d_001/k2/status", payload: "off" });
+  await flush();
+  expect((await loadAudit())[1].outcome).toBe("confirmed");
+});
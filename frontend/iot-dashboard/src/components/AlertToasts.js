@@ -0,0 +1,84 @@
+// src/components/AlertToasts.js
+import React, { useCallback, useEffect, useState } from "react";
+import { describeAlert } from "../alerts/notifier";
+import { SNOOZE_OPTIONS_MIN } from "../alerts/alertEngine";
+import { useAlerts, useNewAlerts } from "../hooks/useAlerts";
+import { useTranslation } from "../hooks/useTranslation";
+
+const TOAST_MS = 15000;
+const MAX_TOASTS = 3;
+
+function Toast({ alert, deviceName, onClose }) {
+  const { acknowledge, snooze } = useAlerts();
+  const { t } = useTranslation();
+  const { title, body } = describeAlert(alert, deviceName);
+
+  useEffect(() => {
+    const timer = setTimeout(() => onClose(alert.id), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [alert.id, onClose]);
+
+  const act = (fn) => {
+    fn();
+    onClose(alert.id);
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        background: "white",
+        borderLeft: "4px solid #dc2626",
+        borderRadius: "6px",
+        boxShadow: "0 2px 8px rgba(0, 0, 0, 0.2)",
+        padding: "10px 12px",
+        fontSize: "14px",
+        textAlign: "left",
+      }}
+    >
+      <strong>{title}</strong>
+      <div style={{ color: "#444", margin: "4px 0", wordBreak: "break-word" }}>{body}</div>
+      <button onClick={() => act(() => acknowledge(alert.id))}>
+        {t("alerts.acknowledge")}
+      </button>{" "}
+      <button onClick={() => act(() => snooze(alert.id, SNOOZE_OPTIONS_MIN[0]))}>
+        {t("alerts.snooze", { minutes: SNOOZE_OPTIONS_MIN[0] })}
+      </button>{" "}
+      <button onClick={() => onClose(alert.id)} aria-label={t("alerts.dismiss")}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// Avisos flotantes de las alertas nuevas (las del historial están en AlertsPanel)
+export default function AlertToasts({ devices }) {
+  const [toasts, setToasts] = useState([]);
+  const close = useCallback((id) => setToasts((prev) => prev.filter((a) => a.id !== id)), []);
+
+  useNewAlerts((alert) => setToasts((prev) => [alert, ...prev].slice(0, MAX_TOASTS)));
+
+  if (!toasts.length) return null;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: "16px",
+        right: "16px",
+        width: "min(340px, 90vw)",
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        zIndex: 25,
+      }}
+    >
+      {toasts.map((alert) => {
+        const device = devices.find((d) => d.id === alert.deviceId);
+        return (
+          <Toast key={alert.id} alert={alert} deviceName={device && device.name} onClose={close} />
+        );
+      })}
+    </div>
+  );
+}
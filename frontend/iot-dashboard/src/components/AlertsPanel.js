@@ -0,0 +1,228 @@
+// src/components/AlertsPanel.js
+import React, { useState } from "react";
+import { RULE_TYPES, createRule } from "../alerts/alertRules";
+import { SNOOZE_OPTIONS_MIN } from "../alerts/alertEngine";
+import {
+  describeAlert,
+  notificationPermission,
+  requestNotificationPermission,
+} from "../alerts/notifier";
+import { relayKeys } from "../config/devices";
+import { useAlerts } from "../hooks/useAlerts";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+
+const EMPTY_RULE = {
+  type: "offline",
+  deviceId: "*",
+  minutes: 10,
+  relay: "k1",
+  from: "07:00",
+  to: "22:00",
+  topic: "#",
+  match: "",
+};
+
+const STATUS_COLORS = { active: "#dc2626", acknowledged: "green", snoozed: "#666" };
+
+function RuleForm({ devices, onAdd }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [error, setError] = useState(null);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+
+  // Con "todos", los relés del dispositivo que más tenga
+  const device = devices.find((d) => d.id === draft.deviceId);
+  const relays = relayKeys(device || { relays: Math.max(...devices.map((d) => d.relays)) });
+
+  const submit = (e) => {
+    e.preventDefault();
+    try {
+      onAdd(createRule(draft));
+      setDraft(EMPTY_RULE);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+      <select
+        aria-label={t("alerts.field.type")}
+        value={draft.type}
+        onChange={(e) => set({ type: e.target.value })}
+      >
+        {RULE_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {t(`alerts.type.${type}`)}
+          </option>
+        ))}
+      </select>
+      {draft.type !== "payloadMatch" && (
+        <select
+          aria-label={t("alerts.field.device")}
+          value={draft.deviceId}
+          onChange={(e) => set({ deviceId: e.target.value })}
+        >
+          <option value="*">{t("common.allDevices")}</option>
+          {devices.map((d) => (
+            <option key={d.id} value={d.id}>
+              {d.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {draft.type === "offline" && (
+        <input
+          type="number"
+          min="1"
+          aria-label={t("alerts.field.minutes")}
+          value={draft.minutes}
+          onChange={(e) => set({ minutes: e.target.value })}
+          style={{ width: "70px" }}
+        />
+      )}
+      {draft.type === "relayOutsideSchedule" && (
+        <>
+          <select
+            aria-label={t("alerts.field.relay")}
+            value={draft.relay}
+            onChange={(e) => set({ relay: e.target.value })}
+          >
+            {relays.map((key) => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+          <label>
+            {t("alerts.field.from")}{" "}
+            <input type="time" value={draft.from} onChange={(e) => set({ from: e.target.value })} />
+          </label>
+          <label>
+            {t("alerts.field.to")}{" "}
+            <input type="time" value={draft.to} onChange={(e) => set({ to: e.target.value })} />
+          </label>
+        </>
+      )}
+      {draft.type === "payloadMatch" && (
+        <>
+          <input
+            placeholder={t("alerts.field.topic")}
+            aria-label={t("alerts.field.topic")}
+            value={draft.topic}
+            onChange={(e) => set({ topic: e.target.value })}
+          />
+          <input
+            placeholder={t("alerts.field.match")}
+            aria-label={t("alerts.field.match")}
+            value={draft.match}
+            onChange={(e) => set({ match: e.target.value })}
+          />
+        </>
+      )}
+      <button type="submit">{t("alerts.addRule")}</button>
+      {error && <span style={{ color: "#dc2626", width: "100%" }}>{error}</span>}
+    </form>
+  );
+}
+
+function NotificationsToggle() {
+  const { t } = useTranslation();
+  const [permission, setPermission] = useState(notificationPermission);
+
+  if (permission === "unsupported") return null;
+  if (permission === "granted") return <p>{t("alerts.notificationsOn")}</p>;
+  if (permission === "denied") return <p>{t("alerts.notificationsDenied")}</p>;
+  return (
+    <button onClick={() => requestNotificationPermission().then(setPermission)}>
+      {t("alerts.enableNotifications")}
+    </button>
+  );
+}
+
+// Reglas del usuario e historial de alertas con reconocer/aplazar
+export default function AlertsPanel({ devices }) {
+  const { alerts, active, acknowledge, snooze, clearHistory } = useAlerts();
+  const { preferences, store } = usePreferences();
+  const { t, formatDateTime } = useTranslation();
+  const deviceName = (id) => {
+    if (id === "*") return t("common.allDevices");
+    const device = devices.find((d) => d.id === id);
+    return device ? device.name : id;
+  };
+
+  const clear = () => {
+    if (window.confirm(t("alerts.clearConfirm"))) clearHistory();
+  };
+
+  return (
+    <details style={{ marginTop: "20px", textAlign: "left", fontSize: "14px" }}>
+      <summary>
+        {t("alerts.panelTitle")} {active > 0 && t("alerts.activeCount", { count: active })}
+      </summary>
+
+      <NotificationsToggle />
+
+      <h5>{t("alerts.rules")}</h5>
+      {preferences.alertRules.length === 0 ? (
+        <p style={{ color: "#666" }}>{t("alerts.noRules")}</p>
+      ) : (
+        <ul style={{ paddingLeft: "18px" }}>
+          {preferences.alertRules.map((rule) => (
+            <li key={rule.id}>
+              {t(`alerts.rule.${rule.type}`, { ...rule, device: deviceName(rule.deviceId) })}{" "}
+              <button onClick={() => store.removeAlertRule(rule.id)}>
+                {t("alerts.removeRule")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <RuleForm devices={devices} onAdd={store.addAlertRule} />
+
+      <h5>
+        {t("alerts.history")}{" "}
+        <button onClick={clear} disabled={!alerts.length}>
+          {t("alerts.clearHistory")}
+        </button>
+      </h5>
+      {alerts.length === 0 ? (
+        <p style={{ color: "#666" }}>{t("alerts.empty")}</p>
+      ) : (
+        <div style={{ maxHeight: "240px", overflowY: "auto" }}>
+          {alerts.map((alert) => {
+            const { title, body } = describeAlert(
+              alert,
+              alert.deviceId && deviceName(alert.deviceId)
+            );
+            return (
+              <div key={alert.id} style={{ padding: "4px", borderBottom: "1px solid #ccc" }}>
+                <span style={{ fontFamily: "monospace" }}>{formatDateTime(alert.raisedAt)}</span>{" "}
+                <strong>{title}</strong>{" "}
+                {alert.count > 1 && t("alerts.repeated", { count: alert.count })}{" "}
+                <span style={{ color: STATUS_COLORS[alert.status], fontWeight: "bold" }}>
+                  {t(`alerts.status.${alert.status}`, {
+                    time: alert.snoozedUntil && formatDateTime(alert.snoozedUntil),
+                  })}
+                </span>
+                <div style={{ color: "#444", wordBreak: "break-word" }}>{body}</div>
+                {alert.status === "active" && (
+                  <>
+                    <button onClick={() => acknowledge(alert.id)}>{t("alerts.acknowledge")}</button>{" "}
+                    {SNOOZE_OPTIONS_MIN.map((minutes) => (
+                      <button key={minutes} onClick={() => snooze(alert.id, minutes)}>
+                        {t("alerts.snooze", { minutes })}
+                      </button>
+                    ))}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </details>
+  );
+}
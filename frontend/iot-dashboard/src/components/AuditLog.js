@@ -0,0 +1,100 @@
+// src/components/AuditLog.js
+import React, { useMemo, useState } from "react";
+import { STATUS_COLORS } from "./CommandHistory";
+import { useAuditLog } from "../hooks/useAuditLog";
+import { useTranslation } from "../hooks/useTranslation";
+import { usePreferences } from "../hooks/usePreferences";
+import { relayLabel } from "../preferences/preferencesStore";
+import { downloadFile, fileTimestamp, toCSV, toNDJSON } from "../lib/exporters";
+
+const CSV_COLUMNS = [
+  { key: "at", label: "at", format: (v) => new Date(v).toISOString() },
+  { key: "username", label: "username" },
+  { key: "deviceId", label: "deviceId" },
+  { key: "relay", label: "relay" },
+  { key: "value", label: "value" },
+  { key: "note", label: "note" },
+  { key: "outcome", label: "outcome" },
+  { key: "error", label: "error" },
+  { key: "commandId", label: "commandId" },
+];
+
+// Quién hizo qué, cuándo, en qué relé y con qué resultado
+export default function AuditLog({ devices }) {
+  const { entries, loading } = useAuditLog();
+  const { preferences } = usePreferences();
+  const { t, formatDateTime } = useTranslation();
+  const label = (e) => {
+    const device = devices.find((d) => d.id === e.deviceId);
+    return device
+      ? relayLabel(preferences, device, e.relay)
+      : t("relay.default", { n: e.relay.slice(1) });
+  };
+  const [deviceId, setDeviceId] = useState("");
+
+  // Más recientes arriba
+  const visible = useMemo(
+    () => entries.filter((e) => !deviceId || e.deviceId === deviceId).reverse(),
+    [entries, deviceId]
+  );
+
+  const exportAs = (format) => {
+    const name = `auditoria-${fileTimestamp()}`;
+    if (format === "csv") downloadFile(`${name}.csv`, toCSV(visible, CSV_COLUMNS), "text/csv");
+    else downloadFile(`${name}.ndjson`, toNDJSON(visible), "application/x-ndjson");
+  };
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>{t("audit.title")}</h4>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", fontSize: "14px" }}>
+        <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="">{t("common.allDevices")}</option>
+          {devices.map((d) => (
+            <option key={d.id} value={d.id}>
+              {d.name}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => exportAs("csv")} disabled={!visible.length}>
+          {t("common.exportCsv")}
+        </button>
+        <button onClick={() => exportAs("ndjson")} disabled={!visible.length}>
+          {t("common.exportNdjson")}
+        </button>
+      </div>
+      {loading ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("common.loading")}</p>
+      ) : visible.length === 0 ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("audit.empty")}</p>
+      ) : (
+        <div
+          style={{
+            background: "#f4f4f4",
+            padding: "10px",
+            borderRadius: "8px",
+            maxHeight: "240px",
+            overflowY: "auto",
+            fontSize: "14px",
+          }}
+        >
+          {visible.map((e) => {
+            const outcome = STATUS_COLORS[e.outcome] ? e.outcome : "failed";
+            return (
+              <div key={e.id} style={{ padding: "4px", borderBottom: "1px solid #ccc" }}>
+                <span style={{ fontFamily: "monospace" }}>{formatDateTime(e.at)}</span> ·{" "}
+                {e.username} · {e.deviceId} · {label(e)} ·{" "}
+                <strong>{String(e.value).toUpperCase()}</strong>{" "}
+                <span style={{ color: STATUS_COLORS[outcome], fontWeight: "bold" }}>
+                  {t(`commands.${outcome}`)}
+                </span>
+                {e.error && <em style={{ color: "#666" }}> ({e.error})</em>}
+                {e.note && <em> — {e.note}</em>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
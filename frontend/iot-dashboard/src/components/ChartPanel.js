@@ -0,0 +1,335 @@
+// src/components/ChartPanel.js
+// Gráficas de los topics numéricos a partir del histórico de mensajes: varias series a la vez,
+// agregadas por minuto/hora/día (línea = media, banda = mínimo–máximo). El rango se elige con
+// los botones o arrastrando sobre la gráfica.
+import React, { useMemo, useRef, useState } from "react";
+import { useMessageLog } from "../hooks/useMessageLog";
+import { useNow } from "../hooks/usePresence";
+import { useTranslation } from "../hooks/useTranslation";
+import { downloadFile, downloadSvgAsPng, fileTimestamp, toCSV } from "../lib/exporters";
+import { getDecoderRegistry } from "../telemetry/decoders";
+import { telemetryTopics } from "../telemetry/series";
+import {
+  BUCKETS,
+  aggregateRows,
+  autoBucket,
+  downsample,
+  numericPoints,
+  splitGaps,
+} from "../telemetry/aggregate";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+// Etiquetas en charts.span.<id>
+const SPANS = [
+  { id: "hour", ms: HOUR },
+  { id: "day", ms: DAY },
+  { id: "week", ms: 7 * DAY },
+  { id: "month", ms: 30 * DAY },
+  { id: "year", ms: 365 * DAY },
+];
+const MIN_SPAN = 5 * MIN;
+
+const COLORS = ["#1565c0", "#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2"];
+
+// Geometría del SVG (viewBox fijo, se escala al ancho disponible)
+const WIDTH = 1000;
+const HEIGHT = 320;
+const X0 = 60;
+const X1 = WIDTH - 16;
+const Y0 = 12;
+const Y1 = HEIGHT - 28;
+const PLOT_CLIP_ID = "chart-panel-plot"; // solo hay un panel de gráficas en la página
+
+const CSV_COLUMNS = [
+  { key: "start", label: "start", format: (v) => new Date(v).toISOString() },
+  { key: "topic", label: "topic" },
+  { key: "unit", label: "unit" },
+  { key: "min", label: "min" },
+  { key: "max", label: "max" },
+  { key: "avg", label: "avg", format: (v) => Math.round(v * 1000) / 1000 },
+  { key: "count", label: "count" },
+];
+
+function formatTick(t, span, locale) {
+  const d = new Date(t);
+  const time = d.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+  if (span <= DAY) return time;
+  const date = d.toLocaleDateString(locale, { day: "2-digit", month: "2-digit" });
+  return span <= 7 * DAY ? `${date} ${time}` : date;
+}
+
+// Márgenes arriba y abajo para que la serie no toque los bordes
+function valueDomain(series) {
+  const all = series.flatMap((s) => s.buckets);
+  if (!all.length) return [0, 1];
+  const lo = Math.min(...all.map((b) => b.min));
+  const hi = Math.max(...all.map((b) => b.max));
+  const pad = (hi - lo) * 0.05 || Math.abs(hi) * 0.05 || 1;
+  return [lo - pad, hi + pad];
+}
+
+export default function ChartPanel() {
+  const { messages } = useMessageLog();
+  const { t, locale, formatDateTime } = useTranslation();
+  const registry = getDecoderRegistry();
+  const now = useNow(30000);
+  const svgRef = useRef(null);
+  const [topics, setTopics] = useState([]);
+  const [bucketChoice, setBucketChoice] = useState("auto");
+  const [span, setSpan] = useState(DAY);
+  const [end, setEnd] = useState(null); // null = siguiendo "ahora"
+  const [drag, setDrag] = useState(null); // { from, to } en coordenadas del SVG
+
+  const to = end ?? now;
+  const from = to - span;
+  const bucket = bucketChoice === "auto" ? autoBucket(span) : bucketChoice;
+
+  const available = useMemo(
+    () => telemetryTopics(messages, registry, { numeric: true }),
+    [messages, registry]
+  );
+
+  const series = useMemo(
+    () =>
+      topics.map((topic, i) => {
+        const decoder = registry.find(topic) || {};
+        const points = numericPoints(messages, registry, topic, { from, to });
+        return {
+          topic,
+          unit: decoder.unit,
+          color: COLORS[i % COLORS.length],
+          buckets: downsample(points, bucket),
+        };
+      }),
+    [topics, messages, registry, from, to, bucket]
+  );
+
+  const [lo, hi] = valueDomain(series);
+  const x = (time) => X0 + ((time - from) / span) * (X1 - X0);
+  const y = (value) => Y1 - ((value - lo) / (hi - lo)) * (Y1 - Y0);
+  const timeAt = (svgX) => from + ((svgX - X0) / (X1 - X0)) * span;
+  const xTicks = Array.from({ length: 6 }, (_, i) => from + (i * span) / 5);
+  const yTicks = Array.from({ length: 5 }, (_, i) => lo + (i * (hi - lo)) / 4);
+  const units = [...new Set(series.map((s) => s.unit).filter(Boolean))].join(" / ");
+
+  const moveTo = (newTo) => setEnd(newTo >= now ? null : newTo);
+  const pan = (direction) => moveTo(to + (direction * span) / 2);
+  const zoomTo = (newFrom, newTo) => {
+    setSpan(Math.max(MIN_SPAN, newTo - newFrom));
+    moveTo(Math.max(newTo, newFrom + MIN_SPAN));
+  };
+
+  const toggleTopic = (topic) =>
+    setTopics((prev) =>
+      prev.includes(topic) ? prev.filter((p) => p !== topic) : [...prev, topic]
+    );
+
+  // Coordenada x del puntero en el sistema del viewBox
+  const svgX = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const value = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    return Math.min(X1, Math.max(X0, value));
+  };
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ from: svgX(e), to: svgX(e) });
+  };
+  const onPointerMove = (e) => drag && setDrag({ ...drag, to: svgX(e) });
+  const onPointerUp = () => {
+    if (drag && Math.abs(drag.to - drag.from) > 5) {
+      zoomTo(timeAt(Math.min(drag.from, drag.to)), timeAt(Math.max(drag.from, drag.to)));
+    }
+    setDrag(null);
+  };
+
+  const exportCsv = () => {
+    const rows = aggregateRows(series);
+    const name = `${t("charts.fileName")}-${fileTimestamp()}.csv`;
+    downloadFile(name, toCSV(rows, CSV_COLUMNS), "text/csv");
+  };
+  const exportPng = () =>
+    downloadSvgAsPng(svgRef.current, `${t("charts.fileName")}-${fileTimestamp()}.png`).catch((e) =>
+      console.error(e)
+    );
+
+  const hasData = series.some((s) => s.buckets.length);
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>{t("charts.title")}</h4>
+      {available.length === 0 ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("charts.noTopics")}</p>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 12px", fontSize: "14px" }}>
+          {available.map(({ topic }) => {
+            const index = topics.indexOf(topic);
+            return (
+              <label key={topic}>
+                <input type="checkbox" checked={index >= 0} onChange={() => toggleTopic(topic)} />{" "}
+                <span style={{ color: index >= 0 ? COLORS[index % COLORS.length] : undefined }}>
+                  {topic}
+                </span>
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      <div style={{ fontSize: "14px", margin: "6px 0" }}>
+        {SPANS.map((s) => (
+          <button
+            key={s.id}
+            onClick={() => {
+              setSpan(s.ms);
+              setEnd(null);
+            }}
+            style={{
+              fontWeight: span === s.ms && end === null ? "bold" : "normal",
+              margin: "2px",
+              padding: "4px 8px",
+            }}
+          >
+            {t(`charts.span.${s.id}`)}
+          </button>
+        ))}
+        <button onClick={() => pan(-1)} style={{ margin: "2px", padding: "4px 8px" }}>
+          ◀
+        </button>
+        <button
+          onClick={() => pan(1)}
+          disabled={end === null}
+          style={{ margin: "2px", padding: "4px 8px" }}
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => setEnd(null)}
+          disabled={end === null}
+          style={{ margin: "2px", padding: "4px 8px" }}
+        >
+          {t("timeline.now")}
+        </button>{" "}
+        <label>
+          {t("charts.bucket")}{" "}
+          <select value={bucketChoice} onChange={(e) => setBucketChoice(e.target.value)}>
+            <option value="auto">
+              {t("charts.bucket.auto", { bucket: t(`charts.bucket.${bucket}`) })}
+            </option>
+            {Object.keys(BUCKETS).map((key) => (
+              <option key={key} value={key}>
+                {t(`charts.bucket.${key}`)}
+              </option>
+            ))}
+          </select>
+        </label>{" "}
+        <button onClick={exportPng} disabled={!hasData}>
+          {t("charts.exportPng")}
+        </button>
+        <button onClick={exportCsv} disabled={!hasData}>
+          {t("common.exportCsv")}
+        </button>
+      </div>
+
+      <div style={{ fontSize: "12px", color: "#666" }}>
+        {formatDateTime(from)} – {formatDateTime(to)} · {t("charts.dragHint")}
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: "100%", background: "#fafafa", touchAction: "none", userSelect: "none" }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        role="img"
+        aria-label={t("charts.title")}
+      >
+        {xTicks.map((tick) => (
+          <g key={`x${tick}`}>
+            <line x1={x(tick)} x2={x(tick)} y1={Y0} y2={Y1} stroke="#e4e4e7" />
+            <text x={x(tick)} y={HEIGHT - 8} fontSize="11" textAnchor="middle" fill="#666">
+              {formatTick(tick, span, locale)}
+            </text>
+          </g>
+        ))}
+        {yTicks.map((tick) => (
+          <g key={`y${tick}`}>
+            <line x1={X0} x2={X1} y1={y(tick)} y2={y(tick)} stroke="#e4e4e7" />
+            <text x={X0 - 6} y={y(tick) + 4} fontSize="11" textAnchor="end" fill="#666">
+              {Math.round(tick * 100) / 100}
+            </text>
+          </g>
+        ))}
+        {units && (
+          <text x={4} y={Y0 + 4} fontSize="11" fill="#666">
+            {units}
+          </text>
+        )}
+
+        {/* Con agrupación por hora o día el primer intervalo empieza antes de `from`: se recorta
+            para no pintar encima de las etiquetas del eje */}
+        <defs>
+          <clipPath id={PLOT_CLIP_ID}>
+            <rect x={X0} y={0} width={X1 - X0} height={HEIGHT} />
+          </clipPath>
+        </defs>
+        <g clipPath={`url(#${PLOT_CLIP_ID})`}>
+          {series.map((s) =>
+            splitGaps(s.buckets, bucket).map((run) => (
+              <g key={`${s.topic}-${run[0].start}`}>
+                <polygon
+                  points={[
+                    ...run.map((b) => `${x(b.start)},${y(b.max)}`),
+                    ...[...run].reverse().map((b) => `${x(b.start)},${y(b.min)}`),
+                  ].join(" ")}
+                  fill={s.color}
+                  fillOpacity="0.15"
+                  stroke="none"
+                />
+                <polyline
+                  points={run.map((b) => `${x(b.start)},${y(b.avg)}`).join(" ")}
+                  fill="none"
+                  stroke={s.color}
+                  strokeWidth="2"
+                />
+                {run.map((b) => (
+                  <circle key={b.start} cx={x(b.start)} cy={y(b.avg)} r="2.5" fill={s.color}>
+                    <title>
+                      {s.topic} · {formatDateTime(b.start)}
+                      {"\n"}
+                      {t("charts.tooltip", {
+                        avg: Math.round(b.avg * 100) / 100,
+                        min: b.min,
+                        max: b.max,
+                        count: b.count,
+                      })}
+                    </title>
+                  </circle>
+                ))}
+              </g>
+            ))
+          )}
+        </g>
+
+        {drag && (
+          <rect
+            x={Math.min(drag.from, drag.to)}
+            y={Y0}
+            width={Math.abs(drag.to - drag.from)}
+            height={Y1 - Y0}
+            fill="#1565c0"
+            fillOpacity="0.15"
+          />
+        )}
+        {topics.length > 0 && !hasData && (
+          <text x={(X0 + X1) / 2} y={(Y0 + Y1) / 2} textAnchor="middle" fontSize="14" fill="#666">
+            {t("charts.noData")}
+          </text>
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// src/components/CommandHistory.js
+import React from "react";
+import { cancelCommand } from "../commands/commandTracker";
+import { useCommandHistory } from "../hooks/useCommandHistory";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { customRelayName } from "../preferences/preferencesStore";
+
+export const STATUS_COLORS = {
+  queued: "#7c3aed",
+  pending: "orange",
+  confirmed: "green",
+  failed: "red",
+  cancelled: "#666",
+  expired: "#666",
+};
+
+// "k1/set" → "Riego (k1/set)" si el usuario le ha puesto nombre al relé
+function commandLabel(preferences, device, path) {
+  const relay = device && path.match(/^(k\d+)\/set$/);
+  if (!relay) return path;
+  const name = customRelayName(preferences, device, relay[1]);
+  return name ? `${name} (${path})` : path;
+}
+
+export default function CommandHistory({ device }) {
+  const commands = useCommandHistory(device.id);
+  const { preferences } = usePreferences();
+  const { t, formatTime } = useTranslation();
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>{t("commands.title")}</h4>
+      {commands.length === 0 ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("commands.empty")}</p>
+      ) : (
+        <div
+          style={{
+            background: "#f4f4f4",
+            padding: "10px",
+            borderRadius: "8px",
+            maxHeight: "200px",
+            overflowY: "auto",
+            fontSize: "14px",
+          }}
+        >
+          {commands.map((cmd) => {
+            return (
+              <div
+                key={cmd.id}
+                style={{ marginBottom: "6px", padding: "4px", borderBottom: "1px solid #ccc" }}
+              >
+                <span style={{ fontFamily: "monospace" }}>
+                  {formatTime(cmd.sentAt || cmd.queuedAt)}
+                </span>{" "}
+                <strong>{commandLabel(preferences, device, cmd.path)}</strong> = {String(cmd.value)}{" "}
+                <span style={{ color: STATUS_COLORS[cmd.status], fontWeight: "bold" }}>
+                  {t(`commands.${cmd.status}`)}
+                </span>
+                {cmd.error && <em style={{ color: "#666" }}> — {cmd.error}</em>}
+                {cmd.status === "queued" && (
+                  <button onClick={() => cancelCommand(cmd.id)} style={{ marginLeft: "6px" }}>
+                    {t("commands.cancel")}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// src/components/ConnectionStatus.js
+import React from "react";
+import { useCommandHistory } from "../hooks/useCommandHistory";
+import { useConnection } from "../hooks/useConnection";
+import { useTranslation } from "../hooks/useTranslation";
+
+const COLORS = {
+  connecting: "orange",
+  open: "green",
+  reconnecting: "orange",
+  closed: "red",
+};
+
+export default function ConnectionStatus() {
+  const { status, lastError, attempt } = useConnection();
+  const { t } = useTranslation();
+  const queued = useCommandHistory().filter((c) => c.status === "queued").length;
+
+  return (
+    <div style={{ fontSize: "14px" }}>
+      <span style={{ color: COLORS[status], fontWeight: "bold" }}>
+        ● {t(`connection.${status}`)}
+      </span>
+      {status === "reconnecting" && attempt > 1 && (
+        <span> {t("connection.attempt", { attempt })}</span>
+      )}
+      {queued > 0 && <span> {t("connection.queued", { count: queued })}</span>}
+      {lastError && status !== "open" && (
+        <div style={{ color: "#666", fontSize: "12px" }}>{lastError}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+// src/components/Dashboard.js
+// Panel de control del usuario ya autenticado: solo con los dispositivos que tiene asignados.
+import React, { useState } from "react";
+import logo from "../file.png";
+import WebSocketMessages from "../WebSocketMessages";
+import DevicePicker from "./DevicePicker";
+import CommandHistory from "./CommandHistory";
+import AuditLog from "./AuditLog";
+import RelayPanel from "./RelayPanel";
+import ProgramsPanel from "./ProgramsPanel";
+import RelayTimeline from "./RelayTimeline";
+import ConnectionStatus from "./ConnectionStatus";
+import DiagnosticsPanel from "./DiagnosticsPanel";
+import EnvironmentBadge from "./EnvironmentBadge";
+import RoleBadge from "./RoleBadge";
+import NoDevicesAssigned from "./NoDevicesAssigned";
+import LanguageSelect from "./LanguageSelect";
+import SimulatorPanel from "./SimulatorPanel";
+import AlertsPanel from "./AlertsPanel";
+import UserAccessPanel from "./UserAccessPanel";
+import TelemetryPanel from "./TelemetryPanel";
+import ChartPanel from "./ChartPanel";
+import AlertToasts from "./AlertToasts";
+import { AlertsProvider } from "../alerts/AlertsProvider";
+import { ConnectionProvider } from "../connection/ConnectionProvider";
+import { PresenceProvider } from "../presence/PresenceProvider";
+import { RoleProvider } from "../auth/RoleProvider";
+import { SessionGuard } from "../auth/SessionGuard";
+import { PreferencesProvider } from "../preferences/PreferencesProvider";
+import { useAssignedDevices } from "../hooks/useAssignedDevices";
+import { useOfflineQueue } from "../hooks/useOfflineQueue";
+import { useRole } from "../hooks/useRole";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { sortDevices } from "../preferences/preferencesStore";
+import { getConfig } from "../config/runtimeConfig";
+
+function DeviceControls({ userId, devices }) {
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const { can } = useRole();
+  useOfflineQueue(userId);
+  // Al entrar, el primer favorito (si lo hay)
+  const [selectedDeviceId, setSelectedDeviceId] = useState(
+    () => sortDevices(preferences, devices)[0].id
+  );
+  const selectedDevice = devices.find((d) => d.id === selectedDeviceId) || devices[0];
+
+  return (
+    <PresenceProvider devices={devices}>
+      <AlertsProvider devices={devices}>
+        <AlertToasts devices={devices} />
+        <h3>{t("dashboard.devicesTitle")}</h3>
+        <DevicePicker devices={devices} value={selectedDevice.id} onChange={setSelectedDeviceId} />
+        <RelayPanel key={selectedDevice.id} device={selectedDevice} />
+        <RelayTimeline device={selectedDevice} />
+        <TelemetryPanel />
+        <ChartPanel />
+        <ProgramsPanel key={`programs-${selectedDevice.id}`} device={selectedDevice} />
+        <CommandHistory device={selectedDevice} />
+        <AuditLog devices={devices} />
+        {/* 📩 Aquí mostramos los mensajes del WebSocket */}
+        <WebSocketMessages
+          devices={devices}
+          selectedDeviceId={selectedDevice.id}
+          onSelectDevice={setSelectedDeviceId}
+        />
+        <AlertsPanel devices={devices} />
+        {can("users:manage") && <UserAccessPanel devices={devices} />}
+      </AlertsProvider>
+    </PresenceProvider>
+  );
+}
+
+export default function Dashboard({ user, signOut, showWelcome }) {
+  const { devices, loading, error, reload } = useAssignedDevices(user.userId);
+  const { t } = useTranslation();
+
+  let content;
+  if (loading) {
+    content = <p style={{ color: "#666" }}>{t("dashboard.loadingDevices")}</p>;
+  } else if (error) {
+    content = (
+      <p style={{ color: "#dc2626" }}>
+        {t("dashboard.devicesError", { error })}{" "}
+        <button onClick={reload}>{t("common.retry")}</button>
+      </p>
+    );
+  } else if (devices.length === 0) {
+    content = <NoDevicesAssigned user={user} onRetry={reload} />;
+  } else {
+    // Si la lista cambia al recargar, el motor de presencia se crea de nuevo
+    content = (
+      <DeviceControls
+        key={devices.map((d) => d.id).join()}
+        userId={user.userId || user.username}
+        devices={devices}
+      />
+    );
+  }
+
+  return (
+    <PreferencesProvider userId={user.userId || user.username}>
+      <RoleProvider>
+        <ConnectionProvider>
+          <SessionGuard>
+            <div className="App">
+              <header className="App-header">
+                <div className="logo-container">
+                  <img src={logo} className="App-logo" alt="logo" />
+                  <span className="logo-text">Smart-Things</span>
+                  <EnvironmentBadge />
+                </div>
+                {showWelcome && <h2>{t("dashboard.welcome", { name: user.username })}</h2>}
+                <RoleBadge username={user.username} />
+                <LanguageSelect />
+                <ConnectionStatus />
+              </header>
+
+              <main>
+                {content}
+                <DiagnosticsPanel />
+                {getConfig().simulator && <SimulatorPanel />}
+              </main>
+
+              <button className="logout-button" onClick={signOut}>
+                {t("dashboard.signOut")}
+              </button>
+            </div>
+          </SessionGuard>
+        </ConnectionProvider>
+      </RoleProvider>
+    </PreferencesProvider>
+  );
+}
@@ -0,0 +1,34 @@
+// src/components/DevicePicker.js
+import React from "react";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { sortDevices } from "../preferences/preferencesStore";
+
+export default function DevicePicker({ devices, value, onChange }) {
+  const { preferences, store } = usePreferences();
+  const { t } = useTranslation();
+  const favourite = preferences.favouriteDevices.includes(value);
+
+  return (
+    <label>
+      {t("devices.picker")}{" "}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {sortDevices(preferences, devices).map((d) => (
+          <option key={d.id} value={d.id}>
+            {preferences.favouriteDevices.includes(d.id) ? "★ " : ""}
+            {d.name} ({d.model} / {d.id})
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => store.toggleFavourite(value)}
+        title={t(favourite ? "devices.removeFavourite" : "devices.addFavourite")}
+        aria-pressed={favourite}
+        style={{ margin: "0 6px", padding: "2px 8px", color: favourite ? "#f59e0b" : "#a1a1aa" }}
+      >
+        {favourite ? "★" : "☆"}
+      </button>
+    </label>
+  );
+}
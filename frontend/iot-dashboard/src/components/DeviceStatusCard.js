@@ -0,0 +1,62 @@
+// src/components/DeviceStatusCard.js
+import React from "react";
+import { usePresence } from "../hooks/usePresence";
+import { useTranslation } from "../hooks/useTranslation";
+import { t as translateActive } from "../i18n/i18n";
+
+const STATUS_COLORS = {
+  online: "green",
+  stale: "orange",
+  offline: "red",
+  unknown: "gray",
+};
+
+export function formatLastSeen(secondsAgo, t = translateActive) {
+  if (secondsAgo === null) return t("presence.neverSeen");
+  if (secondsAgo < 60) return t("presence.seenSeconds", { n: secondsAgo });
+  if (secondsAgo < 3600) return t("presence.seenMinutes", { n: Math.floor(secondsAgo / 60) });
+  return t("presence.seenHours", { n: Math.floor(secondsAgo / 3600) });
+}
+
+export default function DeviceStatusCard({ device, selected, onSelect }) {
+  const { status, secondsAgo, probing, refresh } = usePresence(device.id);
+  const { t } = useTranslation();
+
+  return (
+    <div
+      onClick={() => onSelect(device.id)}
+      style={{
+        border: selected ? "2px solid #22c55e" : "1px solid #ccc",
+        borderRadius: "8px",
+        padding: "10px",
+        minWidth: "180px",
+        cursor: "pointer",
+        background: "white",
+      }}
+    >
+      <strong>{device.name}</strong>
+      <div style={{ fontSize: "12px", color: "#666" }}>
+        {device.model} / {device.id} ·{" "}
+        {device.relays > 1
+          ? t("devices.relayCount", { count: device.relays })
+          : t("devices.relayCountOne")}
+      </div>
+      <div style={{ margin: "6px 0" }}>
+        <span style={{ color: STATUS_COLORS[status], fontWeight: "bold" }}>
+          {t(`presence.${status}`)}
+        </span>
+        {probing && <span style={{ color: "orange" }}> {t("presence.probing")}</span>}
+        <div style={{ fontSize: "12px", color: "#666" }}>{formatLastSeen(secondsAgo, t)}</div>
+      </div>
+      <button
+        onClick={(e) => {
+          e.stopPropagation(); // no cambiar la selección al rechequear
+          refresh();
+        }}
+        style={{ margin: 0, padding: "4px 10px", fontSize: "0.85rem" }}
+      >
+        {t("presence.recheck")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// src/components/DiagnosticsPanel.js
+import React from "react";
+import { useConnection, useConnectionDiagnostics } from "../hooks/useConnection";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function DiagnosticsPanel() {
+  const { status, attempt, lastError } = useConnection();
+  const { received, delivered, suppressed, lastSuppressed, dedupWindowMs } =
+    useConnectionDiagnostics();
+  const { t, formatTime } = useTranslation();
+
+  return (
+    <details style={{ marginTop: "20px", textAlign: "left", fontSize: "14px" }}>
+      <summary>{t("diagnostics.title")}</summary>
+      <table style={{ marginTop: "8px" }}>
+        <tbody>
+          <tr>
+            <td>{t("diagnostics.connection")}</td>
+            <td>
+              {status}
+              {attempt > 0 && ` ${t("connection.attempt", { attempt })}`}
+            </td>
+          </tr>
+          <tr>
+            <td>{t("diagnostics.lastError")}</td>
+            <td>{lastError || "—"}</td>
+          </tr>
+          <tr>
+            <td>{t("diagnostics.received")}</td>
+            <td>{received}</td>
+          </tr>
+          <tr>
+            <td>{t("diagnostics.delivered")}</td>
+            <td>{delivered}</td>
+          </tr>
+          <tr>
+            <td>{t("diagnostics.suppressed")}</td>
+            <td>
+              {suppressed}
+              {lastSuppressed &&
+                ` ${t("diagnostics.lastSuppressed", {
+                  topic: lastSuppressed.topic,
+                  time: formatTime(lastSuppressed.at),
+                })}`}
+            </td>
+          </tr>
+          <tr>
+            <td>{t("diagnostics.dedupWindow")}</td>
+            <td>{dedupWindowMs} ms</td>
+          </tr>
+        </tbody>
+      </table>
+    </details>
+  );
+}
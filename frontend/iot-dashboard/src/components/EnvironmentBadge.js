@@ -0,0 +1,31 @@
+// src/components/EnvironmentBadge.js
+import React from "react";
+import { getConfig } from "../config/runtimeConfig";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function EnvironmentBadge() {
+  const { environment, label, color, apiUrl, wsUrl, transport, iotEndpoint, simulator } =
+    getConfig();
+  const { t } = useTranslation();
+
+  return (
+    <span
+      title={t("environment.title", {
+        environment,
+        apiUrl,
+        wsUrl: transport === "mqtt" ? `wss://${iotEndpoint}/mqtt (MQTT)` : wsUrl,
+      })}
+      style={{
+        background: simulator ? "#7c3aed" : color,
+        color: "white",
+        borderRadius: "6px",
+        padding: "2px 8px",
+        fontSize: "12px",
+        fontWeight: "bold",
+        alignSelf: "flex-end",
+      }}
+    >
+      {simulator ? "SIM" : label}
+    </span>
+  );
+}
@@ -0,0 +1,32 @@
+// src/components/LanguageSelect.js
+import React from "react";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { LANGUAGES } from "../i18n/i18n";
+
+// Cambia el idioma de la interfaz y lo guarda en las preferencias del usuario
+// (en la pantalla de login, sin usuario, solo en este navegador)
+export default function LanguageSelect() {
+  const { store } = usePreferences();
+  const { t, language, setLanguage } = useTranslation();
+
+  const change = (code) => {
+    setLanguage(code);
+    store.setLanguage(code);
+  };
+
+  return (
+    <select
+      aria-label={t("common.language")}
+      value={language}
+      onChange={(e) => change(e.target.value)}
+      style={{ fontSize: "14px" }}
+    >
+      {LANGUAGES.map((l) => (
+        <option key={l.code} value={l.code}>
+          {l.label}
+        </option>
+      ))}
+    </select>
+  );
+}
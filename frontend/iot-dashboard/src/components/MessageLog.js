@@ -0,0 +1,182 @@
+// src/components/MessageLog.js
+import React, { useDeferredValue, useMemo, useState } from "react";
+import VirtualList from "./VirtualList";
+import { useMessageLog } from "../hooks/useMessageLog";
+import { clearMessages } from "../storage/messageStore";
+import { createMessageFilter } from "../lib/messageFilters";
+import { parseTopic, validatePattern } from "../connection/topicRouter";
+import { downloadFile, fileTimestamp, toCSV, toNDJSON } from "../lib/exporters";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { relayIcon, relayLabel } from "../preferences/preferencesStore";
+import { getDecoderRegistry } from "../telemetry/decoders";
+
+const ROW_HEIGHT = 44;
+
+const CSV_COLUMNS = [
+  { key: "receivedAt", label: "receivedAt", format: (v) => new Date(v).toISOString() },
+  { key: "deviceId", label: "deviceId" },
+  { key: "topic", label: "topic" },
+  { key: "payload", label: "payload" },
+];
+
+// "2026-10-18T07:30" (input datetime-local) → epoch ms
+const toEpoch = (value) => (value ? new Date(value).getTime() : undefined);
+
+function isValidPattern(pattern) {
+  try {
+    validatePattern(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export default function MessageLog({ devices }) {
+  const { messages, loading, clear } = useMessageLog();
+  const { preferences } = usePreferences();
+  const { t, formatDateTime } = useTranslation();
+  const registry = getDecoderRegistry();
+
+  // Nombre que el usuario ha dado al relé del topic ("mod_1x1/d_000/k1/status" → "💧 Riego")
+  const relayName = (msg) => {
+    const { relay } = parseTopic(msg.topic || "");
+    const device = relay && devices.find((d) => d.id === msg.deviceId);
+    if (!device) return null;
+    return [relayIcon(preferences, device, relay), relayLabel(preferences, device, relay)]
+      .filter(Boolean)
+      .join(" ");
+  };
+  const [deviceId, setDeviceId] = useState("");
+  const [topicPattern, setTopicPattern] = useState("");
+  const [text, setText] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const patternOk = !topicPattern || isValidPattern(topicPattern);
+  const deferredText = useDeferredValue(text);
+  const [filterLog] = useState(createMessageFilter);
+
+  // Más recientes arriba; con los mismos filtros solo se filtran los mensajes nuevos
+  const visible = useMemo(
+    () =>
+      [
+        ...filterLog(messages, {
+          deviceId,
+          topicPattern: patternOk ? topicPattern : "",
+          text: deferredText,
+          from: toEpoch(from),
+          to: toEpoch(to),
+        }),
+      ].reverse(),
+    [filterLog, messages, deviceId, topicPattern, patternOk, deferredText, from, to]
+  );
+
+  const exportAs = (format) => {
+    const name = `${t("messages.fileName")}-${fileTimestamp()}`;
+    if (format === "csv") downloadFile(`${name}.csv`, toCSV(visible, CSV_COLUMNS), "text/csv");
+    else downloadFile(`${name}.ndjson`, toNDJSON(visible), "application/x-ndjson");
+  };
+
+  const onClear = async () => {
+    if (!window.confirm(t("messages.clearConfirm"))) return;
+    await clearMessages();
+    clear();
+  };
+
+  return (
+    <div>
+      <h4>{t("messages.title")}</h4>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "8px",
+          fontSize: "14px",
+          marginBottom: "8px",
+        }}
+      >
+        <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="">{t("common.allDevices")}</option>
+          {devices.map((d) => (
+            <option key={d.id} value={d.id}>
+              {d.name}
+            </option>
+          ))}
+        </select>
+        <input
+          placeholder={t("messages.topicPlaceholder")}
+          value={topicPattern}
+          onChange={(e) => setTopicPattern(e.target.value)}
+          style={{ borderColor: patternOk ? undefined : "red" }}
+        />
+        <input
+          placeholder={t("messages.textPlaceholder")}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <label>
+          {t("messages.from")}{" "}
+          <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          {t("messages.to")}{" "}
+          <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+      </div>
+
+      <div style={{ fontSize: "12px", color: "#666", marginBottom: "4px" }}>
+        {loading
+          ? t("messages.loading")
+          : t("messages.count", { visible: visible.length, total: messages.length })}
+        <button onClick={() => exportAs("csv")} disabled={!visible.length}>
+          {t("common.exportCsv")}
+        </button>
+        <button onClick={() => exportAs("ndjson")} disabled={!visible.length}>
+          {t("common.exportNdjson")}
+        </button>
+        <button onClick={onClear}>{t("messages.clear")}</button>
+      </div>
+
+      <VirtualList
+        items={visible}
+        rowHeight={ROW_HEIGHT}
+        height={300}
+        style={{ background: "#f4f4f4", borderRadius: "8px", fontSize: "14px" }}
+        renderRow={(msg) => {
+          // Payload decodificado según su topic ("21.5 °C", "ON"...), con aviso si no encaja
+          const { display, warnings } = registry.decode(msg);
+          return (
+            <div
+              style={{
+                padding: "4px 10px",
+                borderBottom: "1px solid #ccc",
+                height: ROW_HEIGHT,
+                boxSizing: "border-box",
+                overflow: "hidden",
+                whiteSpace: "nowrap",
+                textOverflow: "ellipsis",
+              }}
+            >
+              <span style={{ fontFamily: "monospace", color: "#666" }}>
+                {formatDateTime(msg.receivedAt)}
+              </span>{" "}
+              <strong>{msg.topic || "unknown"}</strong>
+              {relayName(msg) && <span style={{ color: "#666" }}> · {relayName(msg)}</span>}
+              <br />
+              {warnings.length > 0 && (
+                <span
+                  title={t("messages.warnings", { warnings: warnings.join("; ") })}
+                  style={{ color: "#dc2626" }}
+                >
+                  ⚠️{" "}
+                </span>
+              )}
+              {display}
+            </div>
+          );
+        }}
+      />
+    </div>
+  );
+}
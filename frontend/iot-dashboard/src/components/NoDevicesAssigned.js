@@ -0,0 +1,29 @@
+// src/components/NoDevicesAssigned.js
+import React from "react";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Estado vacío: el usuario ha entrado pero no tiene dispositivos asignados.
+// Se muestra su identificador para que un administrador pueda asignárselos.
+export default function NoDevicesAssigned({ user, onRetry }) {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      style={{
+        margin: "20px auto",
+        maxWidth: "480px",
+        padding: "20px",
+        background: "#f4f4f4",
+        borderRadius: "8px",
+        fontSize: "16px",
+      }}
+    >
+      <h3>{t("noDevices.title")}</h3>
+      <p>{t("noDevices.body")}</p>
+      <code style={{ fontSize: "14px" }}>{user.userId || user.username}</code>
+      <div>
+        <button onClick={onRetry}>{t("noDevices.recheck")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+// src/components/ProgramsPanel.js
+import React, { useState } from "react";
+import { relayKeys } from "../config/devices";
+import { usePrograms } from "../hooks/usePrograms";
+import { useRole } from "../hooks/useRole";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { relayLabel } from "../preferences/preferencesStore";
+import {
+  DAYS,
+  describeProgram,
+  serializeProgram,
+  validateProgramCode,
+} from "../programs/programCodes";
+
+const EMPTY_DRAFT = { relay: "k1", days: [], time: "07:00", duration: 30, unit: "m" };
+
+function draftToCode(draft, t) {
+  const [hour, minute] = draft.time.split(":").map(Number);
+  const durationMin = Number(draft.duration) * (draft.unit === "h" ? 60 : 1);
+  if (!draft.days.length) throw new Error(t("programs.pickDay"));
+  return serializeProgram({ relay: draft.relay, days: draft.days, hour, minute, durationMin });
+}
+
+function WeekView({ programs }) {
+  const { t } = useTranslation();
+  const dayNames = t("programs.days");
+
+  return (
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(7, 1fr)",
+        gap: "4px",
+        fontSize: "12px",
+      }}
+    >
+      {DAYS.map((day, i) => (
+        <div
+          key={day}
+          style={{ background: "#f4f4f4", borderRadius: "6px", padding: "4px", minHeight: "60px" }}
+        >
+          <strong>{dayNames[i]}</strong>
+          {programs
+            .filter((p) => p.parsed && p.parsed.days.includes(day))
+            .sort(
+              (a, b) =>
+                a.parsed.hour * 60 + a.parsed.minute - (b.parsed.hour * 60 + b.parsed.minute)
+            )
+            .map((p) => (
+              <div
+                key={p.id}
+                style={{
+                  background: "#dc2626",
+                  color: "white",
+                  borderRadius: "4px",
+                  margin: "2px 0",
+                  padding: "1px 3px",
+                }}
+              >
+                {String(p.parsed.hour).padStart(2, "0")}:{String(p.parsed.minute).padStart(2, "0")}{" "}
+                {p.parsed.relay}
+              </div>
+            ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Editor semanal: genera siempre un código válido (y campo de código en bruto para avanzados)
+function ProgramEditor({ device, onAdd }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [rawCode, setRawCode] = useState("");
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const dayNames = t("programs.days");
+
+  let draftCode = null;
+  let draftError = null;
+  try {
+    draftCode = draftToCode(draft, t);
+  } catch (e) {
+    draftError = e.message;
+  }
+  const rawError = rawCode ? validateProgramCode(rawCode) : null;
+
+  const toggleDay = (day) =>
+    setDraft((d) => ({
+      ...d,
+      days: d.days.includes(day) ? d.days.filter((x) => x !== day) : [...d.days, day],
+    }));
+
+  return (
+    <>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "6px",
+          fontSize: "14px",
+        }}
+      >
+        <select value={draft.relay} onChange={(e) => setDraft({ ...draft, relay: e.target.value })}>
+          {relayKeys(device).map((k) => (
+            <option key={k} value={k}>
+              {relayLabel(preferences, device, k)}
+            </option>
+          ))}
+        </select>
+        {DAYS.map((day, i) => (
+          <label key={day}>
+            <input
+              type="checkbox"
+              checked={draft.days.includes(day)}
+              onChange={() => toggleDay(day)}
+            />
+            {dayNames[i]}
+          </label>
+        ))}
+        <input
+          type="time"
+          value={draft.time}
+          onChange={(e) => setDraft({ ...draft, time: e.target.value })}
+        />
+        <input
+          type="number"
+          min="1"
+          value={draft.duration}
+          onChange={(e) => setDraft({ ...draft, duration: e.target.value })}
+          style={{ width: "60px" }}
+        />
+        <select value={draft.unit} onChange={(e) => setDraft({ ...draft, unit: e.target.value })}>
+          <option value="m">min</option>
+          <option value="h">h</option>
+        </select>
+        <code>{draftCode || "—"}</code>
+        <button
+          disabled={!draftCode}
+          onClick={() => {
+            onAdd(draftCode);
+            setDraft(EMPTY_DRAFT);
+          }}
+        >
+          {t("programs.add")}
+        </button>
+      </div>
+      {draftError && <div style={{ color: "red", fontSize: "12px" }}>{draftError}</div>}
+
+      {/* Código en bruto, para usuarios avanzados */}
+      <div style={{ fontSize: "14px", marginTop: "6px" }}>
+        <input
+          placeholder={t("programs.rawPlaceholder")}
+          value={rawCode}
+          onChange={(e) => setRawCode(e.target.value)}
+        />
+        <button
+          disabled={!rawCode || !!rawError}
+          onClick={() => {
+            onAdd(rawCode);
+            setRawCode("");
+          }}
+        >
+          {t("programs.addRaw")}
+        </button>
+        {rawError && <div style={{ color: "red", fontSize: "12px" }}>{rawError}</div>}
+      </div>
+    </>
+  );
+}
+
+export default function ProgramsPanel({ device }) {
+  const { programs, lastAck, refresh, add, remove } = usePrograms(device);
+  const { can } = useRole();
+  const canEdit = can("programs:edit");
+  const { preferences } = usePreferences();
+  const { t, formatTime } = useTranslation();
+  const describe = (parsed) =>
+    describeProgram(parsed, {
+      dayNames: t("programs.days"),
+      relayName: (key) => relayLabel(preferences, device, key),
+    });
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>
+        {t("programs.title", { name: device.name })}{" "}
+        <button onClick={refresh} style={{ margin: 0, padding: "2px 8px", fontSize: "0.85rem" }}>
+          {t("programs.refresh")}
+        </button>
+      </h4>
+
+      {canEdit && <ProgramEditor device={device} onAdd={add} />}
+
+      {lastAck && (
+        <div style={{ fontSize: "12px", color: "green" }}>
+          {t("programs.acked", { time: formatTime(lastAck.at) })} {String(lastAck.payload)}
+        </div>
+      )}
+
+      {programs === null ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("programs.waiting")}</p>
+      ) : programs.length === 0 ? (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("programs.empty")}</p>
+      ) : (
+        <>
+          <WeekView programs={programs} />
+          <ul style={{ fontSize: "14px" }}>
+            {programs.map((p) => (
+              <li key={p.id}>
+                <code>{p.code}</code> —{" "}
+                {p.parsed ? describe(p.parsed) : <span style={{ color: "red" }}>{p.error}</span>}
+                {p.desc && <em> ({p.desc})</em>}
+                {canEdit && (
+                  <button
+                    onClick={() => remove(p.id)}
+                    style={{ margin: "0 0 0 8px", padding: "2px 8px" }}
+                  >
+                    {t("programs.delete")}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/components/RelayConfirmDialog.js
+import React, { useState } from "react";
+import { relayPolicy } from "../config/devices";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { relayLabel } from "../preferences/preferencesStore";
+
+// Confirmación antes de accionar un relé, con nota (obligatoria si el relé es crítico)
+export default function RelayConfirmDialog({ device, relayKey, value, onConfirm, onCancel }) {
+  const [note, setNote] = useState("");
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const { critical, notes } = relayPolicy(device, relayKey);
+  const label = relayLabel(preferences, device, relayKey);
+  const noteMissing = notes === "required" && !note.trim();
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!noteMissing) onConfirm(note.trim());
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0, 0, 0, 0.4)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 10,
+      }}
+    >
+      <form
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="relay-confirm-title"
+        onSubmit={submit}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        style={{
+          background: "white",
+          borderRadius: "8px",
+          padding: "20px",
+          width: "min(420px, 90vw)",
+          textAlign: "left",
+          borderTop: critical ? "6px solid #dc2626" : undefined,
+        }}
+      >
+        <h4 id="relay-confirm-title" style={{ marginTop: 0 }}>
+          {t("confirm.title")}
+        </h4>
+        <p>
+          {t(value === "on" ? "confirm.switchOn" : "confirm.switchOff", {
+            label,
+            relay: relayKey,
+            device: device.name,
+          })}
+        </p>
+        {critical && <p style={{ color: "#dc2626", fontSize: "14px" }}>{t("confirm.critical")}</p>}
+        <label style={{ display: "block", fontSize: "14px" }}>
+          {t(notes === "required" ? "confirm.noteRequired" : "confirm.noteOptional")}
+          <textarea
+            autoFocus
+            rows={3}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t("confirm.notePlaceholder")}
+            style={{ display: "block", width: "100%", boxSizing: "border-box", marginTop: "4px" }}
+          />
+        </label>
+        <div style={{ textAlign: "right" }}>
+          <button type="button" onClick={onCancel}>
+            {t("common.cancel")}
+          </button>
+          <button type="submit" disabled={noteMissing}>
+            {t("common.confirm")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
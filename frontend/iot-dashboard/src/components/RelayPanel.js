@@ -0,0 +1,147 @@
+// src/components/RelayPanel.js
+import React, { useState } from "react";
+import RelayConfirmDialog from "./RelayConfirmDialog";
+import RelaySettings from "./RelaySettings";
+import { relayKeys, relayPolicy } from "../config/devices";
+import { isSettled } from "../commands/commandTracker";
+import { switchRelay } from "../commands/relayActions";
+import { useCommandHistory } from "../hooks/useCommandHistory";
+import { useRelayStates } from "../hooks/useRelayStates";
+import { useRole } from "../hooks/useRole";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { relayIcon, relayLabel, visibleRelayKeys } from "../preferences/preferencesStore";
+
+const ON_COLOR = "#dc2626"; // encendido: rojo
+const OFF_COLOR = "#e4e4e7"; // apagado: gris claro
+
+function RelayRow({ device, relayKey, name, icon, state, pending, readOnly, onRequest }) {
+  const { t, formatDateTime, formatTime } = useTranslation();
+  const status = state ? state.status : undefined;
+  const known = status === true || status === false;
+  let label = t(known ? (status ? "relays.on" : "relays.off") : "relays.unknown");
+  if (known && state.stale) label = `${label} ?`;
+  if (pending) {
+    const key = pending.status === "queued" ? "relays.queued" : "relays.sending";
+    label = t(key, { value: pending.value });
+  }
+
+  // El interruptor refleja el estado reportado, no el clic: solo cambia cuando llega kN/status
+  const toggle = () => onRequest(relayKey, status ? "off" : "on");
+
+  return (
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "120px 160px 1fr 1fr",
+        alignItems: "center",
+        gap: "10px",
+        padding: "8px",
+        borderBottom: "1px solid #ccc",
+      }}
+    >
+      <strong title={relayKey}>
+        {icon && `${icon} `}
+        {name}
+        {relayPolicy(device, relayKey).critical && <span title={t("relays.critical")}> ⚠️</span>}
+      </strong>
+
+      <label
+        style={{ display: "flex", alignItems: "center", gap: "6px" }}
+        title={readOnly ? t("relays.readOnly") : undefined}
+      >
+        <input
+          type="checkbox"
+          role="switch"
+          aria-label={name}
+          checked={status === true}
+          disabled={!!pending || readOnly}
+          onChange={toggle}
+        />
+        <span
+          title={state && state.stale ? t("relays.lastKnown") : undefined}
+          style={{
+            padding: "2px 8px",
+            borderRadius: "6px",
+            opacity: state && state.stale ? 0.6 : 1,
+            background: status ? ON_COLOR : OFF_COLOR,
+            color: status ? "white" : "#27272a",
+          }}
+        >
+          {label}
+        </span>
+      </label>
+
+      <span title={state && state.statusAt ? formatDateTime(state.statusAt) : ""}>
+        {t("relays.status")} {known ? t(status ? "common.on" : "common.off") : "—"}
+      </span>
+
+      <span
+        title={state && state.feedbackAt ? formatDateTime(state.feedbackAt) : ""}
+        style={{ color: state && state.feedback ? ON_COLOR : "#a1a1aa" }}
+      >
+        ● Rx {state && state.feedbackAt ? formatTime(state.feedbackAt) : "—"}
+      </span>
+    </div>
+  );
+}
+
+export default function RelayPanel({ device }) {
+  const relays = useRelayStates(device);
+  const commands = useCommandHistory(device.id);
+  const { can } = useRole();
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const [customizing, setCustomizing] = useState(false);
+  const [request, setRequest] = useState(null); // { relayKey, value } pendiente de confirmar
+  const [error, setError] = useState(null);
+
+  const hiddenCount = relayKeys(device).length - visibleRelayKeys(preferences, device).length;
+
+  const confirm = (note) => {
+    const { relayKey, value } = request;
+    setRequest(null);
+    setError(null);
+    switchRelay(device, relayKey, value, { note }).catch((e) => setError(e.message));
+  };
+
+  return (
+    <div style={{ marginTop: "10px", textAlign: "left" }}>
+      <h4>
+        {t("relays.title", { name: device.name })}{" "}
+        <button onClick={() => setCustomizing((c) => !c)} style={{ fontSize: "14px" }}>
+          {customizing ? t("common.close") : t("relays.customize")}
+        </button>
+      </h4>
+      {customizing && <RelaySettings device={device} />}
+      {visibleRelayKeys(preferences, device).map((key) => (
+        <RelayRow
+          key={key}
+          device={device}
+          relayKey={key}
+          name={relayLabel(preferences, device, key)}
+          icon={relayIcon(preferences, device, key)}
+          state={relays[key]}
+          pending={commands.find((c) => c.path === `${key}/set` && !isSettled(c.status))}
+          readOnly={!can("relay:switch")}
+          onRequest={(relayKey, value) => setRequest({ relayKey, value })}
+        />
+      ))}
+      {hiddenCount > 0 && (
+        <p style={{ fontSize: "14px", color: "#666" }}>
+          {t("relays.hidden", { count: hiddenCount })}
+        </p>
+      )}
+      {error && <p style={{ color: "#dc2626", fontSize: "14px" }}>{error}</p>}
+      {request && (
+        <RelayConfirmDialog
+          device={device}
+          relayKey={request.relayKey}
+          value={request.value}
+          onConfirm={confirm}
+          onCancel={() => setRequest(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import RelayPanel from "./RelayPanel";
+import { ConnectionContext } from "../connection/ConnectionProvider";
+import { createTopicRouter } from "../connection/topicRouter";
+import { resetCommands } from "../commands/commandTracker";
+import { setCurrentRole } from "../auth/roles";
+import { RoleContext } from "../auth/RoleProvider";
+import { PreferencesContext } from "../preferences/PreferencesProvider";
+import { createPreferencesStore } from "../preferences/preferencesStore";
+import { setLanguage } from "../i18n/i18n";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+  getCurrentUser: () => Promise.resolve({ username: "ana" }),
+}));
+
+const device = {
+  id: "d_001",
+  model: "mod_2x2",
+  name: "Riego",
+  relays: 2,
+  topicPrefix: "mod_2x2/d_001",
+  critical: ["k2"],
+};
+
+function setupPanel(
+  role = "operator",
+  preferences = createPreferencesStore({ userId: "ana", storage: null })
+) {
+  const router = createTopicRouter();
+  const manager = {
+    subscribe: router.add,
+    onStateChange: () => () => {},
+    getState: () => ({ status: "open" }),
+  };
+  render(
+    <PreferencesContext.Provider value={preferences}>
+      <RoleContext.Provider value={role}>
+        <ConnectionContext.Provider value={manager}>
+          <RelayPanel device={device} />
+        </ConnectionContext.Provider>
+      </RoleContext.Provider>
+    </PreferencesContext.Provider>
+  );
+  return (topic, payload) => act(() => router.dispatch({ topic, payload }));
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  resetCommands();
+  setCurrentRole("operator");
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+});
+
+test("pinta una fila por relé con el estado reportado", () => {
+  const publish = setupPanel();
+  expect(screen.getAllByRole("switch")).toHaveLength(2);
+
+  publish("mod_2x2/d_001/k2/status", "on");
+  expect(screen.getByRole("switch", { name: "Relé 2" })).toBeChecked();
+  expect(screen.getByRole("switch", { name: "Relé 1" })).not.toBeChecked();
+});
+
+test("el interruptor no cambia hasta que el dispositivo lo confirma", async () => {
+  const publish = setupPanel();
+  const k1 = screen.getByRole("switch", { name: "Relé 1" });
+
+  fireEvent.click(k1);
+  expect(global.fetch).not.toHaveBeenCalled(); // primero hay que confirmar
+  fireEvent.click(screen.getByRole("button", { name: "Confirmar" }));
+  await waitFor(() => expect(k1).toBeDisabled());
+  await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+    path: "k1/set",
+    value: "on",
+  });
+
+  publish("mod_2x2/d_001/k1/status", "on");
+  expect(k1).toBeChecked();
+});
+
+test("al volver a abrir muestra el último estado conocido hasta que el dispositivo informe", () => {
+  const publish = setupPanel();
+  publish("mod_2x2/d_001/k1/status", "on");
+  cleanup();
+
+  const publishAgain = setupPanel();
+  const k1 = screen.getByRole("switch", { name: "Relé 1" });
+  expect(k1).toBeChecked();
+  expect(screen.getByText("Encendido ?")).toBeInTheDocument();
+
+  publishAgain("mod_2x2/d_001/k1/status", "off");
+  expect(k1).not.toBeChecked();
+  expect(screen.getByText("Apagado")).toBeInTheDocument();
+});
+
+test("un viewer ve el estado pero no puede accionar", () => {
+  const publish = setupPanel("viewer");
+  publish("mod_2x2/d_001/k1/status", "on");
+  const k1 = screen.getByRole("switch", { name: "Relé 1" });
+  expect(k1).toBeChecked();
+  expect(k1).toBeDisabled();
+});
+
+test("cancelar el diálogo no envía nada", () => {
+  setupPanel();
+  fireEvent.click(screen.getByRole("switch", { name: "Relé 1" }));
+  fireEvent.click(screen.getByRole("button", { name: "Cancelar" }));
+  expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test("un relé crítico no se acciona sin nota", async () => {
+  setupPanel();
+  fireEvent.click(screen.getByRole("switch", { name: "Relé 2" }));
+  const confirm = screen.getByRole("button", { name: "Confirmar" });
+  expect(confirm).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText(/Nota \(obligatoria\)/), {
+    target: { value: "Mantenimiento bomba" },
+  });
+  fireEvent.click(confirm);
+  await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ path: "k2/set" });
+});
+
+test("aplica los nombres, el orden y los relés ocultos del usuario", () => {
+  const preferences = createPreferencesStore({ userId: "ana", storage: null });
+  preferences.setRelay(device, "k2", { name: "Bomba", icon: "💧" });
+  preferences.moveRelay(device, "k2", -1);
+  setupPanel("operator", preferences);
+  expect(screen.getAllByRole("switch").map((s) => s.getAttribute("aria-label"))).toEqual([
+    "Bomba",
+    "Relé 1",
+  ]);
+
+  act(() => preferences.setRelay(device, "k1", { hidden: true }));
+  expect(screen.getAllByRole("switch")).toHaveLength(1);
+  expect(screen.getByText(/1 relé\(s\) oculto\(s\)/)).toBeInTheDocument();
+});
+
+test("se traduce al cambiar de idioma", () => {
+  setupPanel();
+  expect(screen.getByText("Relés de Riego:")).toBeInTheDocument();
+  act(() => setLanguage("en"));
+  expect(screen.getByText("Riego relays:")).toBeInTheDocument();
+  expect(screen.getByRole("switch", { name: "Relay 1" })).toBeInTheDocument();
+  act(() => setLanguage("es"));
+});
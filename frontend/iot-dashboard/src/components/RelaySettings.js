@@ -0,0 +1,83 @@
+// src/components/RelaySettings.js
+import React from "react";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import {
+  customRelayName,
+  isRelayHidden,
+  orderedRelayKeys,
+  relayIcon,
+  RELAY_ICONS,
+} from "../preferences/preferencesStore";
+
+// Nombre, icono, orden y visibilidad de los relés (preferencias del usuario, no del dispositivo)
+export default function RelaySettings({ device }) {
+  const { preferences, store } = usePreferences();
+  const { t } = useTranslation();
+  const keys = orderedRelayKeys(preferences, device);
+
+  return (
+    <div
+      style={{
+        background: "#f4f4f4",
+        padding: "10px",
+        borderRadius: "8px",
+        fontSize: "14px",
+        marginBottom: "8px",
+      }}
+    >
+      {keys.map((key, index) => {
+        return (
+          <div
+            key={key}
+            style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px" }}
+          >
+            <code style={{ width: "30px" }}>{key}</code>
+            <input
+              aria-label={t("relaySettings.name", { relay: key })}
+              placeholder={t("relay.default", { n: key.slice(1) })}
+              value={customRelayName(preferences, device, key) || ""}
+              onChange={(e) => store.setRelay(device, key, { name: e.target.value })}
+            />
+            <select
+              aria-label={t("relaySettings.icon", { relay: key })}
+              value={relayIcon(preferences, device, key) || ""}
+              onChange={(e) => store.setRelay(device, key, { icon: e.target.value })}
+            >
+              <option value="">{t("relaySettings.noIcon")}</option>
+              {RELAY_ICONS.map((icon) => (
+                <option key={icon} value={icon}>
+                  {icon}
+                </option>
+              ))}
+            </select>
+            <label>
+              <input
+                type="checkbox"
+                checked={isRelayHidden(preferences, device, key)}
+                onChange={(e) => store.setRelay(device, key, { hidden: e.target.checked })}
+              />{" "}
+              {t("relaySettings.hide")}
+            </label>
+            <button
+              onClick={() => store.moveRelay(device, key, -1)}
+              disabled={index === 0}
+              title={t("relaySettings.up")}
+              style={{ margin: "2px", padding: "2px 8px" }}
+            >
+              ▲
+            </button>
+            <button
+              onClick={() => store.moveRelay(device, key, 1)}
+              disabled={index === keys.length - 1}
+              title={t("relaySettings.down")}
+              style={{ margin: "2px", padding: "2px 8px" }}
+            >
+              ▼
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+// src/components/RelayTimeline.js
+import React, { useEffect, useMemo, useState } from "react";
+import { useMessageLog } from "../hooks/useMessageLog";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { useNow } from "../hooks/usePresence";
+import { buildRelayIntervals, formatDuration, onTimeByRelay } from "../lib/timeline";
+import { addNote, loadNotes } from "../storage/notesStore";
+import { relayIcon, relayLabel, visibleRelayKeys } from "../preferences/preferencesStore";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+const SPANS = [
+  { id: "hour", ms: HOUR },
+  { id: "sixHours", ms: 6 * HOUR },
+  { id: "day", ms: DAY },
+  { id: "week", ms: 7 * DAY },
+  { id: "fourWeeks", ms: 28 * DAY },
+];
+const MIN_SPAN = 5 * MIN;
+const MAX_SPAN = 28 * DAY;
+
+// Geometría del SVG (viewBox fijo, se escala al ancho disponible)
+const WIDTH = 1000;
+const LABEL_W = 90;
+const TOTAL_W = 110;
+const ROW_H = 28;
+const AXIS_H = 24;
+const CHART_X0 = LABEL_W;
+const CHART_X1 = WIDTH - TOTAL_W;
+
+function formatTick(t, span, locale) {
+  const d = new Date(t);
+  const time = d.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+  if (span <= DAY) return time;
+  return `${d.toLocaleDateString(locale, { day: "2-digit", month: "2-digit" })} ${
+    span <= 7 * DAY ? time : ""
+  }`;
+}
+
+export default function RelayTimeline({ device }) {
+  const { messages } = useMessageLog();
+  const { preferences } = usePreferences();
+  const { t, locale, formatDateTime } = useTranslation();
+  const now = useNow(10000);
+  const [span, setSpan] = useState(DAY);
+  const [end, setEnd] = useState(null); // null = siguiendo "ahora"
+  const [notes, setNotes] = useState([]);
+  const [notesVersion, setNotesVersion] = useState(0);
+  const [noteText, setNoteText] = useState("");
+
+  const to = end ?? now;
+  const from = to - span;
+
+  const intervals = useMemo(
+    () => buildRelayIntervals(messages, device, { from, to }),
+    [messages, device, from, to]
+  );
+  const totals = useMemo(() => onTimeByRelay(intervals, device), [intervals, device]);
+
+  // Siguiendo "ahora" la consulta no tiene tope (una nota recién añadida es posterior a `now`)
+  // ni se repite en cada tick de useNow: las que salen por la izquierda se filtran al pintar
+  useEffect(() => {
+    let cancelled = false;
+    const queryTo = end ?? Infinity;
+    loadNotes(device.id, (end ?? Date.now()) - span, queryTo).then(
+      (n) => !cancelled && setNotes(n)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [device.id, end, span, notesVersion]);
+  const visibleNotes = notes.filter((n) => n.at >= from);
+
+  const moveTo = (newTo) => setEnd(newTo >= now ? null : newTo);
+  const pan = (direction) => moveTo(to + (direction * span) / 2);
+  const zoom = (factor) => {
+    const newSpan = Math.min(MAX_SPAN, Math.max(MIN_SPAN, span * factor));
+    const center = to - span / 2;
+    setSpan(newSpan);
+    moveTo(center + newSpan / 2);
+  };
+
+  const saveNote = async () => {
+    if (!noteText.trim()) return;
+    await addNote({ deviceId: device.id, text: noteText.trim() });
+    setNoteText("");
+    setNotesVersion((v) => v + 1);
+  };
+
+  const keys = visibleRelayKeys(preferences, device);
+  const height = AXIS_H + keys.length * ROW_H;
+  const x = (t) => CHART_X0 + ((t - from) / span) * (CHART_X1 - CHART_X0);
+  const ticks = Array.from({ length: 6 }, (_, i) => from + (i * span) / 5);
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>{t("timeline.title")}</h4>
+      <div style={{ fontSize: "14px", marginBottom: "6px" }}>
+        {SPANS.map((s) => (
+          <button
+            key={s.id}
+            onClick={() => setSpan(s.ms)}
+            style={{
+              fontWeight: span === s.ms ? "bold" : "normal",
+              margin: "2px",
+              padding: "4px 8px",
+            }}
+          >
+            {t(`timeline.span.${s.id}`)}
+          </button>
+        ))}
+        <button
+          onClick={() => zoom(1 / 2)}
+          style={{ margin: "2px", padding: "4px 8px" }}
+          title={t("timeline.zoomIn")}
+        >
+          ＋
+        </button>
+        <button
+          onClick={() => zoom(2)}
+          style={{ margin: "2px", padding: "4px 8px" }}
+          title={t("timeline.zoomOut")}
+        >
+          －
+        </button>
+        <button onClick={() => pan(-1)} style={{ margin: "2px", padding: "4px 8px" }}>
+          ◀
+        </button>
+        <button
+          onClick={() => pan(1)}
+          disabled={end === null}
+          style={{ margin: "2px", padding: "4px 8px" }}
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => setEnd(null)}
+          disabled={end === null}
+          style={{ margin: "2px", padding: "4px 8px" }}
+        >
+          {t("timeline.now")}
+        </button>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: "100%", background: "#fafafa" }}>
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line x1={x(tick)} x2={x(tick)} y1={0} y2={height - AXIS_H} stroke="#e4e4e7" />
+            <text x={x(tick)} y={height - 8} fontSize="11" textAnchor="middle" fill="#666">
+              {formatTick(tick, span, locale)}
+            </text>
+          </g>
+        ))}
+
+        {keys.map((relay, row) => (
+          <g key={relay} transform={`translate(0, ${row * ROW_H})`}>
+            <text x={4} y={ROW_H / 2 + 4} fontSize="12">
+              {[relayIcon(preferences, device, relay), relayLabel(preferences, device, relay)]
+                .filter(Boolean)
+                .join(" ")}
+            </text>
+            <rect
+              x={CHART_X0}
+              y={6}
+              width={CHART_X1 - CHART_X0}
+              height={ROW_H - 12}
+              fill="#e4e4e7"
+            />
+            {intervals
+              .filter((iv) => iv.relay === relay)
+              .map((iv) => (
+                <rect
+                  key={iv.start}
+                  x={x(iv.start)}
+                  y={6}
+                  width={Math.max(1, x(iv.end) - x(iv.start))}
+                  height={ROW_H - 12}
+                  fill="#dc2626"
+                >
+                  <title>
+                    {formatDateTime(iv.start)} – {formatDateTime(iv.end)} (
+                    {formatDuration(iv.end - iv.start)})
+                  </title>
+                </rect>
+              ))}
+            <text x={CHART_X1 + 8} y={ROW_H / 2 + 4} fontSize="12">
+              {formatDuration(totals[relay])}
+            </text>
+          </g>
+        ))}
+
+        {visibleNotes.map((n) => (
+          <g key={n.id}>
+            <line
+              x1={x(Math.min(n.at, to))}
+              x2={x(Math.min(n.at, to))}
+              y1={0}
+              y2={height - AXIS_H}
+              stroke="#2563eb"
+              strokeDasharray="3 3"
+            />
+            <circle cx={x(Math.min(n.at, to))} cy={4} r={4} fill="#2563eb">
+              <title>
+                {formatDateTime(n.at)}: {n.text}
+              </title>
+            </circle>
+          </g>
+        ))}
+      </svg>
+
+      <div style={{ fontSize: "14px", marginTop: "6px" }}>
+        <input
+          placeholder={t("timeline.notePlaceholder")}
+          value={noteText}
+          onChange={(e) => setNoteText(e.target.value)}
+          style={{ width: "60%" }}
+        />
+        <button onClick={saveNote} disabled={!noteText.trim()}>
+          {t("timeline.addNote")}
+        </button>
+        {visibleNotes.length > 0 && (
+          <ul style={{ fontSize: "12px", color: "#444" }}>
+            {visibleNotes.map((n) => (
+              <li key={n.id}>
+                <span style={{ fontFamily: "monospace" }}>{formatDateTime(n.at)}</span> — {n.text}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
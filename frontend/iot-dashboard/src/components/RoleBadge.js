@@ -0,0 +1,15 @@
+// src/components/RoleBadge.js
+import React from "react";
+import { useRole } from "../hooks/useRole";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function RoleBadge({ username }) {
+  const { role, loading } = useRole();
+  const { t } = useTranslation();
+
+  return (
+    <div style={{ fontSize: "14px", color: "#666" }}>
+      {username} · {loading ? "..." : t(`roles.${role}`)}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// src/components/SessionTimeoutWarning.js
+import React from "react";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Aviso con cuenta atrás antes de cerrar la sesión por inactividad
+export default function SessionTimeoutWarning({ remainingMs, onContinue }) {
+  const seconds = Math.ceil(remainingMs / 1000);
+  const { t } = useTranslation();
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0, 0, 0, 0.4)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 20,
+      }}
+    >
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-timeout-title"
+        style={{
+          background: "white",
+          borderRadius: "8px",
+          padding: "20px",
+          width: "min(380px, 90vw)",
+        }}
+      >
+        <h4 id="session-timeout-title" style={{ marginTop: 0 }}>
+          {t("session.title")}
+        </h4>
+        <p>{t("session.body", { seconds })}</p>
+        <button autoFocus onClick={onContinue}>
+          {t("session.continue")}
+        </button>
+      </div>
+    </div>
+  );
+}
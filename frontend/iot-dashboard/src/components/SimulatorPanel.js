@@ -0,0 +1,67 @@
+// src/components/SimulatorPanel.js
+import React from "react";
+import { useSimulator } from "../hooks/useSimulator";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Fallos del simulador que se pueden cambiar en caliente durante una demo
+function NumberField({ label, value, step, onChange }) {
+  return (
+    <label style={{ display: "block", margin: "4px 0" }}>
+      {label}{" "}
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Math.max(0, Number(e.target.value) || 0))}
+        style={{ width: "90px" }}
+      />
+    </label>
+  );
+}
+
+// Solo se muestra en modo simulador (?sim=1)
+export default function SimulatorPanel() {
+  const { devices, faults, simulator } = useSimulator();
+  const { t } = useTranslation();
+
+  return (
+    <details style={{ marginTop: "20px", textAlign: "left", fontSize: "14px" }}>
+      <summary>{t("simulator.title")}</summary>
+      <NumberField
+        label={t("simulator.latency")}
+        value={faults.latencyMs}
+        step="100"
+        onChange={(latencyMs) => simulator.setFaults({ latencyMs })}
+      />
+      <NumberField
+        label={t("simulator.dropRate")}
+        value={Math.round(faults.dropRate * 100)}
+        step="10"
+        onChange={(percent) => simulator.setFaults({ dropRate: Math.min(percent, 100) / 100 })}
+      />
+      <NumberField
+        label={t("simulator.disconnectEvery")}
+        value={faults.disconnectEveryMs / 1000}
+        step="10"
+        onChange={(seconds) => simulator.setFaults({ disconnectEveryMs: seconds * 1000 })}
+      />
+      <button onClick={simulator.dropConnection}>{t("simulator.disconnectNow")}</button>
+
+      <ul style={{ listStyle: "none", padding: 0 }}>
+        {simulator.devices.map((device) => (
+          <li key={device.id}>
+            <label>
+              <input
+                type="checkbox"
+                checked={devices[device.id].online}
+                onChange={(e) => simulator.setOnline(device.id, e.target.checked)}
+              />{" "}
+              {t("simulator.deviceOnline", { name: device.name })}
+            </label>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
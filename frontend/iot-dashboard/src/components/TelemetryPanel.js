@@ -0,0 +1,111 @@
+// src/components/TelemetryPanel.js
+import React, { useMemo, useState } from "react";
+import { WIDGETS } from "./TelemetryWidgets";
+import { useMessageLog } from "../hooks/useMessageLog";
+import { usePreferences } from "../hooks/usePreferences";
+import { useTranslation } from "../hooks/useTranslation";
+import { getDecoderRegistry } from "../telemetry/decoders";
+import { readings, telemetryTopics } from "../telemetry/series";
+
+// Gauge y sparkline solo tienen sentido con números
+const NUMERIC_WIDGETS = ["gauge", "sparkline"];
+
+let counter = 0;
+const newWidgetId = () => `widget-${Date.now().toString(36)}-${(counter += 1)}`;
+
+function AddWidget({ messages, registry, onAdd }) {
+  const { t } = useTranslation();
+  const [type, setType] = useState("gauge");
+  const [topic, setTopic] = useState("");
+  const topics = useMemo(
+    () => telemetryTopics(messages, registry, { numeric: NUMERIC_WIDGETS.includes(type) }),
+    [messages, registry, type]
+  );
+  const selected = topics.some((o) => o.topic === topic) ? topic : "";
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginTop: "8px" }}>
+      <select
+        aria-label={t("telemetry.widgetType")}
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+      >
+        {Object.keys(WIDGETS).map((key) => (
+          <option key={key} value={key}>
+            {t(`telemetry.widget.${key}`)}
+          </option>
+        ))}
+      </select>
+      <select
+        aria-label={t("telemetry.topic")}
+        value={selected}
+        onChange={(e) => setTopic(e.target.value)}
+      >
+        <option value="">{t("telemetry.pickTopic", { count: topics.length })}</option>
+        {topics.map((o) => (
+          <option key={o.topic} value={o.topic}>
+            {o.topic}
+          </option>
+        ))}
+      </select>
+      <button
+        disabled={!selected}
+        onClick={() => {
+          onAdd({ id: newWidgetId(), type, topic: selected });
+          setTopic("");
+        }}
+      >
+        {t("telemetry.addWidget")}
+      </button>
+    </div>
+  );
+}
+
+// Widgets (gauge, sparkline, último valor) de los topics de telemetría que elige el usuario
+export default function TelemetryPanel() {
+  const { messages } = useMessageLog();
+  const { preferences, store } = usePreferences();
+  const { t } = useTranslation();
+  const registry = getDecoderRegistry();
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h4>{t("telemetry.title")}</h4>
+      {preferences.widgets.length === 0 && (
+        <p style={{ fontSize: "14px", color: "#666" }}>{t("telemetry.empty")}</p>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "10px" }}>
+        {preferences.widgets.map((widget) => {
+          const Widget = WIDGETS[widget.type];
+          const decoder = registry.find(widget.topic) || {};
+          if (!Widget) return null;
+          return (
+            <div
+              key={widget.id}
+              style={{
+                background: "#f4f4f4",
+                borderRadius: "8px",
+                padding: "8px",
+                minWidth: "170px",
+                fontSize: "14px",
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", gap: "6px" }}>
+                <strong style={{ fontSize: "12px", wordBreak: "break-all" }}>{widget.topic}</strong>
+                <button
+                  onClick={() => store.removeWidget(widget.id)}
+                  aria-label={t("telemetry.removeWidget")}
+                  title={t("telemetry.removeWidget")}
+                >
+                  ✕
+                </button>
+              </div>
+              <Widget readings={readings(messages, registry, widget.topic)} decoder={decoder} />
+            </div>
+          );
+        })}
+      </div>
+      <AddWidget messages={messages} registry={registry} onAdd={store.addWidget} />
+    </div>
+  );
+}
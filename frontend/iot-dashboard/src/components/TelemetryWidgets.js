@@ -0,0 +1,109 @@
+// src/components/TelemetryWidgets.js
+// Widgets de telemetría en SVG (sin librerías de gráficos). Todos reciben las lecturas de
+// telemetry/series.js ({ at, value, display, warnings }, de la más antigua a la más reciente)
+// y el decodificador del topic (unidad, min, max).
+import React from "react";
+import { useTranslation } from "../hooks/useTranslation";
+
+const COLOR = "#1565c0";
+const WARN_COLOR = "#dc2626";
+
+const numeric = (list) => list.filter((r) => typeof r.value === "number");
+
+function Warnings({ reading }) {
+  if (!reading || !reading.warnings.length) return null;
+  return (
+    <span title={reading.warnings.join("\n")} style={{ color: WARN_COLOR }}>
+      {" "}
+      ⚠️
+    </span>
+  );
+}
+
+function NoData() {
+  const { t } = useTranslation();
+  return <div style={{ color: "#666" }}>{t("telemetry.noData")}</div>;
+}
+
+// Último valor decodificado (sirve para cualquier tipo) y cuándo llegó
+export function LastValue({ readings }) {
+  const { formatDateTime } = useTranslation();
+  const last = readings[readings.length - 1];
+  if (!last) return <NoData />;
+  return (
+    <div>
+      <div style={{ fontSize: "28px", fontWeight: "bold", wordBreak: "break-word" }}>
+        {last.display}
+        <Warnings reading={last} />
+      </div>
+      <div style={{ fontSize: "12px", color: "#666" }}>{formatDateTime(last.at)}</div>
+    </div>
+  );
+}
+
+// Semicírculo entre min y max del decodificador (o los extremos vistos si no los tiene)
+export function Gauge({ readings, decoder }) {
+  const values = numeric(readings);
+  const last = values[values.length - 1];
+  if (!last) return <NoData />;
+  const min = decoder.min ?? Math.min(...values.map((r) => r.value));
+  const max = decoder.max ?? Math.max(...values.map((r) => r.value));
+  const ratio = max > min ? Math.min(1, Math.max(0, (last.value - min) / (max - min))) : 1;
+  const angle = Math.PI * (1 - ratio);
+  const x = 60 + 50 * Math.cos(angle);
+  const y = 60 - 50 * Math.sin(angle);
+
+  return (
+    <svg viewBox="0 0 120 75" width="160" role="img" aria-label={last.display}>
+      <path d="M10 60 A50 50 0 0 1 110 60" fill="none" stroke="#e4e4e7" strokeWidth="10" />
+      {ratio > 0 && (
+        <path
+          d={`M10 60 A50 50 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)}`}
+          fill="none"
+          stroke={last.warnings.length ? WARN_COLOR : COLOR}
+          strokeWidth="10"
+        />
+      )}
+      <text x="60" y="56" textAnchor="middle" fontSize="14" fontWeight="bold">
+        {last.display}
+      </text>
+      <text x="10" y="73" textAnchor="middle" fontSize="8" fill="#666">
+        {min}
+      </text>
+      <text x="110" y="73" textAnchor="middle" fontSize="8" fill="#666">
+        {max}
+      </text>
+    </svg>
+  );
+}
+
+// Tendencia de las últimas lecturas numéricas
+export function Sparkline({ readings, width = 160, height = 40 }) {
+  const values = numeric(readings);
+  if (values.length < 2) return values.length ? <LastValue readings={values} /> : <NoData />;
+  const ys = values.map((r) => r.value);
+  const min = Math.min(...ys);
+  const span = Math.max(...ys) - min || 1;
+  const points = values
+    .map((r, i) => {
+      const x = (i / (values.length - 1)) * width;
+      const y = height - 2 - ((r.value - min) / span) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  const last = values[values.length - 1];
+
+  return (
+    <div>
+      <svg width={width} height={height} role="img" aria-label={last.display}>
+        <polyline points={points} fill="none" stroke={COLOR} strokeWidth="1.5" />
+      </svg>
+      <div style={{ fontSize: "14px" }}>
+        {last.display}
+        <Warnings reading={last} />
+      </div>
+    </div>
+  );
+}
+
+export const WIDGETS = { value: LastValue, gauge: Gauge, sparkline: Sparkline };
@@ -0,0 +1,39 @@
+// src/components/UpdatePrompt.js
+import React, { useState } from "react";
+import { useAppUpdate } from "../hooks/useAppUpdate";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Aviso fijo abajo cuando hay un build nuevo desplegado; no recarga sin permiso del usuario
+// (podría estar a mitad de una confirmación)
+export default function UpdatePrompt() {
+  const { available, apply } = useAppUpdate();
+  const [dismissed, setDismissed] = useState(false);
+  const { t } = useTranslation();
+
+  if (!available || dismissed) return null;
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        left: "50%",
+        bottom: "16px",
+        transform: "translateX(-50%)",
+        background: "#1565c0",
+        color: "white",
+        borderRadius: "8px",
+        padding: "10px 16px",
+        display: "flex",
+        alignItems: "center",
+        gap: "10px",
+        fontSize: "14px",
+        zIndex: 30,
+      }}
+    >
+      {t("update.available")}
+      <button onClick={apply}>{t("update.reload")}</button>
+      <button onClick={() => setDismissed(true)}>{t("update.later")}</button>
+    </div>
+  );
+}
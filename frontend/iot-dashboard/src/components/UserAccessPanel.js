@@ -0,0 +1,93 @@
+// src/components/UserAccessPanel.js
+import React, { useState } from "react";
+import { assignUserDevices, getDeviceAssignments } from "../api/deviceAssignments";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Solo administradores (users:manage): qué dispositivos ve otro usuario, por su identificador
+// (el que le muestra NoDevicesAssigned). Se ofrecen los dispositivos que ve el propio admin.
+export default function UserAccessPanel({ devices }) {
+  const { t } = useTranslation();
+  const [userSub, setUserSub] = useState("");
+  const [loadedSub, setLoadedSub] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [status, setStatus] = useState(null); // { text, error }
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      setStatus({ text: e.message, error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const load = (e) => {
+    e.preventDefault();
+    const sub = userSub.trim();
+    if (!sub) return;
+    run(async () => {
+      const assigned = await getDeviceAssignments().getUserDevices(sub);
+      setSelected(assigned.map((d) => d.id));
+      setLoadedSub(sub);
+      setStatus(null);
+    });
+  };
+
+  const save = () =>
+    run(async () => {
+      await assignUserDevices(loadedSub, selected);
+      setStatus({ text: t("access.saved", { user: loadedSub }) });
+    });
+
+  const toggle = (id) =>
+    setSelected((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]));
+
+  return (
+    <details style={{ marginTop: "20px", textAlign: "left", fontSize: "14px" }}>
+      <summary>{t("access.title")}</summary>
+      <form onSubmit={load} style={{ margin: "6px 0" }}>
+        <input
+          aria-label={t("access.user")}
+          placeholder={t("access.user")}
+          value={userSub}
+          onChange={(e) => setUserSub(e.target.value)}
+          style={{ width: "280px" }}
+        />{" "}
+        <button type="submit" disabled={busy || !userSub.trim()}>
+          {t("access.load")}
+        </button>
+      </form>
+
+      {loadedSub && (
+        <>
+          <div>{t("access.devicesOf", { user: loadedSub })}</div>
+          <ul style={{ listStyle: "none", padding: 0 }}>
+            {devices.map((device) => (
+              <li key={device.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(device.id)}
+                    onChange={() => toggle(device.id)}
+                  />{" "}
+                  {device.name} <span style={{ color: "#666" }}>({device.id})</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          <button onClick={save} disabled={busy}>
+            {t("access.save")}
+          </button>
+        </>
+      )}
+      {status && (
+        <div style={{ color: status.error ? "#dc2626" : "green", marginTop: "4px" }}>
+          {status.text}
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,30 @@
+// src/components/VirtualList.js
+// Lista virtualizada de altura de fila fija: solo pinta las filas visibles (+ margen),
+// así el log aguanta decenas de miles de mensajes.
+import React, { useState } from "react";
+
+export default function VirtualList({ items, rowHeight, height, overscan = 10, renderRow, style }) {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+  const visible = items.slice(first, last);
+
+  return (
+    <div
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ ...style, height, overflowY: "auto", position: "relative" }}
+    >
+      <div style={{ height: items.length * rowHeight, position: "relative" }}>
+        {visible.map((item, i) => (
+          <div
+            key={item.id ?? first + i}
+            style={{ position: "absolute", top: (first + i) * rowHeight, height: rowHeight, left: 0, right: 0 }}
+          >
+            {renderRow(item, first + i)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
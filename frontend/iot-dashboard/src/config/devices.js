@@ -0,0 +1,61 @@
+// src/config/devices.js
+// Registro de dispositivos: única fuente de la verdad para ids, modelos y topics.
+// Se puede sobrescribir en el build con REACT_APP_DEVICES (JSON con el mismo formato).
+// Qué dispositivos ve cada usuario lo decide el servicio de asignación (api/deviceAssignments.js).
+
+// Campos opcionales de cada dispositivo:
+//   critical: ["k1", ...]        relés críticos (accionarlos exige escribir una nota)
+//   notes: "optional" | "required" nota al accionar cualquier relé (por defecto opcional)
+const DEFAULT_DEVICES = [
+  { id: "d_000", model: "mod_1x1", relays: 1, name: "Placa principal" },
+];
+
+export function normalizeDevice(raw) {
+  if (!raw || !raw.id || !raw.model) {
+    throw new Error(`Dispositivo mal definido en el registro: ${JSON.stringify(raw)}`);
+  }
+  return {
+    id: raw.id,
+    model: raw.model,
+    name: raw.name || raw.id,
+    relays: Number(raw.relays) > 0 ? Number(raw.relays) : 1,
+    topicPrefix: raw.topicPrefix || `${raw.model}/${raw.id}`,
+    critical: Array.isArray(raw.critical) ? raw.critical : [],
+    notes: raw.notes === "required" ? "required" : "optional",
+  };
+}
+
+function loadDevices() {
+  const fromEnv = process.env.REACT_APP_DEVICES;
+  if (fromEnv) {
+    try {
+      return JSON.parse(fromEnv).map(normalizeDevice);
+    } catch (e) {
+      console.error("REACT_APP_DEVICES no es válido, se usa el registro por defecto", e);
+    }
+  }
+  return DEFAULT_DEVICES.map(normalizeDevice);
+}
+
+export const DEVICES = loadDevices();
+
+export function getDevice(id) {
+  return DEVICES.find((d) => d.id === id) || null;
+}
+
+// deviceTopic(device, "k1", "status") → "mod_1x1/d_000/k1/status"
+export function deviceTopic(device, ...parts) {
+  return [device.topicPrefix, ...parts].join("/");
+}
+
+// ["k1", "k2", ...] según el número de relés del dispositivo
+export function relayKeys(device) {
+  return Array.from({ length: device.relays }, (_, i) => `k${i + 1}`);
+}
+
+// Cómo se confirma el accionamiento de un relé: siempre con diálogo; nota obligatoria
+// en los relés críticos o si el dispositivo la exige para todos
+export function relayPolicy(device, relayKey) {
+  const critical = (device.critical || []).includes(relayKey);
+  return { critical, notes: critical || device.notes === "required" ? "required" : "optional" };
+}
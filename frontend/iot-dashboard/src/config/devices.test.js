@@ -0,0 +1,29 @@
+import {
+  DEVICES,
+  deviceTopic,
+  getDevice,
+  normalizeDevice,
+  relayKeys,
+  relayPolicy,
+} from "./devices";
+
+test("deriva los topics a partir del registro", () => {
+  const device = getDevice("d_000");
+  expect(deviceTopic(device, "answerInfo")).toBe("mod_1x1/d_000/answerInfo");
+  expect(deviceTopic(device, "k1", "status")).toBe("mod_1x1/d_000/k1/status");
+});
+
+test("genera las claves de relé según el número de relés", () => {
+  expect(relayKeys({ ...DEVICES[0], relays: 3 })).toEqual(["k1", "k2", "k3"]);
+});
+
+test("devuelve null para dispositivos desconocidos", () => {
+  expect(getDevice("nope")).toBeNull();
+});
+
+test("los relés críticos y los dispositivos con notas obligatorias exigen nota", () => {
+  const device = normalizeDevice({ id: "d_001", model: "mod_2x2", relays: 2, critical: ["k2"] });
+  expect(relayPolicy(device, "k1")).toEqual({ critical: false, notes: "optional" });
+  expect(relayPolicy(device, "k2")).toEqual({ critical: true, notes: "required" });
+  expect(relayPolicy({ ...device, notes: "required" }, "k1").notes).toBe("required");
+});
@@ -0,0 +1,161 @@
+// src/config/runtimeConfig.js
+// Configuración de endpoints por entorno. Orden de prioridad (de menor a mayor):
+//   1. valores del entorno con nombre (ENVIRONMENTS[environment])
+//   2. variables REACT_APP_* del build (REACT_APP_ENV, REACT_APP_API_URL, REACT_APP_WS_URL,
+//      REACT_APP_DEVICES_SOURCE, REACT_APP_PREFERENCES_SYNC, REACT_APP_TRANSPORT,
+//      REACT_APP_IOT_ENDPOINT, REACT_APP_IOT_REGION)
+//   3. public/config.json, si existe (se lee una vez al arrancar; permite reapuntar un build
+//      ya desplegado, p. ej. a un backend local)
+//   4. parámetros de la URL del modo simulador (?sim=1, ver fromUrl)
+// config.json admite además sessionTimeouts: { viewer, operator, admin } en minutos
+// (ver auth/sessionTimeout.js), presence: { staleAfterMs, offlineAfterMs, probeIntervalMs... }
+// (ver presence/presenceEngine.js), decoders: [{ pattern, type, unit... }] para los payloads de
+// telemetría (ver telemetry/decoders.js) y dedupWindowMs, la ventana de supresión de mensajes
+// duplicados en ms (ver connection/dedup.js).
+
+export const ENVIRONMENTS = {
+  dev: {
+    label: "DEV",
+    color: "#f59e0b",
+    apiUrl: "https://kl7d93xve4.execute-api.eu-west-1.amazonaws.com/dev/",
+    // La API WebSocket aún no tiene stage de dev: sin REACT_APP_WS_URL ni config.json el panel
+    // abre sin tiempo real ("Desconectado"), nunca contra el WebSocket de producción
+    wsUrl: null,
+    devicesSource: "api", // "api" | "mock": de dónde salen los dispositivos de cada usuario
+    // "apigateway" (WebSocket + POST) | "mqtt" (directo a AWS IoT, ver connection/transport.js)
+    transport: "apigateway",
+    iotEndpoint: null, // xxxxxxxx-ats.iot.eu-west-1.amazonaws.com (solo con transport "mqtt")
+  },
+  prod: {
+    label: "PROD",
+    color: "#dc2626",
+    // Sin valores por defecto: deben llegar por REACT_APP_* o config.json
+    apiUrl: null,
+    wsUrl: null,
+    devicesSource: "api",
+    transport: "apigateway",
+    iotEndpoint: null,
+  },
+  local: {
+    label: "LOCAL",
+    color: "#2563eb",
+    apiUrl: "http://localhost:3001/",
+    wsUrl: "ws://localhost:3001/",
+    devicesSource: "mock",
+    transport: "apigateway",
+    iotEndpoint: null,
+  },
+};
+
+export const DEFAULT_ENVIRONMENT = "dev";
+
+// La API siempre hace falta (dispositivos, preferencias...); con MQTT además el endpoint de AWS
+// IoT. Sin wsUrl el panel abre desconectado (ver connectionManager). El simulador no necesita
+// ningún endpoint.
+function requiredKeys(config) {
+  if (config.simulator) return [];
+  return config.transport === "mqtt" ? ["apiUrl", "iotEndpoint"] : ["apiUrl"];
+}
+
+// La región va en el propio endpoint de AWS IoT
+function regionFromEndpoint(endpoint) {
+  const match = /\.iot\.([a-z0-9-]+)\.amazonaws\.com/.exec(endpoint || "");
+  return match ? match[1] : null;
+}
+
+function fromBuildEnv() {
+  const env = process.env;
+  const overrides = {};
+  if (env.REACT_APP_API_URL) overrides.apiUrl = env.REACT_APP_API_URL;
+  if (env.REACT_APP_WS_URL) overrides.wsUrl = env.REACT_APP_WS_URL;
+  if (env.REACT_APP_DEVICES_SOURCE) overrides.devicesSource = env.REACT_APP_DEVICES_SOURCE;
+  // Sincronizar las preferencias de usuario con el backend (por defecto solo localStorage)
+  if (env.REACT_APP_PREFERENCES_SYNC) {
+    overrides.preferencesSync = env.REACT_APP_PREFERENCES_SYNC === "true";
+  }
+  if (env.REACT_APP_TRANSPORT) overrides.transport = env.REACT_APP_TRANSPORT;
+  if (env.REACT_APP_IOT_ENDPOINT) overrides.iotEndpoint = env.REACT_APP_IOT_ENDPOINT;
+  if (env.REACT_APP_IOT_REGION) overrides.iotRegion = env.REACT_APP_IOT_REGION;
+  if (env.REACT_APP_SIMULATOR === "true") overrides.simulator = true;
+  return { environment: env.REACT_APP_ENV || DEFAULT_ENVIRONMENT, overrides };
+}
+
+// Modo simulador desde la URL, para demos con cualquier build:
+//   ?sim=1&simDevices=5&simLatency=2000&simDrop=0.2&simDisconnect=60000&simRole=viewer
+export function fromUrl(search) {
+  const params = new URLSearchParams(search);
+  if (!params.get("sim") || params.get("sim") === "0") return {};
+  const simulator = {};
+  const numbers = {
+    simDevices: "devices",
+    simLatency: "latencyMs",
+    simDrop: "dropRate",
+    simDisconnect: "disconnectEveryMs",
+  };
+  Object.entries(numbers).forEach(([param, key]) => {
+    const value = Number(params.get(param));
+    if (params.has(param) && Number.isFinite(value)) simulator[key] = value;
+  });
+  if (params.get("simRole")) simulator.role = params.get("simRole");
+  return { simulator };
+}
+
+// El simulador puede activarse en cualquier fuente (true o { ajustes }) y sus ajustes se combinan.
+// Activo, sustituye al transporte y a los dispositivos de la API.
+function applySimulator(config, layers) {
+  const active = layers.filter(Boolean);
+  if (!active.length) return config;
+  return {
+    ...config,
+    simulator: Object.assign({}, ...active.map((layer) => (layer === true ? {} : layer))),
+    transport: "simulator",
+    devicesSource: "mock",
+    preferencesSync: false,
+  };
+}
+
+// Combina las fuentes y valida que no falte ningún endpoint
+export function resolveConfig(buildEnv, fileConfig = {}, urlConfig = {}) {
+  const { environment: fileEnvironment, ...fileOverrides } = fileConfig;
+  const environment = fileEnvironment || buildEnv.environment;
+  const base = ENVIRONMENTS[environment];
+  if (!base) {
+    throw new Error(
+      `Entorno desconocido "${environment}" (válidos: ${Object.keys(ENVIRONMENTS).join(", ")})`
+    );
+  }
+
+  const config = applySimulator({ environment, ...base, ...buildEnv.overrides, ...fileOverrides }, [
+    buildEnv.overrides.simulator,
+    fileOverrides.simulator,
+    urlConfig.simulator,
+  ]);
+  if (!config.iotRegion) config.iotRegion = regionFromEndpoint(config.iotEndpoint);
+  const missing = requiredKeys(config).filter((key) => !config[key]);
+  if (missing.length) {
+    throw new Error(`Falta configuración para el entorno "${environment}": ${missing.join(", ")}`);
+  }
+  return config;
+}
+
+let current = null;
+
+// Se llama una vez en index.js antes de pintar la app
+export async function loadConfig() {
+  let fileConfig = {};
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/config.json`, { cache: "no-store" });
+    const type = response.headers.get("content-type") || "";
+    // El dev server devuelve index.html para rutas inexistentes
+    if (response.ok && type.includes("json")) fileConfig = await response.json();
+  } catch (e) {
+    console.warn("Sin config.json, se usa la configuración del build", e);
+  }
+  current = resolveConfig(fromBuildEnv(), fileConfig, fromUrl(window.location.search));
+  return current;
+}
+
+export function getConfig() {
+  if (!current) current = resolveConfig(fromBuildEnv(), {}, fromUrl(window.location.search));
+  return current;
+}
@@ -0,0 +1,81 @@
+import { fromUrl, resolveConfig } from "./runtimeConfig";
+
+test("usa los endpoints del entorno con nombre", () => {
+  const config = resolveConfig({ environment: "local", overrides: {} });
+  expect(config).toMatchObject({
+    environment: "local",
+    label: "LOCAL",
+    apiUrl: "http://localhost:3001/",
+    wsUrl: "ws://localhost:3001/",
+  });
+});
+
+test("las variables del build y config.json sobrescriben por ese orden", () => {
+  const config = resolveConfig(
+    { environment: "dev", overrides: { apiUrl: "https://build/", wsUrl: "wss://build" } },
+    { wsUrl: "ws://localhost:9000" }
+  );
+  expect(config.apiUrl).toBe("https://build/");
+  expect(config.wsUrl).toBe("ws://localhost:9000");
+});
+
+test("config.json puede cambiar de entorno", () => {
+  const config = resolveConfig({ environment: "dev", overrides: {} }, { environment: "local" });
+  expect(config.wsUrl).toBe("ws://localhost:3001/");
+});
+
+test("falla con un mensaje claro si faltan endpoints o el entorno no existe", () => {
+  expect(() => resolveConfig({ environment: "prod", overrides: {} })).toThrow(/"prod": apiUrl$/);
+  expect(() => resolveConfig({ environment: "staging", overrides: {} })).toThrow(
+    /Entorno desconocido/
+  );
+});
+
+const devWs = { wsUrl: "wss://dev-ws/" };
+
+test("dev no usa por defecto el WebSocket de producción y abre sin él", () => {
+  expect(resolveConfig({ environment: "dev", overrides: {} }).wsUrl).toBeNull();
+  expect(resolveConfig({ environment: "dev", overrides: devWs }).wsUrl).toBe("wss://dev-ws/");
+});
+
+test("local usa el servicio de dispositivos simulado salvo que se indique otro", () => {
+  expect(resolveConfig({ environment: "local", overrides: {} }).devicesSource).toBe("mock");
+  expect(resolveConfig({ environment: "dev", overrides: devWs }).devicesSource).toBe("api");
+  const config = resolveConfig({
+    environment: "dev",
+    overrides: { ...devWs, devicesSource: "mock" },
+  });
+  expect(config.devicesSource).toBe("mock");
+});
+
+test("el transporte MQTT exige el endpoint de AWS IoT y saca la región de él", () => {
+  expect(resolveConfig({ environment: "dev", overrides: devWs }).transport).toBe("apigateway");
+  expect(() => resolveConfig({ environment: "dev", overrides: { transport: "mqtt" } })).toThrow(
+    /iotEndpoint/
+  );
+  const config = resolveConfig(
+    { environment: "prod", overrides: { apiUrl: "https://api/" } },
+    { transport: "mqtt", iotEndpoint: "abc123-ats.iot.eu-west-1.amazonaws.com" }
+  );
+  expect(config).toMatchObject({ transport: "mqtt", iotRegion: "eu-west-1", wsUrl: null });
+});
+
+test("?sim=1 activa el simulador sin endpoints y combina sus ajustes con config.json", () => {
+  expect(fromUrl("?foo=1")).toEqual({});
+  expect(fromUrl("?sim=0")).toEqual({});
+  expect(fromUrl("?sim=1&simDevices=5&simDrop=0.2&simLatency=x&simRole=viewer")).toEqual({
+    simulator: { devices: 5, dropRate: 0.2, role: "viewer" },
+  });
+
+  const config = resolveConfig(
+    { environment: "prod", overrides: {} },
+    { simulator: { latencyMs: 1000, devices: 2 } },
+    fromUrl("?sim=1&simDevices=4")
+  );
+  expect(config).toMatchObject({
+    transport: "simulator",
+    devicesSource: "mock",
+    preferencesSync: false,
+    simulator: { latencyMs: 1000, devices: 4 },
+  });
+});
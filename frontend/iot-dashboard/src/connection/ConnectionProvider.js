@@ -0,0 +1,23 @@
+// src/connection/ConnectionProvider.js
+import React, { createContext, useEffect, useState } from "react";
+import { createTransport, setActiveTransport } from "./transport";
+import { getConfig } from "../config/runtimeConfig";
+
+export const ConnectionContext = createContext(null);
+
+// El transporte (API Gateway o MQTT) sale de la configuración; se puede pasar uno ya creado.
+// options: ver createConnectionManager (pingIntervalMs, maxDelayMs, dedupWindowMs...)
+export function ConnectionProvider({ transport: provided, options, children }) {
+  const [transport] = useState(() => provided || createTransport(getConfig(), options));
+
+  useEffect(() => {
+    setActiveTransport(transport);
+    transport.connect();
+    return () => {
+      transport.close();
+      setActiveTransport(null);
+    };
+  }, [transport]);
+
+  return <ConnectionContext.Provider value={transport}>{children}</ConnectionContext.Provider>;
+}
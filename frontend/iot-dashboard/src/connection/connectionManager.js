@@ -0,0 +1,288 @@
+// src/connection/connectionManager.js
+// Dueño único del WebSocket: reconexión con backoff exponencial + jitter,
+// keep-alive "ping", supresión de duplicados y reparto de mensajes IoT por topic.
+// Lo que viaja por el socket lo decide el protocolo (JSON de API Gateway por defecto, MQTT
+// en connection/mqttProtocol.js).
+//
+// Estados: "connecting" → "open" → "reconnecting" → ... | "closed" (cierre manual)
+
+import { createTopicRouter } from "./topicRouter";
+import { createDeduplicator, DEFAULT_DEDUP_WINDOW_MS } from "./dedup";
+
+const DEFAULTS = {
+  pingIntervalMs: 60000,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  dedupWindowMs: DEFAULT_DEDUP_WINDOW_MS,
+};
+
+// Protocolo del WebSocket de API Gateway: JSON { topic, payload, correlationId? } y "ping" de texto.
+// Un protocolo crea una sesión por socket con:
+//   open()                   → { ready, send }: tramas al abrir y si la conexión ya está lista
+//   receive(raw)             → { ready?, error?, messages, send }
+//   ping()                   → trama de keep-alive
+//   subscribe/unsubscribe(p) → tramas para el servidor ([] si filtra él)
+//   publish(topic, payload)  → { frame, done } (opcional: API Gateway publica por POST)
+//   disconnect()             → tramas antes de un cierre manual
+//   close()                  → el socket se ha cerrado
+export const JSON_PROTOCOL = {
+  createSession: () => ({
+    open: () => ({ ready: true, send: [] }),
+    receive(raw) {
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch (e) {
+        console.error("Error parsing WS message", e, raw);
+        return { messages: [], send: [] };
+      }
+      if (data && data.topic && data.payload !== undefined) return { messages: [data], send: [] };
+      console.log("⚪ Mensaje ignorado (no es de IoT):", data);
+      return { messages: [], send: [] };
+    },
+    ping: () => "ping",
+    subscribe: () => [],
+    unsubscribe: () => [],
+    disconnect: () => [],
+    close() {},
+  }),
+};
+
+export const MISSING_URL_ERROR =
+  "Falta la URL del WebSocket (wsUrl en config.json o REACT_APP_WS_URL)";
+
+// "Full jitter": espera aleatoria entre 0 y min(max, base * 2^intento)
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * cap);
+}
+
+export function createConnectionManager({
+  url,
+  WebSocketImpl = WebSocket,
+  protocol = JSON_PROTOCOL,
+  ...options
+}) {
+  const config = { ...DEFAULTS, ...options };
+  let socket = null;
+  let session = null;
+  let ready = false; // socket abierto y protocolo listo (p. ej. CONNACK de MQTT recibido)
+  let state = { status: "closed", lastError: null, attempt: 0 };
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let stopped = true;
+  let openGeneration = 0;
+  const stateListeners = new Set();
+  const router = createTopicRouter();
+  const dedup = createDeduplicator({ windowMs: config.dedupWindowMs });
+  let diagnostics = { received: 0, delivered: 0, suppressed: 0, lastSuppressed: null };
+  const diagnosticsListeners = new Set();
+
+  function setState(changes) {
+    state = { ...state, ...changes };
+    stateListeners.forEach((l) => l(state));
+  }
+
+  function count(changes) {
+    diagnostics = { ...diagnostics, ...changes };
+    diagnosticsListeners.forEach((l) => l(diagnostics));
+  }
+
+  function clearTimers() {
+    clearTimeout(reconnectTimer);
+    clearInterval(pingTimer);
+    reconnectTimer = null;
+    pingTimer = null;
+  }
+
+  function sendFrames(frames, ws = socket) {
+    frames.forEach((frame) => ws.send(frame));
+  }
+
+  function scheduleReconnect() {
+    const delay = backoffDelay(state.attempt, config);
+    console.log(`❌ WebSocket cerrado, reintentando en ${delay} ms...`);
+    setState({ status: "reconnecting", attempt: state.attempt + 1 });
+    reconnectTimer = setTimeout(open, delay);
+  }
+
+  // url puede ser una función async (p. ej. para añadir un token fresco en cada reconexión)
+  function open() {
+    if (state.status !== "reconnecting") setState({ status: "connecting" });
+    if (typeof url !== "function") {
+      openSocket(url);
+      return;
+    }
+
+    openGeneration += 1;
+    const generation = openGeneration;
+    Promise.resolve()
+      .then(url)
+      .then(
+        (target) => {
+          if (!stopped && generation === openGeneration) openSocket(target);
+        },
+        (err) => {
+          if (stopped || generation !== openGeneration) return;
+          console.error("⚠️ No se pudo preparar la URL del WebSocket:", err);
+          setState({ lastError: err && err.message ? err.message : "Error de conexión" });
+          scheduleReconnect();
+        }
+      );
+  }
+
+  function markReady(ws) {
+    ready = true;
+    setState({ status: "open", attempt: 0, lastError: null });
+    // Tras cada (re)conexión se repiten las suscripciones vivas
+    router.patterns().forEach((pattern) => sendFrames(session.subscribe(pattern)));
+    pingTimer = setInterval(() => {
+      if (ws.readyState === WebSocketImpl.OPEN) ws.send(session.ping());
+    }, config.pingIntervalMs);
+  }
+
+  function deliver(data) {
+    if (dedup.isDuplicate(data)) {
+      count({
+        received: diagnostics.received + 1,
+        suppressed: diagnostics.suppressed + 1,
+        lastSuppressed: { topic: data.topic, at: Date.now() },
+      });
+      return;
+    }
+    count({ received: diagnostics.received + 1, delivered: diagnostics.delivered + 1 });
+    router.dispatch(data);
+  }
+
+  function openSocket(target) {
+    const ws = protocol.subprotocol
+      ? new WebSocketImpl(target, protocol.subprotocol)
+      : new WebSocketImpl(target);
+    if (protocol.binaryType) ws.binaryType = protocol.binaryType;
+    socket = ws;
+    const wsSession = protocol.createSession();
+    session = wsSession;
+    ready = false;
+
+    ws.onopen = () => {
+      console.log("✅ WebSocket conectado");
+      const opened = wsSession.open();
+      sendFrames(opened.send, ws);
+      if (opened.ready) markReady(ws);
+    };
+
+    ws.onmessage = (event) => {
+      const result = wsSession.receive(event.data);
+      sendFrames(result.send, ws);
+      if (result.error) {
+        console.error("⚠️ Conexión rechazada:", result.error);
+        setState({ lastError: result.error });
+        ws.close();
+        return;
+      }
+      if (result.ready && !ready) markReady(ws);
+      result.messages.forEach(deliver);
+    };
+
+    ws.onerror = (err) => {
+      console.error("⚠️ Error en WebSocket:", err);
+      setState({ lastError: err && err.message ? err.message : "Error de conexión" });
+    };
+
+    ws.onclose = (event) => {
+      if (ws !== socket) return; // socket antiguo, ya sustituido
+      clearTimers();
+      wsSession.close();
+      socket = null;
+      ready = false;
+      if (stopped) {
+        setState({ status: "closed" });
+        return;
+      }
+      if (event && event.code !== 1000 && !state.lastError) {
+        setState({ lastError: `Conexión cerrada (código ${event.code})` });
+      }
+      scheduleReconnect();
+    };
+  }
+
+  return {
+    // Sin url (p. ej. dev sin wsUrl configurado) no se intenta: queda "closed" con el motivo
+    connect() {
+      if (!stopped) return;
+      if (!url) {
+        setState({ status: "closed", attempt: 0, lastError: MISSING_URL_ERROR });
+        return;
+      }
+      stopped = false;
+      setState({ attempt: 0, lastError: null });
+      open();
+    },
+
+    close() {
+      stopped = true;
+      clearTimers();
+      if (socket) {
+        if (ready) sendFrames(session.disconnect());
+        socket.close(1000);
+      } else {
+        setState({ status: "closed" });
+      }
+    },
+
+    send(message) {
+      if (!socket || socket.readyState !== WebSocketImpl.OPEN) return false;
+      socket.send(typeof message === "string" ? message : JSON.stringify(message));
+      return true;
+    },
+
+    // Solo con protocolos que publican por el socket (MQTT)
+    publish(topic, payload) {
+      if (!session || !session.publish) {
+        return Promise.reject(new Error("Este protocolo no publica por el WebSocket"));
+      }
+      if (!ready) return Promise.reject(new Error("Sin conexión"));
+      const { frame, done } = session.publish(topic, payload);
+      socket.send(frame);
+      return done;
+    },
+
+    // pattern admite comodines MQTT (+, #); handler(data, topic). Devuelve la función para desuscribirse.
+    // El servidor solo recibe la suscripción con el primer manejador de cada patrón.
+    subscribe(pattern, handler) {
+      const remove = router.add(pattern, handler);
+      if (ready && router.count(pattern) === 1) sendFrames(session.subscribe(pattern));
+      return () => {
+        if (remove() && ready && router.count(pattern) === 0) {
+          sendFrames(session.unsubscribe(pattern));
+        }
+      };
+    },
+
+    // Quita todos los manejadores de pattern
+    unsubscribe(pattern) {
+      if (router.remove(pattern) && ready) sendFrames(session.unsubscribe(pattern));
+    },
+
+    onStateChange(listener) {
+      stateListeners.add(listener);
+      return () => stateListeners.delete(listener);
+    },
+
+    getState() {
+      return state;
+    },
+
+    // Contadores de mensajes: { received, delivered, suppressed, lastSuppressed }
+    onDiagnosticsChange(listener) {
+      diagnosticsListeners.add(listener);
+      return () => diagnosticsListeners.delete(listener);
+    },
+
+    getDiagnostics() {
+      return diagnostics;
+    },
+
+    dedupWindowMs: config.dedupWindowMs,
+  };
+}
@@ -0,0 +1,146 @@
+import { MISSING_URL_ERROR, backoffDelay, createConnectionManager } from "./connectionManager";
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+  send(msg) {
+    this.sent.push(msg);
+  }
+  close(code = 1006) {
+    this.readyState = 3;
+    this.onclose({ code });
+  }
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+  receive(data) {
+    this.onmessage({ data: JSON.stringify(data) });
+  }
+}
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+  jest.useFakeTimers();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.log.mockRestore();
+});
+
+test("el backoff crece exponencialmente con tope", () => {
+  const opts = { baseDelayMs: 1000, maxDelayMs: 8000 };
+  const max = () => 1;
+  expect(backoffDelay(0, opts, max)).toBe(1000);
+  expect(backoffDelay(2, opts, max)).toBe(4000);
+  expect(backoffDelay(10, opts, max)).toBe(8000);
+  expect(backoffDelay(3, opts, () => 0.5)).toBe(4000);
+});
+
+test("expone el estado y reconecta tras un cierre inesperado", () => {
+  const manager = createConnectionManager({ url: "wss://x", WebSocketImpl: FakeSocket });
+  manager.connect();
+  expect(manager.getState().status).toBe("connecting");
+
+  latest().open();
+  expect(manager.getState().status).toBe("open");
+
+  latest().close(1006);
+  expect(manager.getState()).toMatchObject({ status: "reconnecting", attempt: 1 });
+
+  jest.advanceTimersByTime(30000);
+  expect(FakeSocket.instances).toHaveLength(2);
+  latest().open();
+  expect(manager.getState()).toMatchObject({ status: "open", attempt: 0, lastError: null });
+});
+
+test("el cierre manual no reconecta", () => {
+  const manager = createConnectionManager({ url: "wss://x", WebSocketImpl: FakeSocket });
+  manager.connect();
+  latest().open();
+  manager.close();
+  jest.advanceTimersByTime(60000);
+  expect(manager.getState().status).toBe("closed");
+  expect(FakeSocket.instances).toHaveLength(1);
+});
+
+test("sin URL no intenta conectar y queda desconectado con el motivo", () => {
+  const manager = createConnectionManager({ url: null, WebSocketImpl: FakeSocket });
+  manager.connect();
+  jest.advanceTimersByTime(60000);
+  expect(FakeSocket.instances).toHaveLength(0);
+  expect(manager.getState()).toMatchObject({ status: "closed", lastError: MISSING_URL_ERROR });
+});
+
+test("reparte los mensajes IoT por topic", () => {
+  const manager = createConnectionManager({ url: "wss://x", WebSocketImpl: FakeSocket });
+  const exact = jest.fn();
+  const all = jest.fn();
+  manager.subscribe("mod_1x1/d_000/will", exact);
+  const unsubscribe = manager.subscribe("#", all);
+  manager.connect();
+  latest().open();
+
+  latest().receive({ topic: "mod_1x1/d_000/will", payload: "hi!" });
+  latest().receive({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  latest().receive({ message: "no IoT" });
+  expect(exact).toHaveBeenCalledTimes(1);
+  expect(all).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  latest().receive({ topic: "mod_1x1/d_000/will", payload: "byebye" });
+  expect(all).toHaveBeenCalledTimes(2);
+});
+
+test("envía el ping de keep-alive mientras está abierto", () => {
+  const manager = createConnectionManager({
+    url: "wss://x",
+    WebSocketImpl: FakeSocket,
+    pingIntervalMs: 1000,
+  });
+  manager.connect();
+  latest().open();
+  jest.advanceTimersByTime(2000);
+  expect(latest().sent).toEqual(["ping", "ping"]);
+});
+
+test("no entrega duplicados y los cuenta en el diagnóstico", () => {
+  const manager = createConnectionManager({ url: "wss://x", WebSocketImpl: FakeSocket });
+  const handler = jest.fn();
+  manager.subscribe("#", handler);
+  manager.connect();
+  latest().open();
+
+  latest().receive({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  latest().receive({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(manager.getDiagnostics()).toMatchObject({ received: 2, delivered: 1, suppressed: 1 });
+});
+
+test("admite una URL asíncrona que se resuelve en cada conexión", async () => {
+  let n = 0;
+  const url = jest.fn(async () => `wss://x?token=t${++n}`);
+  const manager = createConnectionManager({ url, WebSocketImpl: FakeSocket });
+  manager.connect();
+  await flushPromises();
+  expect(latest().url).toBe("wss://x?token=t1");
+
+  latest().open();
+  latest().close(1006);
+  jest.advanceTimersByTime(30000);
+  await flushPromises();
+  expect(latest().url).toBe("wss://x?token=t2");
+});
@@ -0,0 +1,69 @@
+// src/connection/dedup.js
+// Supresión de duplicados (p. ej. el fan-out de API Gateway a varias conexiones). Dentro de la
+// ventana windowMs un mensaje es duplicado si:
+//   - trae id (id o messageId) y ese id ya se vio,
+//   - trae timestamp y ya se vio el mismo (topic, payload, timestamp),
+//   - o, sin ninguno de los dos, repite el último payload de su topic.
+// Así on → off → on del mismo relé llega entero aunque los tres quepan en la ventana.
+
+export const DEFAULT_DEDUP_WINDOW_MS = 2000;
+
+const payloadText = (payload) =>
+  typeof payload === "object" ? JSON.stringify(payload) : String(payload);
+
+// Clave exacta del mensaje, o null si no trae id ni timestamp
+function messageKey(data) {
+  const id = data.id ?? data.messageId;
+  if (id !== undefined && id !== null) return `id:${id}`;
+  if (data.timestamp === undefined || data.timestamp === null) return null;
+  return `${data.topic}|${payloadText(data.payload)}|${data.timestamp}`;
+}
+
+export function createDeduplicator({ windowMs = DEFAULT_DEDUP_WINDOW_MS, now = Date.now } = {}) {
+  const seen = new Map(); // clave → primera vez vista (dentro de la ventana)
+  const lastByTopic = new Map(); // topic → { payload, at } del último payload distinto
+  let lastPurge = 0;
+
+  function purge(t) {
+    seen.forEach((at, key) => {
+      if (t - at > windowMs) seen.delete(key);
+    });
+    lastByTopic.forEach((last, topic) => {
+      if (t - last.at > windowMs) lastByTopic.delete(topic);
+    });
+    lastPurge = t;
+  }
+
+  // Se guarda la primera vez que se vio: las copias no alargan la ventana, así un estado
+  // que se repite más a menudo que windowMs vuelve a pasar en cuanto caduca
+  function isRecentKey(key, t) {
+    const first = seen.get(key);
+    if (first !== undefined && t - first <= windowMs) return true;
+    seen.set(key, t);
+    return false;
+  }
+
+  function repeatsLastPayload(data, t) {
+    const payload = payloadText(data.payload);
+    const last = lastByTopic.get(data.topic);
+    if (last && last.payload === payload && t - last.at <= windowMs) return true;
+    lastByTopic.set(data.topic, { payload, at: t });
+    return false;
+  }
+
+  return {
+    windowMs,
+
+    isDuplicate(data) {
+      const t = now();
+      if (t - lastPurge > windowMs) purge(t);
+      const key = messageKey(data);
+      return key ? isRecentKey(key, t) : repeatsLastPayload(data, t);
+    },
+
+    reset() {
+      seen.clear();
+      lastByTopic.clear();
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { createDeduplicator } from "./dedup";
+
+function setup(windowMs = 1000) {
+  let t = 0;
+  const dedup = createDeduplicator({ windowMs, now: () => t });
+  return { dedup, advance: (ms) => (t += ms) };
+}
+
+test("suprime copias intercaladas dentro de la ventana", () => {
+  const { dedup } = setup();
+  const a = { topic: "mod_1x1/d_000/k1/status", payload: "on" };
+  const b = { topic: "mod_1x1/d_000/k2/status", payload: "off" };
+  expect(dedup.isDuplicate(a)).toBe(false);
+  expect(dedup.isDuplicate(b)).toBe(false);
+  expect(dedup.isDuplicate({ ...a })).toBe(true);
+  expect(dedup.isDuplicate({ ...b })).toBe(true);
+});
+
+test("deja pasar estados repetidos fuera de la ventana", () => {
+  const { dedup, advance } = setup();
+  const msg = { topic: "mod_1x1/d_000/k1/status", payload: "on" };
+  expect(dedup.isDuplicate(msg)).toBe(false);
+  advance(1500);
+  expect(dedup.isDuplicate(msg)).toBe(false);
+});
+
+test("no alarga la ventana con cada copia de un estado que se repite", () => {
+  const { dedup, advance } = setup(2000);
+  const msg = { topic: "mod_1x1/d_000/k1/status", payload: "on" };
+  const seen = [0, 1500, 1500, 1500].map((ms) => {
+    advance(ms);
+    return dedup.isDuplicate(msg);
+  });
+  // 0 s pasa, 1.5 s es copia, 3 s pasa (ventana de la primera caducada), 4.5 s es copia
+  expect(seen).toEqual([false, true, false, true]);
+});
+
+test("deja pasar on → off → on del mismo relé dentro de la ventana", () => {
+  const { dedup, advance } = setup(2000);
+  const topic = "mod_1x1/d_000/k1/status";
+  const seen = ["on", "off", "on", "on"].map((payload) => {
+    advance(300);
+    return dedup.isDuplicate({ topic, payload });
+  });
+  expect(seen).toEqual([false, false, false, true]);
+});
+
+test("distingue mensajes iguales con distinto timestamp", () => {
+  const { dedup } = setup();
+  const msg = { topic: "mod_1x1/d_000/hb", payload: "ping" };
+  expect(dedup.isDuplicate({ ...msg, timestamp: 1 })).toBe(false);
+  expect(dedup.isDuplicate({ ...msg, timestamp: 2 })).toBe(false);
+  expect(dedup.isDuplicate({ ...msg, timestamp: 2 })).toBe(true);
+});
+
+test("usa el id del mensaje cuando existe", () => {
+  const { dedup } = setup();
+  expect(dedup.isDuplicate({ id: "m1", topic: "a", payload: "x" })).toBe(false);
+  expect(dedup.isDuplicate({ id: "m2", topic: "a", payload: "x" })).toBe(false);
+  expect(dedup.isDuplicate({ id: "m1", topic: "a", payload: "y" })).toBe(true);
+});
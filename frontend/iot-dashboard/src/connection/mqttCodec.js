@@ -0,0 +1,158 @@
+// src/connection/mqttCodec.js
+// Codificación de los paquetes MQTT 3.1.1 que usa el panel (lo justo para AWS IoT Core):
+// CONNECT, PUBLISH (QoS 0/1), PUBACK, SUBSCRIBE, UNSUBSCRIBE, PINGREQ y DISCONNECT de salida;
+// CONNACK, PUBLISH, PUBACK, SUBACK, UNSUBACK y PINGRESP de entrada.
+// Usa TextEncoder/TextDecoder para los textos UTF-8.
+// Ref.: https://docs.oasis-open.org/mqtt/mqtt/v3.1.1/os/mqtt-v3.1.1-os.html
+
+const TYPES = {
+  1: "connect",
+  2: "connack",
+  3: "publish",
+  4: "puback",
+  8: "subscribe",
+  9: "suback",
+  10: "unsubscribe",
+  11: "unsuback",
+  12: "pingreq",
+  13: "pingresp",
+  14: "disconnect",
+};
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+// Longitud restante: 7 bits por byte, el bit alto indica que sigue otro byte
+function encodeLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return bytes;
+}
+
+const uint16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+
+function string(text) {
+  const bytes = utf8(text);
+  return [...uint16(bytes.length), ...bytes];
+}
+
+function packet(firstByte, body) {
+  return new Uint8Array([firstByte, ...encodeLength(body.length), ...body]);
+}
+
+export function encodeConnect({ clientId, keepAliveSec, username, password }) {
+  let flags = 0x02; // clean session
+  if (username) flags |= 0x80;
+  if (password) flags |= 0x40;
+  return packet(0x10, [
+    ...string("MQTT"),
+    4, // nivel de protocolo 3.1.1
+    flags,
+    ...uint16(keepAliveSec),
+    ...string(clientId),
+    ...(username ? string(username) : []),
+    ...(password ? string(password) : []),
+  ]);
+}
+
+export function encodePublish({ topic, payload, qos = 0, packetId, retain = false }) {
+  const data = typeof payload === "string" ? utf8(payload) : payload;
+  return packet(0x30 | (qos << 1) | (retain ? 1 : 0), [
+    ...string(topic),
+    ...(qos > 0 ? uint16(packetId) : []),
+    ...data,
+  ]);
+}
+
+export const encodePuback = (packetId) => packet(0x40, uint16(packetId));
+
+export function encodeSubscribe(packetId, topics, qos = 0) {
+  return packet(0x82, [...uint16(packetId), ...topics.flatMap((t) => [...string(t), qos])]);
+}
+
+export function encodeUnsubscribe(packetId, topics) {
+  return packet(0xa2, [...uint16(packetId), ...topics.flatMap(string)]);
+}
+
+export const encodePingreq = () => packet(0xc0, []);
+export const encodeDisconnect = () => packet(0xe0, []);
+
+function decodePacket(type, flags, body) {
+  const read16 = (at) => (body[at] << 8) | body[at + 1];
+  switch (type) {
+    case "connack":
+      return { type, sessionPresent: !!(body[0] & 1), returnCode: body[1] };
+    case "publish": {
+      const qos = (flags >> 1) & 3;
+      const topicLength = read16(0);
+      const topic = new TextDecoder().decode(body.subarray(2, 2 + topicLength));
+      let offset = 2 + topicLength;
+      let packetId = null;
+      if (qos > 0) {
+        packetId = read16(offset);
+        offset += 2;
+      }
+      const payload = new TextDecoder().decode(body.subarray(offset));
+      return { type, topic, payload, qos, packetId, retain: !!(flags & 1) };
+    }
+    case "puback":
+    case "unsuback":
+      return { type, packetId: read16(0) };
+    case "suback":
+      return { type, packetId: read16(0), granted: Array.from(body.subarray(2)) };
+    case "subscribe":
+    case "unsubscribe": {
+      // Solo los envía el cliente; decodificarlos sirve para los tests y el simulador
+      const topics = [];
+      let offset = 2;
+      while (offset < body.length) {
+        const length = read16(offset);
+        topics.push(new TextDecoder().decode(body.subarray(offset + 2, offset + 2 + length)));
+        offset += 2 + length + (type === "subscribe" ? 1 : 0);
+      }
+      return { type, packetId: read16(0), topics };
+    }
+    default:
+      return { type };
+  }
+}
+
+// Un mensaje del WebSocket puede traer varios paquetes o solo un trozo de uno:
+// el lector acumula los bytes y devuelve los paquetes completos en cada feed().
+export function createPacketReader() {
+  let buffer = new Uint8Array(0);
+
+  return {
+    feed(chunk) {
+      const joined = new Uint8Array(buffer.length + chunk.length);
+      joined.set(buffer);
+      joined.set(chunk, buffer.length);
+      buffer = joined;
+
+      const packets = [];
+      for (;;) {
+        if (buffer.length < 2) break;
+        let length = 0;
+        let multiplier = 1;
+        let offset = 1;
+        let byte;
+        do {
+          if (offset >= buffer.length) return packets; // longitud aún incompleta
+          byte = buffer[offset++];
+          length += (byte & 0x7f) * multiplier;
+          multiplier *= 128;
+        } while (byte & 0x80);
+        if (buffer.length < offset + length) break;
+
+        const type = TYPES[buffer[0] >> 4] || "unknown";
+        packets.push(decodePacket(type, buffer[0] & 0x0f, buffer.slice(offset, offset + length)));
+        buffer = buffer.slice(offset + length);
+      }
+      return packets;
+    },
+  };
+}
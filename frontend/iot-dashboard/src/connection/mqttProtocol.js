@@ -0,0 +1,110 @@
+// src/connection/mqttProtocol.js
+// Protocolo MQTT para el gestor de conexión (ver JSON_PROTOCOL en connectionManager.js):
+// la conexión está lista al recibir el CONNACK, las suscripciones van al broker y las
+// publicaciones son QoS 1 (la promesa se resuelve con el PUBACK).
+import {
+  createPacketReader,
+  encodeConnect,
+  encodeDisconnect,
+  encodePingreq,
+  encodePuback,
+  encodePublish,
+  encodeSubscribe,
+  encodeUnsubscribe,
+} from "./mqttCodec";
+
+export const MQTT_DEFAULTS = {
+  keepAliveSec: 120, // el gestor envía PINGREQ cada pingIntervalMs (60 s por defecto)
+  publishTimeoutMs: 10000,
+};
+
+// AWS IoT desconecta al cliente anterior si otro se conecta con el mismo id: uno por pestaña
+function randomClientId() {
+  const random =
+    typeof crypto !== "undefined" && crypto.randomUUID
+      ? crypto.randomUUID()
+      : Math.random().toString(16).slice(2);
+  return `iot-dashboard-${random}`;
+}
+
+export function createMqttProtocol({
+  clientId = randomClientId(),
+  keepAliveSec = MQTT_DEFAULTS.keepAliveSec,
+  publishTimeoutMs = MQTT_DEFAULTS.publishTimeoutMs,
+} = {}) {
+  return {
+    subprotocol: "mqtt",
+    binaryType: "arraybuffer",
+    clientId,
+
+    createSession() {
+      const reader = createPacketReader();
+      const pending = new Map(); // packetId → { resolve, reject, timer }
+      let lastId = 0;
+      const nextId = () => (lastId = (lastId % 0xffff) + 1);
+
+      function settle(packetId, error) {
+        const entry = pending.get(packetId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        pending.delete(packetId);
+        if (error) entry.reject(error);
+        else entry.resolve();
+      }
+
+      return {
+        open: () => ({ ready: false, send: [encodeConnect({ clientId, keepAliveSec })] }),
+
+        receive(raw) {
+          const result = { messages: [], send: [] };
+          reader.feed(new Uint8Array(raw)).forEach((packet) => {
+            switch (packet.type) {
+              case "connack":
+                if (packet.returnCode === 0) result.ready = true;
+                else result.error = `El broker rechazó la conexión (código ${packet.returnCode})`;
+                break;
+              case "publish":
+                result.messages.push({ topic: packet.topic, payload: packet.payload });
+                if (packet.qos === 1) result.send.push(encodePuback(packet.packetId));
+                break;
+              case "puback":
+                settle(packet.packetId);
+                break;
+              case "suback":
+                if (packet.granted.includes(0x80)) {
+                  console.error("⚠️ El broker rechazó una suscripción (¿política de AWS IoT?)");
+                }
+                break;
+              default: // pingresp, unsuback
+                break;
+            }
+          });
+          return result;
+        },
+
+        ping: () => encodePingreq(),
+        subscribe: (pattern) => [encodeSubscribe(nextId(), [pattern], 1)],
+        unsubscribe: (pattern) => [encodeUnsubscribe(nextId(), [pattern])],
+
+        publish(topic, payload) {
+          const packetId = nextId();
+          const done = new Promise((resolve, reject) => {
+            const timer = setTimeout(
+              () => settle(packetId, new Error("El broker no confirmó la publicación")),
+              publishTimeoutMs
+            );
+            pending.set(packetId, { resolve, reject, timer });
+          });
+          return { frame: encodePublish({ topic, payload, qos: 1, packetId }), done };
+        },
+
+        disconnect: () => [encodeDisconnect()],
+
+        // El socket se ha cerrado: lo que no se haya confirmado ya no se confirmará
+        close() {
+          [...pending.keys()].forEach((id) => settle(id, new Error("Conexión MQTT cerrada")));
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,152 @@
+import { createConnectionManager } from "./connectionManager";
+import { createMqttProtocol } from "./mqttProtocol";
+import { createPacketReader, encodePublish } from "./mqttCodec";
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+  constructor(url, subprotocol) {
+    this.url = url;
+    this.subprotocol = subprotocol;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+  send(frame) {
+    this.sent.push(frame);
+  }
+  close(code = 1006) {
+    this.readyState = 3;
+    this.onclose({ code });
+  }
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+  receive(bytes) {
+    this.onmessage({ data: new Uint8Array(bytes).buffer });
+  }
+  // Paquetes enviados, ya decodificados
+  packets() {
+    const reader = createPacketReader();
+    return this.sent.flatMap((frame) => reader.feed(frame));
+  }
+}
+
+const CONNACK_OK = [0x20, 2, 0, 0];
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+function setupManager() {
+  const manager = createConnectionManager({
+    url: "wss://iot/mqtt",
+    WebSocketImpl: FakeSocket,
+    protocol: createMqttProtocol({ clientId: "test-client" }),
+  });
+  manager.connect();
+  latest().open();
+  return manager;
+}
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+  jest.useFakeTimers();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.log.mockRestore();
+});
+
+test("abre con CONNECT y no está conectado hasta el CONNACK", () => {
+  const manager = setupManager();
+  expect(latest().subprotocol).toBe("mqtt");
+  expect(
+    latest()
+      .packets()
+      .map((p) => p.type)
+  ).toEqual(["connect"]);
+  expect(manager.getState().status).toBe("connecting");
+
+  latest().receive(CONNACK_OK);
+  expect(manager.getState().status).toBe("open");
+});
+
+test("un CONNACK con error cierra y reintenta", () => {
+  const manager = setupManager();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  latest().receive([0x20, 2, 0, 5]);
+  expect(manager.getState()).toMatchObject({ status: "reconnecting" });
+  expect(manager.getState().lastError).toMatch(/código 5/);
+  console.error.mockRestore();
+});
+
+test("se suscribe en el broker una vez por patrón y repite las suscripciones al reconectar", () => {
+  const manager = setupManager();
+  const first = manager.subscribe("mod_1x1/d_000/#", () => {});
+  manager.subscribe("mod_1x1/d_000/#", () => {});
+  latest().receive(CONNACK_OK);
+  manager.subscribe("mod_1x1/+/will", () => {});
+  first();
+
+  const subscribed = (socket) =>
+    socket
+      .packets()
+      .filter((p) => p.type === "subscribe")
+      .map((p) => p.topics);
+  expect(subscribed(latest())).toEqual([["mod_1x1/d_000/#"], ["mod_1x1/+/will"]]);
+
+  latest().close(1006);
+  jest.advanceTimersByTime(30000);
+  latest().open();
+  latest().receive(CONNACK_OK);
+  expect(subscribed(latest())).toEqual([["mod_1x1/d_000/#"], ["mod_1x1/+/will"]]);
+
+  manager.unsubscribe("mod_1x1/+/will");
+  expect(latest().packets().pop()).toMatchObject({ type: "unsubscribe" });
+});
+
+test("entrega los PUBLISH aunque lleguen juntos o partidos", () => {
+  const manager = setupManager();
+  const handler = jest.fn();
+  manager.subscribe("mod_1x1/d_000/#", handler);
+  latest().receive(CONNACK_OK);
+
+  const a = encodePublish({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  const b = encodePublish({ topic: "mod_1x1/d_000/will", payload: "byebye", qos: 1, packetId: 7 });
+  const both = [...a, ...b];
+  latest().receive(both.slice(0, 5));
+  latest().receive(both.slice(5));
+
+  expect(handler.mock.calls.map(([data]) => data)).toEqual([
+    { topic: "mod_1x1/d_000/k1/status", payload: "on" },
+    { topic: "mod_1x1/d_000/will", payload: "byebye" },
+  ]);
+  // QoS 1: se confirma al broker
+  expect(latest().packets().pop()).toEqual({ type: "puback", packetId: 7 });
+});
+
+test("publish espera el PUBACK y falla si se cae la conexión", async () => {
+  const manager = setupManager();
+  await expect(manager.publish("mod_1x1/d_000/k1/set", "on")).rejects.toThrow(/Sin conexión/);
+  latest().receive(CONNACK_OK);
+
+  const sent = manager.publish("mod_1x1/d_000/k1/set", "on");
+  const packet = latest().packets().pop();
+  expect(packet).toMatchObject({ type: "publish", topic: "mod_1x1/d_000/k1/set", payload: "on" });
+  latest().receive([0x40, 2, 0, packet.packetId]);
+  await expect(sent).resolves.toBeUndefined();
+
+  const lost = manager.publish("mod_1x1/d_000/k1/set", "off");
+  latest().close(1006);
+  await expect(lost).rejects.toThrow(/cerrada/);
+});
+
+test("el cierre manual envía DISCONNECT", () => {
+  const manager = setupManager();
+  latest().receive(CONNACK_OK);
+  const socket = latest();
+  manager.close();
+  expect(socket.packets().pop()).toEqual({ type: "disconnect" });
+  expect(manager.getState().status).toBe("closed");
+});
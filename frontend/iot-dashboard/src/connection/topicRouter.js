@@ -0,0 +1,99 @@
+// src/connection/topicRouter.js
+// Enrutado de mensajes IoT por patrón de topic con la semántica de MQTT:
+//   "+" → exactamente un nivel     mod_1x1/+/k1/status
+//   "#" → cero o más niveles (al final)   mod_1x1/d_000/#
+import { t } from "../i18n/i18n";
+
+export function validatePattern(pattern) {
+  const levels = pattern.split("/");
+  levels.forEach((level, i) => {
+    if (level.includes("#") && (level !== "#" || i !== levels.length - 1)) {
+      throw new Error(t("topics.error.hash", { pattern }));
+    }
+    if (level.includes("+") && level !== "+") {
+      throw new Error(t("topics.error.plus", { pattern }));
+    }
+  });
+}
+
+// Devuelve los niveles capturados por los comodines, o null si no coincide.
+export function matchTopic(pattern, topic) {
+  const p = pattern.split("/");
+  const t = topic.split("/");
+  const captured = [];
+
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === "#") {
+      captured.push(t.slice(i).join("/"));
+      return captured;
+    }
+    if (i >= t.length) return null;
+    if (p[i] === "+") captured.push(t[i]);
+    else if (p[i] !== t[i]) return null;
+  }
+  return p.length === t.length ? captured : null;
+}
+
+// "mod_1x1/d_000/k1/status" → { model: "mod_1x1", device: "d_000", relay: "k1", leaf: "status" }
+// "mod_1x1/d_000/will"      → { model: "mod_1x1", device: "d_000", relay: null, leaf: "will" }
+export function parseTopic(topic) {
+  const segments = topic.split("/");
+  const relay = segments[2] && /^k\d+$/.test(segments[2]) ? segments[2] : null;
+  return {
+    model: segments[0] || null,
+    device: segments[1] || null,
+    relay,
+    leaf: segments.length > 2 ? segments[segments.length - 1] : null,
+    segments,
+  };
+}
+
+export function createTopicRouter() {
+  const routes = new Set();
+
+  return {
+    // handler(data, topic) con topic = parseTopic(data.topic) + { wildcards }
+    add(pattern, handler) {
+      validatePattern(pattern);
+      const route = { pattern, handler };
+      routes.add(route);
+      return () => routes.delete(route);
+    },
+
+    // Quita todos los manejadores de pattern; devuelve si había alguno
+    remove(pattern) {
+      let removed = false;
+      routes.forEach((route) => {
+        if (route.pattern === pattern) removed = routes.delete(route);
+      });
+      return removed;
+    },
+
+    count(pattern) {
+      let n = 0;
+      routes.forEach((route) => {
+        if (route.pattern === pattern) n += 1;
+      });
+      return n;
+    },
+
+    // Patrones distintos con algún manejador
+    patterns() {
+      return [...new Set([...routes].map((route) => route.pattern))];
+    },
+
+    dispatch(data) {
+      let parsed = null;
+      routes.forEach((route) => {
+        const wildcards = matchTopic(route.pattern, data.topic);
+        if (!wildcards) return;
+        if (!parsed) parsed = parseTopic(data.topic);
+        try {
+          route.handler(data, { ...parsed, wildcards });
+        } catch (e) {
+          console.error("Error en el manejador de", route.pattern, e);
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import { createTopicRouter, matchTopic, parseTopic, validatePattern } from "./topicRouter";
+
+test("+ coincide con exactamente un nivel", () => {
+  expect(matchTopic("mod_1x1/+/k1/status", "mod_1x1/d_007/k1/status")).toEqual(["d_007"]);
+  expect(matchTopic("mod_1x1/+/k1/status", "mod_1x1/d_007/k2/status")).toBeNull();
+  expect(matchTopic("mod_1x1/+", "mod_1x1/d_000/will")).toBeNull();
+});
+
+test("# coincide con cero o más niveles al final", () => {
+  expect(matchTopic("mod_1x1/d_000/#", "mod_1x1/d_000/k1/status")).toEqual(["k1/status"]);
+  expect(matchTopic("mod_1x1/d_000/#", "mod_1x1/d_000")).toEqual([""]);
+  expect(matchTopic("#", "a/b")).toEqual(["a/b"]);
+  expect(matchTopic("mod_1x1/d_000/#", "mod_2x2/d_000/will")).toBeNull();
+});
+
+test("los topics exactos siguen funcionando", () => {
+  expect(matchTopic("mod_1x1/d_000/will", "mod_1x1/d_000/will")).toEqual([]);
+  expect(matchTopic("mod_1x1/d_000/will", "mod_1x1/d_000/will/x")).toBeNull();
+});
+
+test("rechaza patrones mal formados", () => {
+  expect(() => validatePattern("a/#/b")).toThrow();
+  expect(() => validatePattern("a/k+/b")).toThrow();
+  expect(() => validatePattern("a/+/#")).not.toThrow();
+});
+
+test("descompone el topic en modelo, dispositivo, relé y hoja", () => {
+  expect(parseTopic("mod_1x1/d_000/k3/feedback")).toMatchObject({
+    model: "mod_1x1",
+    device: "d_000",
+    relay: "k3",
+    leaf: "feedback",
+  });
+  expect(parseTopic("mod_1x1/d_000/will")).toMatchObject({ relay: null, leaf: "will" });
+});
+
+test("el router entrega data y segmentos a cada handler coincidente", () => {
+  const router = createTopicRouter();
+  const handler = jest.fn();
+  const remove = router.add("mod_1x1/+/+/status", handler);
+  router.dispatch({ topic: "mod_1x1/d_001/k2/status", payload: "on" });
+  expect(handler).toHaveBeenCalledWith(
+    { topic: "mod_1x1/d_001/k2/status", payload: "on" },
+    expect.objectContaining({ device: "d_001", relay: "k2", wildcards: ["d_001", "k2"] })
+  );
+  remove();
+  router.dispatch({ topic: "mod_1x1/d_001/k2/status", payload: "off" });
+  expect(handler).toHaveBeenCalledTimes(1);
+});
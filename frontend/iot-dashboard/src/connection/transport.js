@@ -0,0 +1,106 @@
+// src/connection/transport.js
+// Transporte de mensajes IoT: la interfaz IMqttClient del prototipo (App_borrar.js) en JS, para
+// que la UI no sepa si habla con API Gateway o directamente con AWS IoT Core.
+//
+//   connect() / close()
+//   publish(topic, payload, { deviceId, path, correlationId }) → Promise
+//   subscribe(pattern, handler(data, topic))  → función para desuscribirse
+//   unsubscribe(pattern)                      quita todos los manejadores del patrón
+//   onStateChange / getState                  { status, lastError, attempt }
+//   onDiagnosticsChange / getDiagnostics      contadores de mensajes (y dedupWindowMs)
+//
+// Implementaciones (config.transport):
+//   "apigateway"  WebSocket de API Gateway para recibir + POST a la API para publicar
+//   "mqtt"        MQTT sobre WebSocket contra el endpoint de AWS IoT (URL firmada con SigV4)
+//   "simulator"   dispositivos simulados en el navegador (?sim=1, ver simulator/)
+import { createConnectionManager } from "./connectionManager";
+import { createMqttProtocol } from "./mqttProtocol";
+import { apiFetch, getMqttUrl, getSocketUrl, NetworkError } from "../api/client";
+import { getConfig } from "../config/runtimeConfig";
+import { getSimulator } from "../simulator/deviceSimulator";
+import { createSimulatorSocket } from "../simulator/simulatorSocket";
+
+// POST al API Gateway; el backend publica `payload` en <topicPrefix>/<path>, así que el topic
+// no viaja. Lanza si la respuesta no es 2xx.
+export function postCommand(topic, payload, { deviceId, path, correlationId }) {
+  return apiFetch("", {
+    method: "POST",
+    body: { deviceId, path, value: payload, correlationId },
+  });
+}
+
+// options: las de createConnectionManager (pingIntervalMs, maxDelayMs, dedupWindowMs...).
+// Sin wsUrl no se conecta (se ve "Desconectado" con el motivo), pero la API sigue funcionando.
+export function createApiGatewayTransport(options = {}) {
+  const url = getConfig().wsUrl ? getSocketUrl : null;
+  const manager = createConnectionManager({ url, ...options });
+  return { ...manager, publish: postCommand };
+}
+
+// options: además clientId y keepAliveSec (ver mqttProtocol.js).
+// Se publica por el socket: si falla con el socket caído es un NetworkError, como el fetch.
+export function createMqttTransport({ clientId, keepAliveSec, ...options } = {}) {
+  const protocol = createMqttProtocol({ clientId, keepAliveSec });
+  const manager = createConnectionManager({ url: getMqttUrl, protocol, ...options });
+  return {
+    ...manager,
+    publish: (...args) =>
+      manager.publish(...args).catch((e) => {
+        throw manager.getState().status === "open" ? e : new NetworkError(e.message, e);
+      }),
+  };
+}
+
+// Mismo gestor y protocolo que API Gateway, con un socket falso conectado al simulador;
+// lo que se publica llega directamente a los dispositivos simulados
+export function createSimulatorTransport(options = {}) {
+  const simulator = getSimulator();
+  const manager = createConnectionManager({
+    url: "simulator://",
+    WebSocketImpl: createSimulatorSocket(simulator),
+    ...options,
+  });
+  return {
+    ...manager,
+    connect() {
+      simulator.start();
+      manager.connect();
+    },
+    close() {
+      manager.close();
+      simulator.stop();
+    },
+    publish: (topic, payload) => simulator.publish(topic, payload),
+  };
+}
+
+export const TRANSPORTS = {
+  apigateway: createApiGatewayTransport,
+  mqtt: createMqttTransport,
+  simulator: createSimulatorTransport,
+};
+
+// config.dedupWindowMs (config.json) fija la ventana de duplicados; options manda sobre ella
+export function createTransport(config, options = {}) {
+  const factory = TRANSPORTS[config.transport];
+  if (!factory) {
+    const valid = Object.keys(TRANSPORTS).join(", ");
+    throw new Error(`Transporte desconocido "${config.transport}" (válidos: ${valid})`);
+  }
+  const fromConfig = Number.isFinite(config.dedupWindowMs)
+    ? { dedupWindowMs: config.dedupWindowMs }
+    : {};
+  return factory({ ...fromConfig, ...options });
+}
+
+// Transporte del panel montado (lo fija ConnectionProvider); lo usan los módulos que publican
+// fuera de React, como api/commands.js
+let active = null;
+
+export function getActiveTransport() {
+  return active;
+}
+
+export function setActiveTransport(transport) {
+  active = transport;
+}
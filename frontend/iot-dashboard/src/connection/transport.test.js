@@ -0,0 +1,26 @@
+import { createMqttTransport, createTransport } from "./transport";
+import { NetworkError } from "../api/client";
+import { DEFAULT_DEDUP_WINDOW_MS } from "./dedup";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+}));
+
+test("la ventana de duplicados sale de la configuración y options manda sobre ella", () => {
+  const config = { transport: "apigateway" };
+  expect(createTransport(config).dedupWindowMs).toBe(DEFAULT_DEDUP_WINDOW_MS);
+  expect(createTransport({ ...config, dedupWindowMs: 500 }).dedupWindowMs).toBe(500);
+  expect(
+    createTransport({ ...config, dedupWindowMs: 500 }, { dedupWindowMs: 0 }).dedupWindowMs
+  ).toBe(0);
+});
+
+test("falla con un transporte desconocido", () => {
+  expect(() => createTransport({ transport: "smtp" })).toThrow(/Transporte desconocido/);
+});
+
+test("MQTT: publicar con el socket caído es un error de red", async () => {
+  const transport = createMqttTransport();
+  await expect(transport.publish("mod_1x1/d_000/k1/set", "on")).rejects.toThrow(NetworkError);
+});
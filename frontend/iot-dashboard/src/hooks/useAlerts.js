@@ -0,0 +1,34 @@
+// src/hooks/useAlerts.js
+import { useContext, useEffect, useRef, useSyncExternalStore } from "react";
+import { AlertsContext } from "../alerts/AlertsProvider";
+
+function useEngine() {
+  const engine = useContext(AlertsContext);
+  if (!engine) throw new Error("useAlerts debe usarse dentro de <AlertsProvider>");
+  return engine;
+}
+
+// { alerts (la más reciente primero), active, acknowledge, snooze, clearHistory }
+export function useAlerts() {
+  const engine = useEngine();
+  const alerts = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
+  return {
+    alerts,
+    active: alerts.filter((a) => a.status === "active").length,
+    acknowledge: engine.acknowledge,
+    snooze: engine.snooze,
+    clearHistory: engine.clearHistory,
+  };
+}
+
+// listener(alert) con cada alerta nueva
+export function useNewAlerts(listener) {
+  const engine = useEngine();
+  const listenerRef = useRef(listener);
+
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+
+  useEffect(() => engine.onAlert((alert) => listenerRef.current(alert)), [engine]);
+}
@@ -0,0 +1,9 @@
+// src/hooks/useAppUpdate.js
+import { useSyncExternalStore } from "react";
+import { applyUpdate, getUpdateSnapshot, subscribeUpdate } from "../pwa/serviceWorkerRegistration";
+
+// { available, apply }: hay un build nuevo desplegado esperando a activarse
+export function useAppUpdate() {
+  const available = useSyncExternalStore(subscribeUpdate, getUpdateSnapshot);
+  return { available, apply: applyUpdate };
+}
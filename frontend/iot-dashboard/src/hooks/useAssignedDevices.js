@@ -0,0 +1,32 @@
+// src/hooks/useAssignedDevices.js
+import { useCallback, useEffect, useState } from "react";
+import { getDeviceAssignments } from "../api/deviceAssignments";
+
+// Dispositivos asignados al usuario: { devices, loading, error, reload }.
+// devices es null hasta la primera respuesta.
+export function useAssignedDevices(userSub, service = getDeviceAssignments()) {
+  const [devices, setDevices] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    service
+      .getUserDevices(userSub)
+      .then((list) => {
+        if (!cancelled) setDevices(list);
+      })
+      .catch((e) => {
+        console.error("No se pudieron cargar los dispositivos del usuario", e);
+        if (!cancelled) setError(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userSub, service, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { devices, loading: devices === null && !error, error, reload };
+}
@@ -0,0 +1,40 @@
+// src/hooks/useAuditLog.js
+import { useEffect, useState } from "react";
+import { loadAudit, subscribeAudit } from "../storage/auditStore";
+
+// Entradas de auditoría, de la más antigua a la más reciente; las actualizaciones
+// (resultado del comando) sustituyen a la entrada con el mismo id
+export function useAuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const pending = [];
+    let loaded = false;
+
+    const upsert = (list, entry) =>
+      list.some((e) => e.id === entry.id)
+        ? list.map((e) => (e.id === entry.id ? entry : e))
+        : [...list, entry];
+
+    const unsubscribe = subscribeAudit((entry) => {
+      if (!loaded) pending.push(entry);
+      else setEntries((prev) => upsert(prev, entry));
+    });
+
+    loadAudit().then((stored) => {
+      if (cancelled) return;
+      loaded = true;
+      setEntries(pending.reduce(upsert, stored));
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return { entries, loading };
+}
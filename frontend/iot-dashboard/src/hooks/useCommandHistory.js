@@ -0,0 +1,11 @@
+// src/hooks/useCommandHistory.js
+import { useMemo, useSyncExternalStore } from "react";
+import { getSnapshot, subscribe } from "../commands/commandTracker";
+
+export function useCommandHistory(deviceId) {
+  const commands = useSyncExternalStore(subscribe, getSnapshot);
+  return useMemo(
+    () => (deviceId ? commands.filter((c) => c.deviceId === deviceId) : commands),
+    [commands, deviceId]
+  );
+}
@@ -0,0 +1,39 @@
+// src/hooks/useConnection.js
+import { useContext, useEffect, useRef, useSyncExternalStore } from "react";
+import { ConnectionContext } from "../connection/ConnectionProvider";
+
+function useManager() {
+  const manager = useContext(ConnectionContext);
+  if (!manager) throw new Error("useConnection debe usarse dentro de <ConnectionProvider>");
+  return manager;
+}
+
+// { status, lastError, attempt, publish }
+export function useConnection() {
+  const manager = useManager();
+  const state = useSyncExternalStore(manager.onStateChange, manager.getState);
+  return { ...state, publish: manager.publish };
+}
+
+// { received, delivered, suppressed, lastSuppressed, dedupWindowMs }
+export function useConnectionDiagnostics() {
+  const manager = useManager();
+  const diagnostics = useSyncExternalStore(manager.onDiagnosticsChange, manager.getDiagnostics);
+  return { ...diagnostics, dedupWindowMs: manager.dedupWindowMs };
+}
+
+// Llama a handler(data, topic) por cada mensaje IoT cuyo topic coincida con pattern
+// ("mod_1x1/+/k1/status", "mod_1x1/d_000/#"...). topic trae { model, device, relay, leaf, wildcards }.
+export function useTopicSubscription(pattern, handler) {
+  const manager = useManager();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!pattern) return undefined;
+    return manager.subscribe(pattern, (data, topic) => handlerRef.current(data, topic));
+  }, [manager, pattern]);
+}
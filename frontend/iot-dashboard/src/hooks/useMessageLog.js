@@ -0,0 +1,55 @@
+// src/hooks/useMessageLog.js
+import { useEffect, useState } from "react";
+import { loadMessages, MESSAGE_RETENTION, subscribeMessages } from "../storage/messageStore";
+
+// Los mensajes en vivo se añaden en lotes: un render cada FLUSH_MS y no uno por mensaje
+const FLUSH_MS = 100;
+
+// Mensajes persistidos + los que van llegando, del más antiguo al más reciente
+export function useMessageLog() {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const pending = [];
+    let loaded = false;
+    let batch = [];
+    let flushTimer = null;
+
+    const flush = () => {
+      const records = batch;
+      batch = [];
+      flushTimer = null;
+      setMessages((prev) => {
+        const next = prev.concat(records);
+        return next.length > MESSAGE_RETENTION ? next.slice(-MESSAGE_RETENTION) : next;
+      });
+    };
+
+    const unsubscribe = subscribeMessages((record) => {
+      if (!loaded) {
+        pending.push(record);
+        return;
+      }
+      batch.push(record);
+      if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_MS);
+    });
+
+    loadMessages().then((stored) => {
+      if (cancelled) return;
+      loaded = true;
+      const ids = new Set(stored.map((m) => m.id));
+      setMessages([...stored, ...pending.filter((m) => m.id === undefined || !ids.has(m.id))]);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(flushTimer);
+      unsubscribe();
+    };
+  }, []);
+
+  return { messages, loading, clear: () => setMessages([]) };
+}
@@ -0,0 +1,27 @@
+// src/hooks/useOfflineQueue.js
+// Conecta la cola de comandos sin conexión con el estado real: sin socket abierto o sin red
+// (navigator.onLine) los comandos se encolan; al volver ambos se envían en orden.
+// Solo se recupera y envía la cola de userId.
+import { useEffect } from "react";
+import { restoreQueue, setOnline } from "../commands/commandTracker";
+import { resumePendingAudit } from "../commands/relayActions";
+import { useConnection } from "./useConnection";
+
+export function useOfflineQueue(userId) {
+  const { status } = useConnection();
+
+  useEffect(() => {
+    restoreQueue(userId).then(resumePendingAudit);
+  }, [userId]);
+
+  useEffect(() => {
+    const update = () => setOnline(status === "open" && navigator.onLine);
+    update();
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, [status]);
+}
@@ -0,0 +1,14 @@
+// src/hooks/usePreferences.js
+import { useContext, useSyncExternalStore } from "react";
+import { PreferencesContext } from "../preferences/PreferencesProvider";
+import { createPreferencesStore } from "../preferences/preferencesStore";
+
+// Sin PreferencesProvider (tests, componentes sueltos): preferencias por defecto, sin guardar
+const fallbackStore = createPreferencesStore({ userId: "anonymous", storage: null });
+
+// { preferences, store }: store trae setRelay, moveRelay, toggleFavourite, setLanguage...
+export function usePreferences() {
+  const store = useContext(PreferencesContext) || fallbackStore;
+  const preferences = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  return { preferences, store };
+}
@@ -0,0 +1,28 @@
+// src/hooks/usePresence.js
+import { useContext, useEffect, useState, useSyncExternalStore } from "react";
+import { PresenceContext } from "../presence/PresenceProvider";
+
+// { status, lastSeen, secondsAgo, probing, refresh } para un dispositivo
+export function usePresence(deviceId) {
+  const engine = useContext(PresenceContext);
+  if (!engine) throw new Error("usePresence debe usarse dentro de <PresenceProvider>");
+  const states = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
+  const now = useNow(1000);
+  const state = states[deviceId];
+
+  return {
+    ...state,
+    secondsAgo: state.lastSeen ? Math.max(0, Math.round((now - state.lastSeen) / 1000)) : null,
+    refresh: () => engine.probe(deviceId),
+  };
+}
+
+// Re-render periódico para textos relativos ("hace N s")
+export function useNow(intervalMs) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
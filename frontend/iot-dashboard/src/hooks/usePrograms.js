@@ -0,0 +1,39 @@
+// src/hooks/usePrograms.js
+import { useCallback, useEffect, useState } from "react";
+import { deviceTopic } from "../config/devices";
+import { trackCommand } from "../commands/commandTracker";
+import { parseProgramCode, parseProgramList, serializeProgram } from "../programs/programCodes";
+import { useConnection, useTopicSubscription } from "./useConnection";
+
+// Programas de un dispositivo: get → list, set/del → ack (y se vuelve a listar)
+export function usePrograms(device) {
+  const [programs, setPrograms] = useState(null); // null = todavía sin respuesta a programs/get
+  const [lastAck, setLastAck] = useState(null);
+  const { status: connectionStatus } = useConnection();
+
+  const refresh = useCallback(() => trackCommand(device, "programs/get", "get"), [device]);
+
+  useTopicSubscription(deviceTopic(device, "programs", "list"), ({ payload }) =>
+    setPrograms(parseProgramList(payload))
+  );
+
+  useTopicSubscription(deviceTopic(device, "programs", "ack"), ({ payload }) => {
+    setLastAck({ payload, at: Date.now() });
+    refresh();
+  });
+
+  // La respuesta llega por el WebSocket: pedir la lista solo con la conexión abierta
+  useEffect(() => {
+    if (connectionStatus === "open") refresh();
+  }, [connectionStatus, refresh]);
+
+  // Lanza Error (mensaje legible) si el código no es válido
+  const add = useCallback(
+    (code) => trackCommand(device, "programs/set", serializeProgram(parseProgramCode(code))),
+    [device]
+  );
+
+  const remove = useCallback((id) => trackCommand(device, "programs/del", id), [device]);
+
+  return { programs, lastAck, refresh, add, remove };
+}
@@ -0,0 +1,42 @@
+// src/hooks/useRelayStates.js
+import { useEffect, useState } from "react";
+import { deviceTopic } from "../config/devices";
+import { parseOnOff } from "../lib/relayState";
+import { loadLastRelayStates, saveLastRelayStates } from "../storage/lastKnownStore";
+import { useTopicSubscription } from "./useConnection";
+
+// Último estado reportado por el dispositivo para cada relé:
+// { k1: { status, statusAt, feedback, feedbackAt, stale }, ... }
+// Al abrir se parte del último estado guardado (stale: true) hasta que el dispositivo informe.
+export function useRelayStates(device) {
+  const [relays, setRelays] = useState(() =>
+    Object.fromEntries(
+      Object.entries(loadLastRelayStates(device.id)).map(([key, state]) => [
+        key,
+        { ...state, stale: true },
+      ])
+    )
+  );
+
+  useEffect(() => {
+    saveLastRelayStates(device.id, relays);
+  }, [device.id, relays]);
+
+  const update = (relay, field, payload) => {
+    const value = parseOnOff(payload);
+    if (!relay || value === null) return;
+    setRelays((prev) => ({
+      ...prev,
+      [relay]: { ...prev[relay], [field]: value, [`${field}At`]: Date.now(), stale: false },
+    }));
+  };
+
+  useTopicSubscription(deviceTopic(device, "+", "status"), ({ payload }, { relay }) =>
+    update(relay, "status", payload)
+  );
+  useTopicSubscription(deviceTopic(device, "+", "feedback"), ({ payload }, { relay }) =>
+    update(relay, "feedback", payload)
+  );
+
+  return relays;
+}
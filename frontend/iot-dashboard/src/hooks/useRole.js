@@ -0,0 +1,15 @@
+// src/hooks/useRole.js
+import { useContext } from "react";
+import { RoleContext } from "../auth/RoleProvider";
+import { can } from "../auth/roles";
+
+// { role, loading, can(permission) }; sin RoleProvider se comporta como viewer
+export function useRole() {
+  const role = useContext(RoleContext);
+  const effective = role || "viewer";
+  return {
+    role: effective,
+    loading: role === null,
+    can: (permission) => can(effective, permission),
+  };
+}
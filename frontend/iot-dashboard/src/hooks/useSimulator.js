@@ -0,0 +1,10 @@
+// src/hooks/useSimulator.js
+import { useSyncExternalStore } from "react";
+import { getSimulator } from "../simulator/deviceSimulator";
+
+// { devices, faults, simulator } del simulador de la página (solo en modo simulador)
+export function useSimulator() {
+  const simulator = getSimulator();
+  const snapshot = useSyncExternalStore(simulator.subscribe, simulator.getSnapshot);
+  return { ...snapshot, simulator };
+}
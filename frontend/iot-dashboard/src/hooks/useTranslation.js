@@ -0,0 +1,27 @@
+// src/hooks/useTranslation.js
+import { useSyncExternalStore } from "react";
+import {
+  formatDate,
+  formatDateTime,
+  formatTime,
+  getLanguage,
+  locale,
+  setLanguage,
+  subscribeLanguage,
+  translate,
+} from "../i18n/i18n";
+
+// { t, language, locale, setLanguage, formatDateTime, formatTime, formatDate }; re-renderiza al
+// cambiar de idioma
+export function useTranslation() {
+  const language = useSyncExternalStore(subscribeLanguage, getLanguage);
+  return {
+    language,
+    locale: locale(language),
+    setLanguage,
+    t: (key, params) => translate(language, key, params),
+    formatDateTime: (value) => formatDateTime(value, language),
+    formatTime: (value) => formatTime(value, language),
+    formatDate: (value, options) => formatDate(value, options, language),
+  };
+}
@@ -0,0 +1,21 @@
+// src/i18n/authenticator.js
+// Textos del <Authenticator> de Amplify: sus propias traducciones (incluyen es y en) más las
+// pocas que queremos distintas. Se importa solo desde App.js.
+import { I18n } from "aws-amplify/utils";
+import { translations } from "@aws-amplify/ui-react";
+import { getLanguage, subscribeLanguage } from "./i18n";
+
+I18n.putVocabularies(translations);
+I18n.putVocabularies({
+  es: {
+    "Sign In": "Iniciar sesión",
+    "Sign in": "Iniciar sesión",
+    Username: "Usuario",
+    "Enter your Username": "Introduce tu usuario",
+    "Enter your Password": "Introduce tu contraseña",
+    "Forgot your password?": "¿Has olvidado la contraseña?",
+  },
+});
+
+I18n.setLanguage(getLanguage());
+subscribeLanguage((language) => I18n.setLanguage(language));
@@ -0,0 +1,279 @@
+// src/i18n/en.js
+// English catalog (same keys as es.js)
+const en = {
+  // Common
+  "common.retry": "Retry",
+  "common.cancel": "Cancel",
+  "common.confirm": "Confirm",
+  "common.close": "Close",
+  "common.loading": "Loading...",
+  "common.allDevices": "All devices",
+  "common.exportCsv": "Export CSV",
+  "common.exportNdjson": "Export NDJSON",
+  "common.language": "Language",
+  "common.on": "ON",
+  "common.off": "OFF",
+
+  // Session
+  "auth.sessionExpired": "Your session has expired. Please sign in again.",
+  "auth.forbidden": "You are not allowed to perform this operation. You have been signed out.",
+  "auth.idle": "You were signed out due to inactivity. Please sign in again.",
+  "session.title": "⏳ Are you still there?",
+  "session.body": "For security, your session will close in {seconds} s due to inactivity.",
+  "session.continue": "Stay signed in",
+
+  // New version (PWA)
+  "update.available": "A new version of the dashboard is available.",
+  "update.reload": "Update",
+  "update.later": "Later",
+
+  // Dashboard
+  "dashboard.welcome": "Welcome, {name}!",
+  "dashboard.devicesTitle": "Device control",
+  "dashboard.loadingDevices": "Loading your devices...",
+  "dashboard.devicesError": "Your devices could not be loaded ({error}).",
+  "dashboard.signOut": "Sign out",
+  "noDevices.title": "No devices assigned",
+  "noDevices.body":
+    "Your account has no devices yet. Ask an administrator to assign you one, quoting this identifier:",
+  "noDevices.recheck": "Check again",
+  "environment.title": "{environment} environment\nAPI: {apiUrl}\nWebSocket: {wsUrl}",
+  "roles.viewer": "Read only",
+  "roles.operator": "Operator",
+  "roles.admin": "Administrator",
+  "access.title": "User access",
+  "access.user": "User identifier (Cognito sub)",
+  "access.load": "Show their devices",
+  "access.devicesOf": "Devices of {user}:",
+  "access.save": "Save assignment",
+  "access.saved": "Assignment for {user} saved",
+
+  // Connection
+  "connection.connecting": "Connecting...",
+  "connection.open": "Connected",
+  "connection.reconnecting": "Reconnecting...",
+  "connection.closed": "Disconnected",
+  "connection.attempt": "(attempt {attempt})",
+  "connection.queued": "· {count} command(s) queued",
+  "diagnostics.title": "Diagnostics",
+  "diagnostics.connection": "Connection",
+  "diagnostics.lastError": "Last error",
+  "diagnostics.received": "Messages received",
+  "diagnostics.delivered": "Messages delivered",
+  "diagnostics.suppressed": "Duplicates suppressed",
+  "diagnostics.lastSuppressed": "(last: {topic} at {time})",
+  "diagnostics.dedupWindow": "Duplicate window",
+  "simulator.title": "Simulator",
+  "simulator.latency": "Latency (ms)",
+  "simulator.dropRate": "Dropped replies (%)",
+  "simulator.disconnectEvery": "Drop the connection every (s, 0 = never)",
+  "simulator.disconnectNow": "Drop the connection now",
+  "simulator.deviceOnline": "{name} powered on",
+
+  // Devices and presence
+  "devices.picker": "Device:",
+  "devices.addFavourite": "Mark as favourite",
+  "devices.removeFavourite": "Remove from favourites",
+  "devices.statusTitle": "Device status:",
+  "devices.relayCount": "{count} relays",
+  "devices.relayCountOne": "1 relay",
+  "presence.online": "ONLINE",
+  "presence.stale": "NO RECENT DATA",
+  "presence.offline": "OFFLINE",
+  "presence.unknown": "UNKNOWN",
+  "presence.probing": "Checking...",
+  "presence.recheck": "Check again",
+  "presence.neverSeen": "never seen",
+  "presence.seenSeconds": "seen {n} s ago",
+  "presence.seenMinutes": "seen {n} min ago",
+  "presence.seenHours": "seen {n} h ago",
+
+  // Relays
+  "relay.default": "Relay {n}",
+  "relays.title": "{name} relays:",
+  "relays.customize": "⚙️ Customise",
+  "relays.on": "On",
+  "relays.off": "Off",
+  "relays.unknown": "Unknown",
+  "relays.lastKnown": "Last known state (not confirmed since the dashboard opened)",
+  "relays.sending": "Sending {value}...",
+  "relays.queued": "{value} queued (offline)",
+  "relays.status": "Status:",
+  "relays.readOnly": "Your role can only view the state",
+  "relays.critical": "Critical relay: switching it requires a note",
+  "relays.hidden": "{count} hidden relay(s). Use “Customise” to show them.",
+  "relays.error.noteRequired": "Switching relay {n} requires a note",
+  "relaySettings.name": "{relay} name",
+  "relaySettings.icon": "{relay} icon",
+  "relaySettings.noIcon": "No icon",
+  "relaySettings.hide": "Hide",
+  "relaySettings.up": "Move up",
+  "relaySettings.down": "Move down",
+  "confirm.title": "Confirm action",
+  "confirm.switchOn": "Switch on “{label}” ({relay}) on {device}?",
+  "confirm.switchOff": "Switch off “{label}” ({relay}) on {device}?",
+  "confirm.critical": "⚠️ Critical relay: state the reason for this action.",
+  "confirm.noteRequired": "Note (required)",
+  "confirm.noteOptional": "Note (optional)",
+  "confirm.notePlaceholder": "E.g. Irrigation sector 3 with fertiliser A",
+
+  // Timeline
+  "timeline.title": "Relay history (timeline):",
+  "timeline.zoomIn": "Zoom in",
+  "timeline.zoomOut": "Zoom out",
+  "timeline.now": "Now",
+  "timeline.notePlaceholder": "Note (e.g. irrigation sector 3 with fertiliser A)",
+  "timeline.addNote": "Add note",
+  "timeline.span.hour": "1 h",
+  "timeline.span.sixHours": "6 h",
+  "timeline.span.day": "24 h",
+  "timeline.span.week": "7 d",
+  "timeline.span.fourWeeks": "4 wk",
+
+  // Programs
+  "programs.title": "{name} programs:",
+  "programs.refresh": "Refresh",
+  "programs.days": ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+  "programs.pickDay": "Select at least one day",
+  "programs.add": "Add",
+  "programs.rawPlaceholder": "E.g. rl:07_00_30m",
+  "programs.addRaw": "Add code",
+  "programs.acked": "Confirmed by the device at {time}:",
+  "programs.waiting": "Waiting for the device's program list...",
+  "programs.empty": "There are no programs on the device.",
+  "programs.delete": "Delete",
+  "programs.error.format":
+    '"{code}" does not follow r[relay]<days>:HH_MM_<duration> (e.g. rl:07_00_30m)',
+  "programs.error.relay": 'Invalid relay in "{code}": relays start at 1',
+  "programs.error.days": 'Invalid day(s) in "{code}": {days} (use {valid})',
+  "programs.error.repeatedDays": 'Repeated days in "{code}"',
+  "programs.error.hour": 'Invalid hour in "{code}": {hour} (00-23)',
+  "programs.error.minute": 'Invalid minutes in "{code}": {minute} (00-59)',
+  "programs.error.missingDuration": 'Missing duration in "{code}" (e.g. 30m or 1h)',
+  "programs.error.duration": 'Invalid duration in "{code}": between 1m and {max}h',
+
+  // Commands and audit
+  "commands.title": "Command history:",
+  "commands.empty": "No commands have been sent yet.",
+  "commands.queued": "Queued",
+  "commands.pending": "Pending",
+  "commands.confirmed": "Confirmed",
+  "commands.failed": "Failed",
+  "commands.cancelled": "Cancelled",
+  "commands.expired": "Expired",
+  "commands.cancel": "Cancel",
+  "commands.error.noAck": "No confirmation from the device",
+  "commands.error.expired": "Expired in the offline queue",
+  "audit.title": "Action log:",
+  "audit.empty": "No actions recorded yet.",
+  "audit.error.discarded": "Command dropped from the history",
+
+  // Message log
+  "messages.title": "Received IoT messages:",
+  "messages.topicPlaceholder": "Topic (supports + and #)",
+  "messages.textPlaceholder": "Text in payload",
+  "messages.from": "From",
+  "messages.to": "To",
+  "messages.loading": "Loading history...",
+  "messages.count": "{visible} of {total} messages",
+  "messages.clear": "Clear history",
+  "messages.clearConfirm": "Delete the whole stored message history?",
+  "messages.warnings": "Payload problems: {warnings}",
+  "messages.fileName": "messages",
+  "topics.error.hash": "Invalid topic pattern (# only as the last level): {pattern}",
+  "topics.error.plus": "Invalid topic pattern (+ must take a whole level): {pattern}",
+
+  // Alerts
+  "alerts.panelTitle": "🔔 Alerts",
+  "alerts.activeCount": "({count} active)",
+  "alerts.title.offline": "{device} offline",
+  "alerts.title.relayOutsideSchedule": "{device}: relay turned on outside schedule",
+  "alerts.title.payloadMatch": "Watched message on {topic}",
+  "alerts.body.offline": "No news for more than {minutes} min.",
+  "alerts.body.relayOutsideSchedule": "{relay} was turned on outside {from}–{to}.",
+  "alerts.body.payloadMatch": "{payload}",
+  "alerts.type.offline": "Device offline",
+  "alerts.type.relayOutsideSchedule": "Relay on outside schedule",
+  "alerts.type.payloadMatch": "Matching message",
+  "alerts.rule.offline": "{device} offline for more than {minutes} min",
+  "alerts.rule.relayOutsideSchedule": "{device} · {relay} on outside {from}–{to}",
+  "alerts.rule.payloadMatch": "{topic} contains /{match}/",
+  "alerts.rules": "Rules",
+  "alerts.noRules": "No rules yet. Add one to get alerts.",
+  "alerts.field.type": "Type",
+  "alerts.field.device": "Device",
+  "alerts.field.minutes": "Minutes",
+  "alerts.field.relay": "Relay",
+  "alerts.field.from": "From",
+  "alerts.field.to": "To",
+  "alerts.field.topic": "Topic (+ and # allowed)",
+  "alerts.field.match": "Text or regular expression",
+  "alerts.addRule": "Add rule",
+  "alerts.removeRule": "Remove",
+  "alerts.history": "History",
+  "alerts.empty": "No alerts.",
+  "alerts.status.active": "Active",
+  "alerts.status.acknowledged": "Acknowledged",
+  "alerts.status.snoozed": "Snoozed until {time}",
+  "alerts.repeated": "×{count}",
+  "alerts.acknowledge": "Acknowledge",
+  "alerts.snooze": "Snooze {minutes} min",
+  "alerts.clearHistory": "Clear history",
+  "alerts.clearConfirm": "Clear the whole alert history?",
+  "alerts.enableNotifications": "Enable browser notifications",
+  "alerts.notificationsOn": "Browser notifications are on.",
+  "alerts.notificationsDenied": "The browser is blocking notifications for this site.",
+  "alerts.dismiss": "Dismiss",
+  "alerts.error.minutes": "Minutes must be a number greater than 0",
+  "alerts.error.relay": "Invalid relay: {relay}",
+  "alerts.error.schedule": "The time window must use the HH:MM format",
+  "alerts.error.missingMatch": "Missing the text or expression to look for",
+  "alerts.error.match": "Invalid expression: {match}",
+  "alerts.error.type": 'Unknown rule type "{type}" (valid: {valid})',
+
+  // Telemetry
+  "telemetry.title": "Telemetry:",
+  "telemetry.empty": "Add widgets to see temperature, humidity, current or other readings.",
+  "telemetry.noData": "No data",
+  "telemetry.widgetType": "Widget type",
+  "telemetry.widget.value": "Last value",
+  "telemetry.widget.gauge": "Gauge",
+  "telemetry.widget.sparkline": "Sparkline",
+  "telemetry.topic": "Topic",
+  "telemetry.pickTopic": "Pick a topic ({count})",
+  "telemetry.addWidget": "Add widget",
+  "telemetry.removeWidget": "Remove widget",
+  "telemetry.warning.notNumber": "Not a number",
+  "telemetry.warning.unit": 'Unit "{unit}", expected "{expected}"',
+  "telemetry.warning.range": "Out of range [{min}, {max}]",
+  "telemetry.warning.onoff": "Expected on/off",
+  "telemetry.warning.json": "Invalid JSON",
+  "telemetry.schema.type": "{path}: expected {expected} but got {actual}",
+  "telemetry.schema.enum": "{path}: value not allowed {value}",
+  "telemetry.schema.minimum": "{path}: {value} < minimum {limit}",
+  "telemetry.schema.maximum": "{path}: {value} > maximum {limit}",
+  "telemetry.schema.required": '{path}: missing "{key}"',
+  "telemetry.error.pattern": "Decoder without a topic pattern",
+  "telemetry.error.type": 'Unknown decoder type "{type}" (valid: {valid})',
+
+  // Charts
+  "charts.title": "Charts:",
+  "charts.noTopics": "No numeric readings yet (temperature, humidity, current...).",
+  "charts.noData": "No data in this range",
+  "charts.bucket": "Group by",
+  "charts.bucket.auto": "Automatic ({bucket})",
+  "charts.bucket.minute": "minute",
+  "charts.bucket.hour": "hour",
+  "charts.bucket.day": "day",
+  "charts.exportPng": "Export PNG",
+  "charts.dragHint": "drag over the chart to zoom in",
+  "charts.fileName": "charts",
+  "charts.span.hour": "1 h",
+  "charts.span.day": "24 h",
+  "charts.span.week": "7 d",
+  "charts.span.month": "30 d",
+  "charts.span.year": "1 year",
+  "charts.tooltip": "avg {avg} · min {min} · max {max} ({count} readings)",
+};
+
+export default en;
@@ -0,0 +1,280 @@
+// src/i18n/es.js
+// Catálogo en español (idioma por defecto: cualquier clave nueva se añade primero aquí)
+const es = {
+  // Comunes
+  "common.retry": "Reintentar",
+  "common.cancel": "Cancelar",
+  "common.confirm": "Confirmar",
+  "common.close": "Cerrar",
+  "common.loading": "Cargando...",
+  "common.allDevices": "Todos los dispositivos",
+  "common.exportCsv": "Exportar CSV",
+  "common.exportNdjson": "Exportar NDJSON",
+  "common.language": "Idioma",
+  "common.on": "ON",
+  "common.off": "OFF",
+
+  // Sesión
+  "auth.sessionExpired": "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+  "auth.forbidden": "No tienes permiso para esta operación. Se ha cerrado la sesión.",
+  "auth.idle": "Sesión cerrada por inactividad. Vuelve a iniciar sesión.",
+  "session.title": "⏳ ¿Sigues ahí?",
+  "session.body": "Por seguridad, la sesión se cerrará en {seconds} s por inactividad.",
+  "session.continue": "Seguir conectado",
+
+  // Versión nueva (PWA)
+  "update.available": "Hay una versión nueva del panel.",
+  "update.reload": "Actualizar",
+  "update.later": "Más tarde",
+
+  // Panel
+  "dashboard.welcome": "Bienvenido, {name}!",
+  "dashboard.devicesTitle": "Control de dispositivos",
+  "dashboard.loadingDevices": "Cargando tus dispositivos...",
+  "dashboard.devicesError": "No se pudieron cargar tus dispositivos ({error}).",
+  "dashboard.signOut": "Cerrar sesión",
+  "noDevices.title": "Sin dispositivos asignados",
+  "noDevices.body":
+    "Tu cuenta todavía no tiene ningún dispositivo. Pide a un administrador que te asigne uno indicando este identificador:",
+  "noDevices.recheck": "Volver a comprobar",
+  "environment.title": "Entorno {environment}\nAPI: {apiUrl}\nWebSocket: {wsUrl}",
+  "roles.viewer": "Solo lectura",
+  "roles.operator": "Operador",
+  "roles.admin": "Administrador",
+  "access.title": "Accesos de usuarios",
+  "access.user": "Identificador del usuario (sub de Cognito)",
+  "access.load": "Ver sus dispositivos",
+  "access.devicesOf": "Dispositivos de {user}:",
+  "access.save": "Guardar asignación",
+  "access.saved": "Asignación de {user} guardada",
+
+  // Conexión
+  "connection.connecting": "Conectando...",
+  "connection.open": "Conectado",
+  "connection.reconnecting": "Reconectando...",
+  "connection.closed": "Desconectado",
+  "connection.attempt": "(intento {attempt})",
+  "connection.queued": "· {count} comando(s) en cola",
+  "diagnostics.title": "Diagnóstico",
+  "diagnostics.connection": "Conexión",
+  "diagnostics.lastError": "Último error",
+  "diagnostics.received": "Mensajes recibidos",
+  "diagnostics.delivered": "Mensajes entregados",
+  "diagnostics.suppressed": "Duplicados suprimidos",
+  "diagnostics.lastSuppressed": "(último: {topic} a las {time})",
+  "diagnostics.dedupWindow": "Ventana de duplicados",
+  "simulator.title": "Simulador",
+  "simulator.latency": "Latencia (ms)",
+  "simulator.dropRate": "Respuestas perdidas (%)",
+  "simulator.disconnectEvery": "Cortar la conexión cada (s, 0 = nunca)",
+  "simulator.disconnectNow": "Cortar la conexión ahora",
+  "simulator.deviceOnline": "{name} encendido",
+
+  // Dispositivos y presencia
+  "devices.picker": "Dispositivo:",
+  "devices.addFavourite": "Marcar como favorito",
+  "devices.removeFavourite": "Quitar de favoritos",
+  "devices.statusTitle": "Estado de los dispositivos:",
+  "devices.relayCount": "{count} relés",
+  "devices.relayCountOne": "1 relé",
+  "presence.online": "ONLINE",
+  "presence.stale": "SIN NOTICIAS",
+  "presence.offline": "OFFLINE",
+  "presence.unknown": "DESCONOCIDO",
+  "presence.probing": "Comprobando...",
+  "presence.recheck": "Rechequear",
+  "presence.neverSeen": "nunca visto",
+  "presence.seenSeconds": "visto hace {n} s",
+  "presence.seenMinutes": "visto hace {n} min",
+  "presence.seenHours": "visto hace {n} h",
+
+  // Relés
+  "relay.default": "Relé {n}",
+  "relays.title": "Relés de {name}:",
+  "relays.customize": "⚙️ Personalizar",
+  "relays.on": "Encendido",
+  "relays.off": "Apagado",
+  "relays.unknown": "Desconocido",
+  "relays.lastKnown": "Último estado conocido (sin confirmar desde que se abrió el panel)",
+  "relays.sending": "Enviando {value}...",
+  "relays.queued": "{value} en cola (sin conexión)",
+  "relays.status": "Status:",
+  "relays.readOnly": "Tu rol solo permite ver el estado",
+  "relays.critical": "Relé crítico: accionarlo exige una nota",
+  "relays.hidden": "{count} relé(s) oculto(s). Usa «Personalizar» para mostrarlos.",
+  "relays.error.noteRequired": "Accionar el relé {n} exige una nota",
+  "relaySettings.name": "Nombre de {relay}",
+  "relaySettings.icon": "Icono de {relay}",
+  "relaySettings.noIcon": "Sin icono",
+  "relaySettings.hide": "Ocultar",
+  "relaySettings.up": "Subir",
+  "relaySettings.down": "Bajar",
+  "confirm.title": "Confirmar acción",
+  "confirm.switchOn": "¿Encender «{label}» ({relay}) de {device}?",
+  "confirm.switchOff": "¿Apagar «{label}» ({relay}) de {device}?",
+  "confirm.critical": "⚠️ Relé crítico: indica el motivo de la acción.",
+  "confirm.noteRequired": "Nota (obligatoria)",
+  "confirm.noteOptional": "Nota (opcional)",
+  "confirm.notePlaceholder": "Ej: Riego sector 3 con abonado A",
+
+  // Timeline
+  "timeline.title": "Histórico de relés (timeline):",
+  "timeline.zoomIn": "Acercar",
+  "timeline.zoomOut": "Alejar",
+  "timeline.now": "Ahora",
+  "timeline.notePlaceholder": "Nota (ej: riego sector 3 con abonado A)",
+  "timeline.addNote": "Añadir nota",
+  "timeline.span.hour": "1 h",
+  "timeline.span.sixHours": "6 h",
+  "timeline.span.day": "24 h",
+  "timeline.span.week": "7 d",
+  "timeline.span.fourWeeks": "4 sem",
+
+  // Programas
+  "programs.title": "Programas de {name}:",
+  "programs.refresh": "Refrescar",
+  "programs.days": ["lun", "mar", "mié", "jue", "vie", "sáb", "dom"],
+  "programs.pickDay": "Selecciona al menos un día",
+  "programs.add": "Añadir",
+  "programs.rawPlaceholder": "Ej: rl:07_00_30m",
+  "programs.addRaw": "Añadir código",
+  "programs.acked": "Confirmado por el dispositivo a las {time}:",
+  "programs.waiting": "Esperando la lista de programas del dispositivo...",
+  "programs.empty": "No hay programas en el dispositivo.",
+  "programs.delete": "Borrar",
+  "programs.error.format":
+    '"{code}" no tiene el formato r[relé]<días>:HH_MM_<duración> (p. ej. rl:07_00_30m)',
+  "programs.error.relay": 'Relé no válido en "{code}": los relés empiezan en 1',
+  "programs.error.days": 'Día(s) no válido(s) en "{code}": {days} (usa {valid})',
+  "programs.error.repeatedDays": 'Días repetidos en "{code}"',
+  "programs.error.hour": 'Hora no válida en "{code}": {hour} (00-23)',
+  "programs.error.minute": 'Minutos no válidos en "{code}": {minute} (00-59)',
+  "programs.error.missingDuration": 'Falta la duración en "{code}" (p. ej. 30m o 1h)',
+  "programs.error.duration": 'Duración no válida en "{code}": entre 1m y {max}h',
+
+  // Comandos y auditoría
+  "commands.title": "Historial de comandos:",
+  "commands.empty": "Todavía no se ha enviado ningún comando.",
+  "commands.queued": "En cola",
+  "commands.pending": "Pendiente",
+  "commands.confirmed": "Confirmado",
+  "commands.failed": "Fallido",
+  "commands.cancelled": "Cancelado",
+  "commands.expired": "Caducado",
+  "commands.cancel": "Cancelar",
+  "commands.error.noAck": "Sin confirmación del dispositivo",
+  "commands.error.expired": "Caducado en la cola sin conexión",
+  "audit.title": "Registro de acciones:",
+  "audit.empty": "Todavía no hay acciones registradas.",
+  "audit.error.discarded": "Comando descartado del historial",
+
+  // Log de mensajes
+  "messages.title": "Mensajes recibidos IoT:",
+  "messages.topicPlaceholder": "Topic (admite + y #)",
+  "messages.textPlaceholder": "Texto en payload",
+  "messages.from": "Desde",
+  "messages.to": "Hasta",
+  "messages.loading": "Cargando histórico...",
+  "messages.count": "{visible} de {total} mensajes",
+  "messages.clear": "Borrar histórico",
+  "messages.clearConfirm": "¿Borrar todo el histórico de mensajes guardado?",
+  "messages.warnings": "Payload con problemas: {warnings}",
+  "messages.fileName": "mensajes",
+  "topics.error.hash": "Patrón de topic no válido (# solo como último nivel): {pattern}",
+  "topics.error.plus": "Patrón de topic no válido (+ debe ocupar un nivel entero): {pattern}",
+
+  // Alertas
+  "alerts.panelTitle": "🔔 Alertas",
+  "alerts.activeCount": "({count} activa(s))",
+  "alerts.title.offline": "{device} sin conexión",
+  "alerts.title.relayOutsideSchedule": "{device}: relé encendido fuera de horario",
+  "alerts.title.payloadMatch": "Mensaje vigilado en {topic}",
+  "alerts.body.offline": "Sin noticias desde hace más de {minutes} min.",
+  "alerts.body.relayOutsideSchedule": "{relay} se ha encendido fuera de la franja {from}–{to}.",
+  "alerts.body.payloadMatch": "{payload}",
+  "alerts.type.offline": "Dispositivo offline",
+  "alerts.type.relayOutsideSchedule": "Relé encendido fuera de horario",
+  "alerts.type.payloadMatch": "Mensaje que coincide",
+  "alerts.rule.offline": "{device} offline más de {minutes} min",
+  "alerts.rule.relayOutsideSchedule": "{device} · {relay} encendido fuera de {from}–{to}",
+  "alerts.rule.payloadMatch": "{topic} contiene /{match}/",
+  "alerts.rules": "Reglas",
+  "alerts.noRules": "No hay reglas. Añade una para recibir avisos.",
+  "alerts.field.type": "Tipo",
+  "alerts.field.device": "Dispositivo",
+  "alerts.field.minutes": "Minutos",
+  "alerts.field.relay": "Relé",
+  "alerts.field.from": "Desde",
+  "alerts.field.to": "Hasta",
+  "alerts.field.topic": "Topic (admite + y #)",
+  "alerts.field.match": "Texto o expresión regular",
+  "alerts.addRule": "Añadir regla",
+  "alerts.removeRule": "Quitar",
+  "alerts.history": "Historial",
+  "alerts.empty": "Sin alertas.",
+  "alerts.status.active": "Activa",
+  "alerts.status.acknowledged": "Reconocida",
+  "alerts.status.snoozed": "Aplazada hasta {time}",
+  "alerts.repeated": "×{count}",
+  "alerts.acknowledge": "Reconocer",
+  "alerts.snooze": "Aplazar {minutes} min",
+  "alerts.clearHistory": "Borrar historial",
+  "alerts.clearConfirm": "¿Borrar todo el historial de alertas?",
+  "alerts.enableNotifications": "Activar notificaciones del navegador",
+  "alerts.notificationsOn": "Notificaciones del navegador activadas.",
+  "alerts.notificationsDenied": "El navegador tiene bloqueadas las notificaciones de esta web.",
+  "alerts.dismiss": "Cerrar aviso",
+  "alerts.error.minutes": "Los minutos deben ser un número mayor que 0",
+  "alerts.error.relay": "Relé no válido: {relay}",
+  "alerts.error.schedule": "La franja debe tener el formato HH:MM",
+  "alerts.error.missingMatch": "Falta el texto o la expresión a buscar",
+  "alerts.error.match": "Expresión no válida: {match}",
+  "alerts.error.type": 'Tipo de regla desconocido "{type}" (válidos: {valid})',
+
+  // Telemetría
+  "telemetry.title": "Telemetría:",
+  "telemetry.empty": "Añade widgets para ver temperatura, humedad, consumo u otros valores.",
+  "telemetry.noData": "Sin datos",
+  "telemetry.widgetType": "Tipo de widget",
+  "telemetry.widget.value": "Último valor",
+  "telemetry.widget.gauge": "Indicador",
+  "telemetry.widget.sparkline": "Tendencia",
+  "telemetry.topic": "Topic",
+  "telemetry.pickTopic": "Elige un topic ({count})",
+  "telemetry.addWidget": "Añadir widget",
+  "telemetry.removeWidget": "Quitar widget",
+  "telemetry.warning.notNumber": "No es un número",
+  "telemetry.warning.unit": 'Unidad "{unit}", se esperaba "{expected}"',
+  "telemetry.warning.range": "Fuera de rango [{min}, {max}]",
+  "telemetry.warning.onoff": "Se esperaba on/off",
+  "telemetry.warning.json": "JSON no válido",
+  "telemetry.schema.type": "{path}: se esperaba {expected} y llegó {actual}",
+  "telemetry.schema.enum": "{path}: valor no permitido {value}",
+  "telemetry.schema.minimum": "{path}: {value} < mínimo {limit}",
+  "telemetry.schema.maximum": "{path}: {value} > máximo {limit}",
+  "telemetry.schema.required": '{path}: falta "{key}"',
+  "telemetry.error.pattern": "Decodificador sin patrón de topic",
+  "telemetry.error.type": 'Tipo de decodificador desconocido "{type}" (válidos: {valid})',
+
+  // Gráficas
+  "charts.title": "Gráficas:",
+  "charts.noTopics":
+    "Todavía no ha llegado ningún valor numérico (temperatura, humedad, consumo...).",
+  "charts.noData": "Sin datos en este rango",
+  "charts.bucket": "Agrupar por",
+  "charts.bucket.auto": "Automático ({bucket})",
+  "charts.bucket.minute": "minuto",
+  "charts.bucket.hour": "hora",
+  "charts.bucket.day": "día",
+  "charts.exportPng": "Exportar PNG",
+  "charts.dragHint": "arrastra sobre la gráfica para ampliar",
+  "charts.fileName": "graficas",
+  "charts.span.hour": "1 h",
+  "charts.span.day": "24 h",
+  "charts.span.week": "7 d",
+  "charts.span.month": "30 d",
+  "charts.span.year": "1 año",
+  "charts.tooltip": "media {avg} · mín {min} · máx {max} ({count} lecturas)",
+};
+
+export default es;
@@ -0,0 +1,81 @@
+// src/i18n/i18n.js
+// Textos de la interfaz en español e inglés. El idioma activo es global (también antes de
+// iniciar sesión) y se recuerda en localStorage; una vez dentro manda la preferencia del usuario.
+//   t("relays.title", { name: "Riego" }) → "Relés de Riego:"
+// Si falta una clave en el idioma activo se usa el español y, si tampoco está, la propia clave.
+import es from "./es";
+import en from "./en";
+
+export const CATALOGS = { es, en };
+export const LANGUAGES = [
+  { code: "es", label: "Español" },
+  { code: "en", label: "English" },
+];
+export const DEFAULT_LANGUAGE = "es";
+
+// Locale para Intl (fechas y números)
+const LOCALES = { es: "es-ES", en: "en-GB" };
+const LANGUAGE_KEY = "smart-things:language";
+
+const listeners = new Set();
+
+function readStored() {
+  try {
+    const stored = window.localStorage.getItem(LANGUAGE_KEY);
+    return CATALOGS[stored] ? stored : DEFAULT_LANGUAGE;
+  } catch (e) {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+let language = readStored();
+
+export function getLanguage() {
+  return language;
+}
+
+export function subscribeLanguage(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setLanguage(next) {
+  if (!CATALOGS[next] || next === language) return;
+  language = next;
+  try {
+    window.localStorage.setItem(LANGUAGE_KEY, next);
+  } catch (e) {
+    // sin localStorage: solo para esta sesión
+  }
+  document.documentElement.lang = next;
+  listeners.forEach((l) => l(next));
+}
+
+// Sustituye {param}; los valores que no son texto (listas de días...) se devuelven tal cual
+export function translate(lang, key, params) {
+  const value = CATALOGS[lang][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  if (typeof value !== "string" || !params) return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+export function t(key, params) {
+  return translate(language, key, params);
+}
+
+export function locale(lang = language) {
+  return LOCALES[lang];
+}
+
+export function formatDateTime(value, lang = language) {
+  return new Date(value).toLocaleString(locale(lang));
+}
+
+export function formatTime(value, lang = language) {
+  return new Date(value).toLocaleTimeString(locale(lang));
+}
+
+export function formatDate(value, options, lang = language) {
+  return new Date(value).toLocaleDateString(locale(lang), options);
+}
@@ -0,0 +1,36 @@
+import { CATALOGS, getLanguage, setLanguage, subscribeLanguage, t, translate } from "./i18n";
+import { formatLastSeen } from "../components/DeviceStatusCard";
+
+afterEach(() => setLanguage("es"));
+
+test("los dos catálogos tienen las mismas claves", () => {
+  expect(Object.keys(CATALOGS.en).sort()).toEqual(Object.keys(CATALOGS.es).sort());
+});
+
+test("interpola parámetros y cae al español o a la clave si falta la traducción", () => {
+  expect(translate("en", "relays.title", { name: "Riego" })).toBe("Riego relays:");
+  expect(translate("es", "relays.title", { name: "Riego" })).toBe("Relés de Riego:");
+  expect(translate("en", "no.existe")).toBe("no.existe");
+  expect(translate("es", "relays.sending")).toBe("Enviando {value}...");
+});
+
+test("cambiar de idioma avisa, se recuerda y cambia lang del documento", () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeLanguage(listener);
+  setLanguage("en");
+  setLanguage("fr"); // no soportado: se ignora
+  unsubscribe();
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(getLanguage()).toBe("en");
+  expect(localStorage.getItem("smart-things:language")).toBe("en");
+  expect(document.documentElement.lang).toBe("en");
+  expect(t("presence.recheck")).toBe("Check again");
+});
+
+test("los textos generados fuera de React usan el idioma activo", () => {
+  expect(formatLastSeen(90)).toBe("visto hace 1 min");
+  setLanguage("en");
+  expect(formatLastSeen(90)).toBe("seen 1 min ago");
+  expect(formatLastSeen(null)).toBe("never seen");
+});
@@ -4,14 +4,30 @@ import ReactDOM from 'react-dom/client'; // <-- Cambiado para React 18
 import App from './App';
 import { Amplify } from 'aws-amplify';
 import awsExports from './aws-exports';
+import { loadConfig } from './config/runtimeConfig';
+import UpdatePrompt from './components/UpdatePrompt';
+import * as serviceWorkerRegistration from './pwa/serviceWorkerRegistration';
 //import '@aws-amplify/ui-react/styles.css';
 
 Amplify.configure(awsExports);
 
 // Crear root usando la nueva API de React 18
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Endpoints por entorno (REACT_APP_* + config.json opcional) antes de pintar nada
+loadConfig()
+  .then(() => {
+    root.render(
+      <React.StrictMode>
+        <App />
+        <UpdatePrompt />
+      </React.StrictMode>
+    );
+  })
+  .catch((error) => {
+    console.error('Configuración no válida:', error);
+    root.render(<p style={{ color: 'red', padding: '20px' }}>{error.message}</p>);
+  });
+
+// PWA: instalable, abre sin conexión y avisa cuando hay una versión nueva
+serviceWorkerRegistration.register();
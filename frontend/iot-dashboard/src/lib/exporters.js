@@ -0,0 +1,68 @@
+// src/lib/exporters.js
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label, format? }]
+export function toCSV(rows, columns) {
+  const header = columns.map((c) => csvCell(c.label || c.key)).join(",");
+  const lines = rows.map((row) =>
+    columns.map((c) => csvCell(c.format ? c.format(row[c.key], row) : row[c.key])).join(",")
+  );
+  return [header, ...lines].join("\n") + "\n";
+}
+
+export function toNDJSON(rows) {
+  return rows.map((row) => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : "");
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "2026-10-18T07-30-00" — apto para nombres de fichero
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, "-");
+}
+
+// Descarga un <svg> del DOM como PNG (a escala `scale`, sobre fondo blanco)
+export function downloadSvgAsPng(svg, filename, { scale = 2 } = {}) {
+  const { width, height } = svg.getBoundingClientRect();
+  const source = new XMLSerializer().serializeToString(svg);
+  const url = URL.createObjectURL(new Blob([source], { type: "image/svg+xml;charset=utf-8" }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "white";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) return reject(new Error("No se pudo generar el PNG"));
+        downloadFile(filename, blob);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("No se pudo convertir la gráfica a imagen"));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,55 @@
+// src/lib/messageFilters.js
+import { matchTopic } from "../connection/topicRouter";
+
+const payloadText = (payload) =>
+  typeof payload === "object" ? JSON.stringify(payload) : String(payload);
+
+// filter: { deviceId, topicPattern, text, from, to } — todos opcionales; from/to en epoch ms
+export function filterMessages(messages, { deviceId, topicPattern, text, from, to } = {}) {
+  const needle = text ? text.trim().toLowerCase() : "";
+  return messages.filter((m) => {
+    if (deviceId && m.deviceId !== deviceId) return false;
+    if (from && m.receivedAt < from) return false;
+    if (to && m.receivedAt > to) return false;
+    if (topicPattern && !matchTopic(topicPattern, m.topic)) return false;
+    if (needle && !payloadText(m.payload).toLowerCase().includes(needle)) return false;
+    return true;
+  });
+}
+
+const FILTER_KEYS = ["deviceId", "topicPattern", "text", "from", "to"];
+const sameFilter = (a, b) => FILTER_KEYS.every((key) => a[key] === b[key]);
+
+// Si next es prev con filas nuevas al final (y quizá sin las más antiguas, por la retención):
+// { dropped: cuántas de prev han salido por el principio, added: las nuevas }. Si no, null.
+function appendedSince(prev, next) {
+  if (!prev.length) return { dropped: 0, added: next };
+  const last = next.lastIndexOf(prev[prev.length - 1]);
+  const dropped = prev.length - (last + 1);
+  if (last < 0 || dropped < 0 || next[0] !== prev[dropped]) return null;
+  return { dropped, added: next.slice(last + 1) };
+}
+
+// filterMessages con memoria para el registro en vivo: mientras el filtro no cambie y los
+// mensajes solo crezcan por el final, filtra únicamente las filas nuevas (el registro puede
+// tener decenas de miles). Devuelve un array nuevo en cada cambio; no hay que modificarlo.
+export function createMessageFilter() {
+  let last = null; // { messages, filter, result }
+
+  return (messages, filter = {}) => {
+    if (last && last.messages === messages && sameFilter(last.filter, filter)) return last.result;
+    const change =
+      last && sameFilter(last.filter, filter) && appendedSince(last.messages, messages);
+    let result;
+    if (change) {
+      const gone = new Set(last.messages.slice(0, change.dropped));
+      let kept = 0;
+      while (kept < last.result.length && gone.has(last.result[kept])) kept += 1;
+      result = last.result.slice(kept).concat(filterMessages(change.added, filter));
+    } else {
+      result = filterMessages(messages, filter);
+    }
+    last = { messages, filter, result };
+    return result;
+  };
+}
@@ -0,0 +1,50 @@
+import { createMessageFilter, filterMessages } from "./messageFilters";
+import * as topicRouter from "../connection/topicRouter";
+import { toCSV, toNDJSON } from "./exporters";
+
+const messages = [
+  { id: 1, deviceId: "d_000", topic: "mod_1x1/d_000/k1/status", payload: "on", receivedAt: 1000 },
+  { id: 2, deviceId: "d_001", topic: "mod_1x1/d_001/k1/status", payload: "off", receivedAt: 2000 },
+  { id: 3, deviceId: "d_000", topic: "mod_1x1/d_000/will", payload: { state: "byebye" }, receivedAt: 3000 },
+];
+
+const ids = (list) => list.map((m) => m.id);
+
+test("filtra por dispositivo, patrón de topic, texto y rango", () => {
+  expect(ids(filterMessages(messages, { deviceId: "d_000" }))).toEqual([1, 3]);
+  expect(ids(filterMessages(messages, { topicPattern: "mod_1x1/+/k1/#" }))).toEqual([1, 2]);
+  expect(ids(filterMessages(messages, { text: "BYE" }))).toEqual([3]);
+  expect(ids(filterMessages(messages, { from: 1500, to: 3000 }))).toEqual([2, 3]);
+  expect(ids(filterMessages(messages))).toEqual([1, 2, 3]);
+});
+
+test("con el mismo filtro solo filtra los mensajes nuevos", () => {
+  const spy = jest.spyOn(topicRouter, "matchTopic");
+  const filterLog = createMessageFilter();
+  const filter = { topicPattern: "mod_1x1/+/k1/status" };
+  expect(ids(filterLog(messages, filter))).toEqual([1, 2]);
+
+  const more = { id: 4, deviceId: "d_001", topic: "mod_1x1/d_001/k1/status", payload: "on" };
+  spy.mockClear();
+  // Llega uno nuevo y la retención tira el más antiguo
+  expect(ids(filterLog([...messages.slice(1), more], filter))).toEqual([2, 4]);
+  expect(spy).toHaveBeenCalledTimes(1);
+
+  // Otro filtro: se vuelve a filtrar todo
+  expect(ids(filterLog([...messages.slice(1), more], { deviceId: "d_000" }))).toEqual([3]);
+  spy.mockRestore();
+});
+
+test("exporta a CSV escapando comillas y comas", () => {
+  const csv = toCSV([messages[2]], [
+    { key: "topic", label: "topic" },
+    { key: "payload", label: "payload" },
+  ]);
+  expect(csv).toBe('topic,payload\nmod_1x1/d_000/will,"{""state"":""byebye""}"\n');
+});
+
+test("exporta a NDJSON una línea por mensaje", () => {
+  const lines = toNDJSON(messages).trim().split("\n");
+  expect(lines).toHaveLength(3);
+  expect(JSON.parse(lines[1])).toEqual(messages[1]);
+});
@@ -0,0 +1,9 @@
+// src/lib/relayState.js
+
+// "on" / "1" / "true" → true, "off" / "0" / "false" → false, resto → null (ignorado)
+export function parseOnOff(payload) {
+  const v = String(payload).trim().toLowerCase();
+  if (v === "on" || v === "1" || v === "true") return true;
+  if (v === "off" || v === "0" || v === "false") return false;
+  return null;
+}
@@ -0,0 +1,56 @@
+// src/lib/timeline.js
+// Intervalos encendido/apagado por relé a partir de los mensajes kN/status persistidos.
+import { deviceTopic, relayKeys } from "../config/devices";
+import { parseOnOff } from "./relayState";
+
+// → [{ relay, start, end }] recortados a [from, to]; messages ordenados por receivedAt.
+// El estado al inicio del rango es el último status recibido antes de from.
+export function buildRelayIntervals(messages, device, { from, to }) {
+  const intervals = [];
+
+  relayKeys(device).forEach((relay) => {
+    const topic = deviceTopic(device, relay, "status");
+    let onSince = null; // inicio del intervalo abierto
+
+    for (const m of messages) {
+      if (m.topic !== topic) continue;
+      if (m.receivedAt > to) break;
+      const on = parseOnOff(m.payload);
+      if (on === null) continue;
+
+      if (on && onSince === null) {
+        onSince = m.receivedAt;
+      } else if (!on && onSince !== null) {
+        if (m.receivedAt > from) {
+          intervals.push({ relay, start: Math.max(onSince, from), end: m.receivedAt });
+        }
+        onSince = null;
+      }
+    }
+    if (onSince !== null) intervals.push({ relay, start: Math.max(onSince, from), end: to });
+  });
+
+  return intervals;
+}
+
+// { k1: ms encendido, ... } para todos los relés del dispositivo
+export function onTimeByRelay(intervals, device) {
+  const totals = Object.fromEntries(relayKeys(device).map((k) => [k, 0]));
+  intervals.forEach((iv) => {
+    totals[iv.relay] = (totals[iv.relay] || 0) + (iv.end - iv.start);
+  });
+  return totals;
+}
+
+// 8100000 → "2 h 15 min"
+export function formatDuration(ms) {
+  const totalMin = Math.round(ms / 60000);
+  const days = Math.floor(totalMin / 1440);
+  const hours = Math.floor((totalMin % 1440) / 60);
+  const mins = totalMin % 60;
+  const parts = [];
+  if (days) parts.push(`${days} d`);
+  if (hours) parts.push(`${hours} h`);
+  if (mins || !parts.length) parts.push(`${mins} min`);
+  return parts.join(" ");
+}
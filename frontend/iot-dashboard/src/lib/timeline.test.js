@@ -0,0 +1,47 @@
+import { buildRelayIntervals, formatDuration, onTimeByRelay } from "./timeline";
+
+const device = { id: "d_000", model: "mod_1x1", topicPrefix: "mod_1x1/d_000", relays: 3 };
+const status = (relay, payload, receivedAt) => ({
+  topic: `mod_1x1/d_000/${relay}/status`,
+  payload,
+  receivedAt,
+});
+
+const messages = [
+  status("k1", "on", 100),
+  status("k3", "on", 150),
+  status("k1", "on", 200), // repetido: no abre otro intervalo
+  status("k1", "off", 300),
+  status("k2", "on", 400),
+  status("k1", "on", 500),
+  { topic: "mod_1x1/d_000/k2/feedback", payload: "off", receivedAt: 600 },
+  status("k3", "off", 700),
+];
+
+test("construye intervalos para cualquier número de relés", () => {
+  expect(buildRelayIntervals(messages, device, { from: 0, to: 1000 })).toEqual([
+    { relay: "k1", start: 100, end: 300 },
+    { relay: "k1", start: 500, end: 1000 },
+    { relay: "k2", start: 400, end: 1000 },
+    { relay: "k3", start: 150, end: 700 },
+  ]);
+});
+
+test("recorta al rango y arrastra el estado previo a from", () => {
+  expect(buildRelayIntervals(messages, device, { from: 250, to: 450 })).toEqual([
+    { relay: "k1", start: 250, end: 300 },
+    { relay: "k2", start: 400, end: 450 },
+    { relay: "k3", start: 250, end: 450 },
+  ]);
+});
+
+test("suma el tiempo encendido por relé", () => {
+  const intervals = buildRelayIntervals(messages, device, { from: 0, to: 1000 });
+  expect(onTimeByRelay(intervals, device)).toEqual({ k1: 700, k2: 600, k3: 550 });
+});
+
+test("formatea duraciones", () => {
+  expect(formatDuration(0)).toBe("0 min");
+  expect(formatDuration(8100000)).toBe("2 h 15 min");
+  expect(formatDuration(26 * 3600000)).toBe("1 d 2 h");
+});
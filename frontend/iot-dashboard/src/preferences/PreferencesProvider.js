@@ -0,0 +1,38 @@
+// src/preferences/PreferencesProvider.js
+import React, { createContext, useEffect, useState } from "react";
+import { createPreferencesStore } from "./preferencesStore";
+import { createApiPreferencesSync } from "../api/preferences";
+import { getConfig } from "../config/runtimeConfig";
+import { setLanguage } from "../i18n/i18n";
+
+export const PreferencesContext = createContext(null);
+
+// Preferencias del usuario autenticado; con preferencesSync se traen del backend al entrar
+export function PreferencesProvider({ userId, children }) {
+  const [store] = useState(() =>
+    createPreferencesStore({
+      userId,
+      remote: getConfig().preferencesSync ? createApiPreferencesSync() : null,
+    })
+  );
+
+  // El idioma guardado por el usuario manda sobre el elegido en la pantalla de login (solo si
+  // lo eligió él: guardar otra preferencia no debe devolverle al idioma por defecto)
+  useEffect(() => {
+    const apply = () => {
+      const prefs = store.getSnapshot();
+      if (prefs.languageSetAt) setLanguage(prefs.language);
+    };
+    apply();
+    return store.subscribe(apply);
+  }, [store]);
+
+  useEffect(() => {
+    store.sync();
+    return () => {
+      store.flush();
+    };
+  }, [store]);
+
+  return <PreferencesContext.Provider value={store}>{children}</PreferencesContext.Provider>;
+}
@@ -0,0 +1,222 @@
+// src/preferences/preferencesStore.js
+// Preferencias de cada usuario: nombres, iconos, orden y visibilidad de los relés,
+// dispositivos favoritos, idioma, reglas de alerta y widgets de telemetría. Se guardan en localStorage (una clave por usuario) y,
+// si hay backend (remote), se sincronizan: gana la copia con updatedAt más reciente.
+//
+// {
+//   language: "es",
+//   languageSetAt: 0,   (cuándo lo eligió el usuario; 0 = nunca, manda el de la pantalla de login)
+//   favouriteDevices: ["d_000"],
+//   devices: { d_000: { order: ["k2", "k1"], relays: { k1: { name, icon, hidden } } } },
+//   alertRules: [{ id, type: "offline", deviceId: "*", minutes: 10 }],  (ver alerts/alertRules.js)
+//   widgets: [{ id, type: "gauge" | "sparkline" | "value", topic: "mod_1x1/d_000/temperature" }],
+//   updatedAt: 0,
+// }
+import { relayKeys } from "../config/devices";
+import { t } from "../i18n/i18n";
+
+export const DEFAULT_PREFERENCES = {
+  language: "es",
+  languageSetAt: 0,
+  favouriteDevices: [],
+  devices: {},
+  alertRules: [],
+  widgets: [],
+  updatedAt: 0,
+};
+
+export const RELAY_ICONS = ["💡", "💧", "🌀", "🔥", "❄️", "🔌", "⚙️", "🚪"];
+
+const storageKey = (userId) => `smart-things:preferences:${userId}`;
+
+// ---- Lectura (funciones puras sobre el objeto de preferencias) ----
+
+function relayPrefs(prefs, device, relayKey) {
+  const devicePrefs = prefs.devices[device.id];
+  return (devicePrefs && devicePrefs.relays && devicePrefs.relays[relayKey]) || {};
+}
+
+// Nombre puesto por el usuario o null
+export function customRelayName(prefs, device, relayKey) {
+  return relayPrefs(prefs, device, relayKey).name || null;
+}
+
+// Nombre a mostrar: el del usuario o "Relé N" en el idioma activo
+export function relayLabel(prefs, device, relayKey) {
+  return customRelayName(prefs, device, relayKey) || t("relay.default", { n: relayKey.slice(1) });
+}
+
+export function relayIcon(prefs, device, relayKey) {
+  return relayPrefs(prefs, device, relayKey).icon || null;
+}
+
+export function isRelayHidden(prefs, device, relayKey) {
+  return !!relayPrefs(prefs, device, relayKey).hidden;
+}
+
+// Todas las claves del dispositivo en el orden elegido (las que no estén en order, al final)
+export function orderedRelayKeys(prefs, device) {
+  const keys = relayKeys(device);
+  const devicePrefs = prefs.devices[device.id];
+  const order = ((devicePrefs && devicePrefs.order) || []).filter((k) => keys.includes(k));
+  return [...order, ...keys.filter((k) => !order.includes(k))];
+}
+
+export function visibleRelayKeys(prefs, device) {
+  return orderedRelayKeys(prefs, device).filter((k) => !isRelayHidden(prefs, device, k));
+}
+
+// Favoritos primero, respetando el orden original dentro de cada grupo
+export function sortDevices(prefs, devices) {
+  const isFav = (d) => prefs.favouriteDevices.includes(d.id);
+  return [...devices.filter(isFav), ...devices.filter((d) => !isFav(d))];
+}
+
+// ---- Store ----
+
+function readLocal(storage, userId) {
+  if (!storage) return null;
+  try {
+    const raw = storage.getItem(storageKey(userId));
+    return raw ? { ...DEFAULT_PREFERENCES, ...JSON.parse(raw) } : null;
+  } catch (e) {
+    console.warn("Preferencias guardadas no válidas, se usan las de por defecto", e);
+    return null;
+  }
+}
+
+// remote: { load(userId) → Promise<prefs|null>, save(userId, prefs) → Promise }
+export function createPreferencesStore({
+  userId,
+  storage = window.localStorage,
+  remote = null,
+  now = Date.now,
+  saveDelayMs = 2000,
+}) {
+  const listeners = new Set();
+  let state = readLocal(storage, userId) || DEFAULT_PREFERENCES;
+  let saveTimer = null;
+
+  function set(next, { persist = true } = {}) {
+    state = next;
+    if (persist && storage) {
+      try {
+        storage.setItem(storageKey(userId), JSON.stringify(state));
+      } catch (e) {
+        console.error("No se pudieron guardar las preferencias", e);
+      }
+    }
+    listeners.forEach((l) => l());
+  }
+
+  function push() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!remote) return Promise.resolve();
+    return remote
+      .save(userId, state)
+      .catch((e) => console.error("No se pudieron sincronizar las preferencias", e));
+  }
+
+  // Los cambios seguidos (p. ej. escribir un nombre) se envían juntos
+  function schedulePush() {
+    if (!remote) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(push, saveDelayMs);
+  }
+
+  function update(fn) {
+    set({ ...fn(state), updatedAt: now() });
+    schedulePush();
+  }
+
+  function updateDevice(deviceId, fn) {
+    update((prefs) => ({
+      ...prefs,
+      devices: { ...prefs.devices, [deviceId]: fn(prefs.devices[deviceId] || {}) },
+    }));
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => state,
+
+    async sync() {
+      if (!remote) return;
+      let remotePrefs = null;
+      try {
+        remotePrefs = await remote.load(userId);
+      } catch (e) {
+        console.error("No se pudieron leer las preferencias del servidor", e);
+        return;
+      }
+      if (remotePrefs && remotePrefs.updatedAt > state.updatedAt) {
+        set({ ...DEFAULT_PREFERENCES, ...remotePrefs });
+      } else if (state.updatedAt > ((remotePrefs && remotePrefs.updatedAt) || 0)) {
+        await push();
+      }
+    },
+
+    // Envía ya lo pendiente (al desmontar)
+    flush() {
+      return saveTimer ? push() : Promise.resolve();
+    },
+
+    setLanguage(language) {
+      update((prefs) => ({ ...prefs, language, languageSetAt: now() }));
+    },
+
+    toggleFavourite(deviceId) {
+      update((prefs) => ({
+        ...prefs,
+        favouriteDevices: prefs.favouriteDevices.includes(deviceId)
+          ? prefs.favouriteDevices.filter((id) => id !== deviceId)
+          : [...prefs.favouriteDevices, deviceId],
+      }));
+    },
+
+    // changes: { name?, icon?, hidden? }; name vacío vuelve al nombre por defecto
+    setRelay(device, relayKey, changes) {
+      updateDevice(device.id, (devicePrefs) => {
+        const relays = devicePrefs.relays || {};
+        const next = { ...relays[relayKey], ...changes };
+        if (!next.name) delete next.name;
+        if (!next.icon) delete next.icon;
+        if (!next.hidden) delete next.hidden;
+        return { ...devicePrefs, relays: { ...relays, [relayKey]: next } };
+      });
+    },
+
+    addAlertRule(rule) {
+      update((prefs) => ({ ...prefs, alertRules: [...prefs.alertRules, rule] }));
+    },
+
+    removeAlertRule(ruleId) {
+      update((prefs) => ({
+        ...prefs,
+        alertRules: prefs.alertRules.filter((r) => r.id !== ruleId),
+      }));
+    },
+
+    addWidget(widget) {
+      update((prefs) => ({ ...prefs, widgets: [...prefs.widgets, widget] }));
+    },
+
+    removeWidget(widgetId) {
+      update((prefs) => ({ ...prefs, widgets: prefs.widgets.filter((w) => w.id !== widgetId) }));
+    },
+
+    // delta -1 sube el relé una posición, +1 lo baja
+    moveRelay(device, relayKey, delta) {
+      const order = orderedRelayKeys(state, device);
+      const from = order.indexOf(relayKey);
+      const to = from + delta;
+      if (from < 0 || to < 0 || to >= order.length) return;
+      [order[from], order[to]] = [order[to], order[from]];
+      updateDevice(device.id, (devicePrefs) => ({ ...devicePrefs, order }));
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import {
+  createPreferencesStore,
+  orderedRelayKeys,
+  relayLabel,
+  sortDevices,
+  visibleRelayKeys,
+} from "./preferencesStore";
+
+const device = { id: "d_001", model: "mod_2x2", relays: 3, topicPrefix: "mod_2x2/d_001" };
+
+function memoryStorage() {
+  const data = {};
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+}
+
+let t;
+const now = () => t;
+
+beforeEach(() => {
+  t = 1000;
+  jest.useFakeTimers();
+});
+
+afterEach(() => jest.useRealTimers());
+
+test("nombres, iconos, orden y relés ocultos por dispositivo", () => {
+  const store = createPreferencesStore({ userId: "u1", storage: null, now });
+  store.setRelay(device, "k2", { name: "Riego", icon: "💧" });
+  store.setRelay(device, "k3", { hidden: true });
+  store.moveRelay(device, "k2", -1);
+
+  const prefs = store.getSnapshot();
+  expect(relayLabel(prefs, device, "k2")).toBe("Riego");
+  expect(relayLabel(prefs, device, "k1")).toBe("Relé 1");
+  expect(orderedRelayKeys(prefs, device)).toEqual(["k2", "k1", "k3"]);
+  expect(visibleRelayKeys(prefs, device)).toEqual(["k2", "k1"]);
+
+  store.setRelay(device, "k2", { name: "" }); // vuelve al nombre por defecto
+  expect(relayLabel(store.getSnapshot(), device, "k2")).toBe("Relé 2");
+});
+
+test("favoritos primero", () => {
+  const store = createPreferencesStore({ userId: "u1", storage: null, now });
+  const devices = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  store.toggleFavourite("c");
+  expect(sortDevices(store.getSnapshot(), devices).map((d) => d.id)).toEqual(["c", "a", "b"]);
+  store.toggleFavourite("c");
+  expect(store.getSnapshot().favouriteDevices).toEqual([]);
+});
+
+test("se guardan en localStorage por usuario y sobreviven a una recarga", () => {
+  const storage = memoryStorage();
+  createPreferencesStore({ userId: "u1", storage, now }).setLanguage("en");
+  expect(createPreferencesStore({ userId: "u1", storage, now }).getSnapshot().language).toBe("en");
+  expect(createPreferencesStore({ userId: "u2", storage, now }).getSnapshot().language).toBe("es");
+});
+
+test("solo se marca el idioma como elegido al cambiarlo", () => {
+  const store = createPreferencesStore({ userId: "u1", storage: null, now });
+  store.toggleFavourite("d_001");
+  expect(store.getSnapshot().languageSetAt).toBe(0);
+  t = 2000;
+  store.setLanguage("en");
+  expect(store.getSnapshot()).toMatchObject({ language: "en", languageSetAt: 2000 });
+});
+
+test("al sincronizar gana la copia más reciente", async () => {
+  const remote = { load: jest.fn(), save: jest.fn(() => Promise.resolve()) };
+  const store = createPreferencesStore({ userId: "u1", storage: null, remote, now });
+
+  remote.load.mockResolvedValueOnce({
+    language: "en",
+    favouriteDevices: ["d_001"],
+    updatedAt: 500,
+  });
+  await store.sync();
+  expect(store.getSnapshot()).toMatchObject({ language: "en", favouriteDevices: ["d_001"] });
+
+  t = 2000;
+  store.setLanguage("es");
+  remote.load.mockResolvedValueOnce({ language: "en", updatedAt: 500 });
+  await store.sync();
+  expect(store.getSnapshot().language).toBe("es");
+  expect(remote.save).toHaveBeenCalledWith("u1", expect.objectContaining({ language: "es" }));
+});
+
+test("los cambios seguidos se envían al backend de una vez", () => {
+  const remote = { load: jest.fn(), save: jest.fn(() => Promise.resolve()) };
+  const store = createPreferencesStore({
+    userId: "u1",
+    storage: null,
+    remote,
+    now,
+    saveDelayMs: 2000,
+  });
+  store.setRelay(device, "k1", { name: "R" });
+  store.setRelay(device, "k1", { name: "Riego" });
+  expect(remote.save).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(2000);
+  expect(remote.save).toHaveBeenCalledTimes(1);
+  expect(relayLabel(remote.save.mock.calls[0][1], device, "k1")).toBe("Riego");
+});
@@ -0,0 +1,37 @@
+// src/presence/PresenceProvider.js
+import React, { createContext, useEffect, useState } from "react";
+import { createPresenceEngine, presenceThresholds } from "./presenceEngine";
+import { sendCommand } from "../api/commands";
+import { getConfig } from "../config/runtimeConfig";
+import { useConnection, useTopicSubscription } from "../hooks/useConnection";
+
+export const PresenceContext = createContext(null);
+
+// El sondeo es el "hi" de siempre: askInfo y el dispositivo contesta en .../answerInfo
+const askInfo = (device) => sendCommand(device, "askInfo", "hi");
+
+// Umbrales (staleAfterMs, offlineAfterMs, probeIntervalMs...): PRESENCE_DEFAULTS, encima
+// presence de config.json y encima options
+export function PresenceProvider({ devices, options, children }) {
+  const [engine] = useState(() =>
+    createPresenceEngine({
+      devices,
+      probe: askInfo,
+      ...presenceThresholds(getConfig().presence),
+      ...options,
+    })
+  );
+  const { status: connectionStatus } = useConnection();
+
+  useTopicSubscription("#", (data) => engine.handleMessage(data));
+
+  // 🔸 sondea SOLO con el WS abierto (también tras cada reconexión), así no se pierde la respuesta
+  useEffect(() => {
+    if (connectionStatus !== "open") return undefined;
+    engine.probeAll();
+    engine.start();
+    return () => engine.stop();
+  }, [engine, connectionStatus]);
+
+  return <PresenceContext.Provider value={engine}>{children}</PresenceContext.Provider>;
+}
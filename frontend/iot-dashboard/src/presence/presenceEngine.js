@@ -0,0 +1,141 @@
+// src/presence/presenceEngine.js
+// Presencia por dispositivo a partir de cualquier mensaje recibido:
+//   online  → visto hace menos de staleAfterMs
+//   stale   → sin noticias entre staleAfterMs y offlineAfterMs
+//   offline → más de offlineAfterMs, LWT "offline"/"byebye" o sin respuesta al sondeo
+//   unknown → aún no sabemos nada
+// Los dispositivos sin noticias recientes se sondean periódicamente (askInfo "hi").
+
+export const PRESENCE_DEFAULTS = {
+  staleAfterMs: 90000,
+  offlineAfterMs: 300000,
+  probeIntervalMs: 60000,
+  probeTimeoutMs: 5000,
+  tickMs: 1000,
+};
+
+// Umbrales de presence en config.json sobre PRESENCE_DEFAULTS; se ignora lo que no sea un
+// número de ms de una clave conocida
+export function presenceThresholds(overrides = {}) {
+  return Object.fromEntries(
+    Object.keys(PRESENCE_DEFAULTS)
+      .filter((key) => Number.isFinite(overrides[key]) && overrides[key] > 0)
+      .map((key) => [key, overrides[key]])
+  );
+}
+
+// Topics cuyo payload "offline"/"byebye" es una despedida explícita (LWT)
+const LWT_LEAVES = ["will", "lwt", "status"];
+
+export const isBye = (p) => {
+  const v = String(p).trim().toLowerCase();
+  return v === "byebye" || v === "offline";
+};
+
+export function createPresenceEngine({ devices, probe, now = Date.now, ...options }) {
+  const config = { ...PRESENCE_DEFAULTS, ...options };
+  const listeners = new Set();
+  let timer = null;
+  let states = Object.fromEntries(
+    devices.map((d) => [
+      d.id,
+      { status: "unknown", lastSeen: null, lastTopic: null, probedAt: null, probing: false },
+    ])
+  );
+
+  function set(id, changes) {
+    states = { ...states, [id]: { ...states[id], ...changes } };
+    listeners.forEach((l) => l());
+  }
+
+  function findDevice(topic) {
+    return devices.find((d) => topic.startsWith(`${d.topicPrefix}/`));
+  }
+
+  function sendProbe(device) {
+    set(device.id, { probedAt: now(), probing: true });
+    Promise.resolve(probe(device)).catch((e) => console.error("Error enviando hi:", e));
+  }
+
+  function evaluate(t) {
+    devices.forEach((device) => {
+      const s = states[device.id];
+
+      if (s.probing && t - s.probedAt >= config.probeTimeoutMs) {
+        // Sin respuesta al sondeo: si nunca lo habíamos visto, lo damos por offline
+        set(device.id, { probing: false, ...(s.status === "unknown" && { status: "offline" }) });
+      }
+
+      if ((s.status === "online" || s.status === "stale") && s.lastSeen) {
+        const age = t - s.lastSeen;
+        let next = "online";
+        if (age > config.offlineAfterMs) next = "offline";
+        else if (age > config.staleAfterMs) next = "stale";
+        if (next !== s.status) set(device.id, { status: next });
+      }
+    });
+  }
+
+  function probeDue(t) {
+    devices.forEach((device) => {
+      const s = states[device.id];
+      const quiet = !s.lastSeen || t - s.lastSeen > config.staleAfterMs;
+      const due = !s.probedAt || t - s.probedAt >= config.probeIntervalMs;
+      if (quiet && due && !s.probing) sendProbe(device);
+    });
+  }
+
+  const engine = {
+    config,
+
+    // Cualquier mensaje del dispositivo (answerInfo, heartbeat, status...) cuenta como señal de vida
+    handleMessage(data) {
+      const device = findDevice(data.topic);
+      if (!device) return;
+      const leaf = data.topic.slice(device.topicPrefix.length + 1);
+      const changes = { lastSeen: now(), lastTopic: data.topic, probing: false };
+
+      if (LWT_LEAVES.includes(leaf) && isBye(data.payload)) {
+        set(device.id, { ...changes, status: "offline" });
+      } else {
+        set(device.id, { ...changes, status: "online" });
+      }
+    },
+
+    tick() {
+      const t = now();
+      evaluate(t);
+      probeDue(t);
+    },
+
+    probe(deviceId) {
+      const device = devices.find((d) => d.id === deviceId);
+      if (device) sendProbe(device);
+    },
+
+    // Sondea todos de inmediato (p. ej. al abrir o reabrir el WebSocket)
+    probeAll() {
+      devices.forEach(sendProbe);
+    },
+
+    start() {
+      if (!timer) timer = setInterval(() => engine.tick(), config.tickMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot() {
+      return states;
+    },
+  };
+
+  return engine;
+}
@@ -0,0 +1,85 @@
+import { createPresenceEngine, presenceThresholds } from "./presenceEngine";
+
+const device = { id: "d_000", model: "mod_1x1", topicPrefix: "mod_1x1/d_000", relays: 1 };
+
+function setup(options) {
+  let t = 1000000;
+  const probe = jest.fn();
+  const engine = createPresenceEngine({
+    devices: [device],
+    probe,
+    now: () => t,
+    staleAfterMs: 10000,
+    offlineAfterMs: 30000,
+    probeIntervalMs: 15000,
+    probeTimeoutMs: 4000,
+    ...options,
+  });
+  return { engine, probe, advance: (ms) => (t += ms), state: () => engine.getSnapshot().d_000 };
+}
+
+test("empieza en unknown y pasa a offline si no contesta al sondeo", () => {
+  const { engine, probe, advance, state } = setup();
+  expect(state().status).toBe("unknown");
+  engine.probeAll();
+  expect(probe).toHaveBeenCalledWith(device);
+  advance(4000);
+  engine.tick();
+  expect(state()).toMatchObject({ status: "offline", probing: false });
+});
+
+test("cualquier mensaje lo pone online y envejece a stale y offline", () => {
+  const { engine, advance, state } = setup();
+  engine.handleMessage({ topic: "mod_1x1/d_000/k1/status", payload: "on" });
+  expect(state().status).toBe("online");
+
+  advance(11000);
+  engine.tick();
+  expect(state().status).toBe("stale");
+
+  engine.handleMessage({ topic: "mod_1x1/d_000/hb", payload: "123" });
+  expect(state().status).toBe("online");
+
+  advance(31000);
+  engine.tick();
+  expect(state().status).toBe("offline");
+});
+
+test("LWT offline/byebye lo marca offline al momento", () => {
+  const { engine, state } = setup();
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "hi!" });
+  engine.handleMessage({ topic: "mod_1x1/d_000/will", payload: "byebye" });
+  expect(state().status).toBe("offline");
+});
+
+test("re-sondea periódicamente los dispositivos sin noticias", () => {
+  const { engine, probe, advance } = setup();
+  engine.handleMessage({ topic: "mod_1x1/d_000/answerInfo", payload: "hi!" });
+  engine.tick();
+  expect(probe).not.toHaveBeenCalled();
+
+  advance(11000);
+  engine.tick();
+  expect(probe).toHaveBeenCalledTimes(1);
+
+  advance(5000);
+  engine.tick();
+  expect(probe).toHaveBeenCalledTimes(1);
+
+  advance(10000);
+  engine.tick();
+  expect(probe).toHaveBeenCalledTimes(2);
+});
+
+test("ignora topics de otros dispositivos", () => {
+  const { engine, state } = setup();
+  engine.handleMessage({ topic: "mod_1x1/d_0001/will", payload: "hi!" });
+  expect(state().status).toBe("unknown");
+});
+
+test("presenceThresholds toma solo umbrales conocidos y válidos", () => {
+  expect(presenceThresholds()).toEqual({});
+  expect(
+    presenceThresholds({ staleAfterMs: 30000, offlineAfterMs: "x", probeIntervalMs: -1, foo: 5 })
+  ).toEqual({ staleAfterMs: 30000 });
+});
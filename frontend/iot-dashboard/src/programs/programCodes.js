@@ -0,0 +1,141 @@
+// src/programs/programCodes.js
+// Formato de los programas que entiende la placa:
+//
+//   r[<relé>]<días>:<HH>_<MM>_<duración>
+//
+//   r         prefijo fijo
+//   <relé>    número de relé (opcional, 1 por defecto): r2 → k2
+//   <días>    una o más letras de l m x j v s d (lunes … domingo)
+//   <HH>_<MM> hora de inicio, 00-23 y 00-59
+//   <duración> minutos y/o horas: 30m, 2h, 1h30m (máx. 24h)
+//
+//   rl:07_00_30m     → relé k1, lunes, 07:00 durante 30 min
+//   r3lxv:21_15_1h   → relé k3, lunes/miércoles/viernes, 21:15 durante 1 h
+//
+// Las letras de los días son las de la placa; los mensajes y descripciones salen en el idioma
+// activo.
+import { t } from "../i18n/i18n";
+
+export const DAYS = ["l", "m", "x", "j", "v", "s", "d"];
+export const MAX_DURATION_MIN = 24 * 60;
+
+const CODE_RE = /^r(\d*)([a-z]+):(\d{2})_(\d{2})_((?:\d+h)?(?:\d+m)?)$/;
+
+// Lanza Error con un mensaje legible si el código no es válido
+export function parseProgramCode(code) {
+  const raw = String(code).trim().toLowerCase();
+  const m = raw.match(CODE_RE);
+  if (!m) {
+    throw new Error(t("programs.error.format", { code }));
+  }
+  const [, relayNum, dayLetters, hh, mm, duration] = m;
+
+  const relay = relayNum === "" ? 1 : Number(relayNum);
+  if (relay < 1) throw new Error(t("programs.error.relay", { code }));
+
+  const invalidDays = [...dayLetters].filter((d) => !DAYS.includes(d));
+  if (invalidDays.length) {
+    throw new Error(
+      t("programs.error.days", { code, days: invalidDays.join(", "), valid: DAYS.join(" ") })
+    );
+  }
+  if (new Set(dayLetters).size !== dayLetters.length) {
+    throw new Error(t("programs.error.repeatedDays", { code }));
+  }
+
+  const hour = Number(hh);
+  const minute = Number(mm);
+  if (hour > 23) throw new Error(t("programs.error.hour", { code, hour: hh }));
+  if (minute > 59) throw new Error(t("programs.error.minute", { code, minute: mm }));
+
+  if (!duration) throw new Error(t("programs.error.missingDuration", { code }));
+  const hours = Number((duration.match(/(\d+)h/) || [0, 0])[1]);
+  const mins = Number((duration.match(/(\d+)m/) || [0, 0])[1]);
+  const durationMin = hours * 60 + mins;
+  if (durationMin < 1 || durationMin > MAX_DURATION_MIN) {
+    throw new Error(t("programs.error.duration", { code, max: MAX_DURATION_MIN / 60 }));
+  }
+
+  return {
+    relay: `k${relay}`,
+    days: DAYS.filter((d) => dayLetters.includes(d)),
+    hour,
+    minute,
+    durationMin,
+  };
+}
+
+// Mensaje de error o null si es válido
+export function validateProgramCode(code) {
+  try {
+    parseProgramCode(code);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatDuration(min) {
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return `${h ? `${h}h` : ""}${m ? `${m}m` : ""}`;
+}
+
+// Forma canónica: relé 1 implícito, días en orden lmxjvsd
+export function serializeProgram({ relay, days, hour, minute, durationMin }) {
+  const relayNum = Number(String(relay).replace(/^k/, ""));
+  const code = `r${relayNum === 1 ? "" : relayNum}${DAYS.filter((d) => days.includes(d)).join(
+    ""
+  )}:${pad(hour)}_${pad(minute)}_${formatDuration(durationMin)}`;
+  parseProgramCode(code); // valida antes de devolverlo
+  return code;
+}
+
+// "Relé 1 · lun, mié · 07:00–07:30"
+// Por defecto en el idioma activo; relayName permite usar el nombre que el usuario le haya
+// puesto al relé
+export function describeProgram(
+  { relay, days, hour, minute, durationMin },
+  {
+    dayNames = t("programs.days"),
+    relayName = (key) => t("relay.default", { n: key.slice(1) }),
+  } = {}
+) {
+  const endTotal = hour * 60 + minute + durationMin;
+  const end = `${pad(Math.floor(endTotal / 60) % 24)}:${pad(endTotal % 60)}`;
+  const dayText = days.map((d) => dayNames[DAYS.indexOf(d)]).join(", ");
+  return `${relayName(relay)} · ${dayText} · ${pad(hour)}:${pad(minute)}–${end}${
+    endTotal >= 24 * 60 ? " (+1)" : ""
+  }`;
+}
+
+// Payload de .../programs/list: JSON [{ id, code, desc }] o lista de códigos.
+// Cada entrada trae el programa ya interpretado (parsed) o el error de validación.
+export function parseProgramList(payload) {
+  let list = payload;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      list = list.split(/[;,\n]/);
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((item, i) =>
+      typeof item === "string"
+        ? { id: item.trim(), code: item.trim() }
+        : { id: String(item.id ?? i), code: item.code, desc: item.desc }
+    )
+    .filter((p) => p.code)
+    .map((p) => {
+      try {
+        return { ...p, parsed: parseProgramCode(p.code), error: null };
+      } catch (e) {
+        return { ...p, parsed: null, error: e.message };
+      }
+    });
+}
@@ -0,0 +1,78 @@
+import {
+  describeProgram,
+  parseProgramCode,
+  parseProgramList,
+  serializeProgram,
+  validateProgramCode,
+} from "./programCodes";
+import { setLanguage } from "../i18n/i18n";
+
+test("interpreta el formato de la placa", () => {
+  expect(parseProgramCode("rl:07_00_30m")).toEqual({
+    relay: "k1",
+    days: ["l"],
+    hour: 7,
+    minute: 0,
+    durationMin: 30,
+  });
+  expect(parseProgramCode("r3vlx:21_15_1h30m")).toEqual({
+    relay: "k3",
+    days: ["l", "x", "v"],
+    hour: 21,
+    minute: 15,
+    durationMin: 90,
+  });
+});
+
+test("serializa en forma canónica y es reversible", () => {
+  const program = { relay: "k2", days: ["d", "l"], hour: 6, minute: 5, durationMin: 120 };
+  expect(serializeProgram(program)).toBe("r2ld:06_05_2h");
+  expect(parseProgramCode(serializeProgram(program))).toEqual({ ...program, days: ["l", "d"] });
+  expect(serializeProgram(parseProgramCode("rl:07_00_30m"))).toBe("rl:07_00_30m");
+});
+
+test("da errores claros para códigos mal formados", () => {
+  expect(validateProgramCode("rl:07_00_30m")).toBeNull();
+  expect(validateProgramCode("rl-07:00")).toMatch(/formato/);
+  expect(validateProgramCode("rq:07_00_30m")).toMatch(/Día\(s\) no válido\(s\).*q/);
+  expect(validateProgramCode("rll:07_00_30m")).toMatch(/repetidos/);
+  expect(validateProgramCode("rl:25_00_30m")).toMatch(/Hora no válida/);
+  expect(validateProgramCode("rl:07_60_30m")).toMatch(/Minutos no válidos/);
+  expect(validateProgramCode("rl:07_00_")).toMatch(/Falta la duración/);
+  expect(validateProgramCode("rl:07_00_25h")).toMatch(/Duración no válida/);
+  expect(validateProgramCode("r0l:07_00_30m")).toMatch(/Relé no válido/);
+});
+
+test("describe el programa para la lista", () => {
+  expect(describeProgram(parseProgramCode("rlx:23_30_1h"))).toBe(
+    "Relé 1 · lun, mié · 23:30–00:30 (+1)"
+  );
+});
+
+test("interpreta la lista de programas del dispositivo", () => {
+  const list = parseProgramList(
+    '[{"id":"p1","code":"rl:07_00_30m","desc":"Riego"},{"id":"p2","code":"bad"}]'
+  );
+  expect(list[0]).toMatchObject({ id: "p1", desc: "Riego", error: null, parsed: { relay: "k1" } });
+  expect(list[1]).toMatchObject({
+    id: "p2",
+    parsed: null,
+    error: expect.stringMatching(/formato/),
+  });
+  expect(parseProgramList("rl:07_00_30m;r2d:08_00_1h").map((p) => p.id)).toEqual([
+    "rl:07_00_30m",
+    "r2d:08_00_1h",
+  ]);
+});
+
+test("errores y descripción salen en el idioma activo", () => {
+  setLanguage("en");
+  try {
+    expect(validateProgramCode("rl:25_00_30m")).toBe('Invalid hour in "rl:25_00_30m": 25 (00-23)');
+    expect(describeProgram(parseProgramCode("rlx:07_00_30m"))).toBe(
+      "Relay 1 · Mon, Wed · 07:00–07:30"
+    );
+  } finally {
+    setLanguage("es");
+  }
+});
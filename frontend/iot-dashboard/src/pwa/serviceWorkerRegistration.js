@@ -0,0 +1,74 @@
+// src/pwa/serviceWorkerRegistration.js
+// Registro del service worker (src/service-worker.js) y aviso de versión nueva. Solo en el build
+// de producción: con `npm start` no hay service worker y el dev server sirve siempre lo último.
+//
+// Cuando se despliega un build nuevo, el navegador lo instala en segundo plano y queda esperando;
+// UpdatePrompt lo ofrece y applyUpdate() lo activa y recarga la página.
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // el panel suele quedarse abierto días
+
+let waiting = null; // ServiceWorker instalado que espera para activarse
+const listeners = new Set();
+
+function setWaiting(worker) {
+  waiting = worker;
+  listeners.forEach((l) => l());
+}
+
+export function subscribeUpdate(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// true si hay una versión nueva lista para activarse
+export function getUpdateSnapshot() {
+  return waiting !== null;
+}
+
+export function applyUpdate() {
+  if (!waiting) return;
+  // Al tomar el control el nuevo service worker, se recarga con los ficheros nuevos
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+    once: true,
+  });
+  waiting.postMessage({ type: "SKIP_WAITING" });
+  setWaiting(null);
+}
+
+function watchInstalling(registration) {
+  const worker = registration.installing;
+  if (!worker) return;
+  worker.addEventListener("statechange", () => {
+    // Si no había controlador es la primera instalación: nada que actualizar
+    if (worker.state === "installed" && navigator.serviceWorker.controller) {
+      setWaiting(registration.waiting || worker);
+    }
+  });
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  // Con PUBLIC_URL en otro origen (CDN) el service worker no se puede registrar
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          setWaiting(registration.waiting);
+        }
+        registration.addEventListener("updatefound", () => watchInstalling(registration));
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+      })
+      .catch((error) => console.error("Error registrando el service worker:", error));
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error(error.message));
+}
@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Service worker del panel. CRA lo compila con Workbox (InjectManifest) solo en `npm run build`;
+// self.__WB_MANIFEST es la lista de ficheros del build con su hash.
+//
+//   - App shell: todo el build queda precacheado y cualquier navegación sirve index.html, así
+//     que el panel abre sin conexión (los datos salen de lastKnownStore e IndexedDB).
+//   - config.json: de la red si se puede, si no la última copia.
+//   - Una versión nueva se instala pero espera ("waiting") hasta que el usuario pulsa
+//     «Actualizar» (mensaje SKIP_WAITING desde pwa/serviceWorkerRegistration.js).
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { NetworkFirst, StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Rutas con extensión (/logo192.png) son ficheros, no páginas del panel
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  return !fileExtension.test(url.pathname);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin && url.pathname === `${process.env.PUBLIC_URL}/config.json`,
+  new NetworkFirst({ cacheName: "config", networkTimeoutSeconds: 5 })
+);
+
+// Iconos y demás estáticos de public/ que no van en el precache
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|svg|ico)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "images",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
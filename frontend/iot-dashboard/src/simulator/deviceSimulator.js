@@ -0,0 +1,270 @@
+// src/simulator/deviceSimulator.js
+// Dispositivos simulados en el navegador para desarrollar y hacer demos sin AWS.
+// Contestan como las placas reales:
+//   <prefix>/kN/set       → kN/feedback y kN/status con el nuevo valor
+//   <prefix>/askInfo      → answerInfo "hi!"
+//   <prefix>/programs/get → programs/list (JSON [{ id, code }])
+//   <prefix>/programs/set → programs/ack con el código (si es válido)
+//   <prefix>/programs/del → programs/ack con el id
+// y publican hb periódicamente, will "byebye" al apagarse y will "hi!" al volver.
+// Cada telemetryMs publican también temperature (°C), humidity (%) y current (A, según los relés
+// encendidos), como las placas con sensores.
+//
+// Fallos inyectables (setFaults): latencyMs (+ hasta jitterMs), dropRate (0-1, respuestas que
+// se pierden), disconnectEveryMs (el simulador corta la conexión cada tanto; ver simulatorSocket).
+import { normalizeDevice } from "../config/devices";
+import { getConfig } from "../config/runtimeConfig";
+import { parseOnOff } from "../lib/relayState";
+import { parseProgramCode, serializeProgram } from "../programs/programCodes";
+
+export const SIMULATOR_DEFAULTS = {
+  devices: 3,
+  role: "admin",
+  latencyMs: 300,
+  jitterMs: 200,
+  dropRate: 0,
+  disconnectEveryMs: 0, // 0 = nunca
+  heartbeatMs: 30000,
+  telemetryMs: 10000,
+};
+
+// En modo simulador no hay login de Cognito: se entra con este usuario
+export const SIMULATOR_USER = { userId: "simulator", username: "demo" };
+
+const RELAY_COUNTS = [1, 2, 4];
+
+// sim_01 (1 relé), sim_02 (2 relés), sim_03 (4 relés), sim_04 (1 relé)...
+export function createSimulatedDevices(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const relays = RELAY_COUNTS[i % RELAY_COUNTS.length];
+    const id = `sim_${String(i + 1).padStart(2, "0")}`;
+    return normalizeDevice({ id, model: `mod_1x${relays}`, relays, name: `Simulado ${i + 1}` });
+  });
+}
+
+export function createDeviceSimulator({
+  devices,
+  random = Math.random,
+  now = Date.now,
+  ...options
+}) {
+  let faults = { ...SIMULATOR_DEFAULTS, ...options };
+  const messageListeners = new Set();
+  const disconnectListeners = new Set();
+  const listeners = new Set();
+  const timers = new Set();
+  let heartbeatTimer = null;
+  let telemetryTimer = null;
+  let disconnectTimer = null;
+  let programCounter = 0;
+
+  // Estado de cada dispositivo: { online, relays: { k1: false }, programs }
+  let states = Object.fromEntries(
+    devices.map((d) => [
+      d.id,
+      {
+        online: true,
+        relays: Object.fromEntries(
+          Array.from({ length: d.relays }, (_, i) => [`k${i + 1}`, false])
+        ),
+        programs: [],
+      },
+    ])
+  );
+
+  // Sensores: paseo aleatorio alrededor de valores de interior
+  const sensors = Object.fromEntries(devices.map((d) => [d.id, { temperature: 21, humidity: 50 }]));
+
+  function publishTelemetry(device) {
+    const s = sensors[device.id];
+    s.temperature = Math.min(35, Math.max(10, s.temperature + (random() - 0.5) * 0.6));
+    s.humidity = Math.min(90, Math.max(20, s.humidity + (random() - 0.5) * 2));
+    const on = Object.values(states[device.id].relays).filter(Boolean).length;
+    const current = 0.05 + on * 2.4 + random() * 0.1;
+    reply(device, "temperature", s.temperature.toFixed(1));
+    reply(device, "humidity", s.humidity.toFixed(0));
+    reply(device, "current", current.toFixed(2));
+  }
+
+  // Lo que ve el panel del simulador
+  let snapshot = { devices: states, faults };
+
+  function changed() {
+    snapshot = { devices: states, faults };
+    listeners.forEach((l) => l());
+  }
+
+  function set(id, changes) {
+    states = { ...states, [id]: { ...states[id], ...changes } };
+    changed();
+  }
+
+  function later(fn, delay) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timers.add(timer);
+  }
+
+  function emit(topic, payload) {
+    messageListeners.forEach((l) => l({ topic, payload }));
+  }
+
+  // Respuesta de un dispositivo: con latencia y, según dropRate, puede perderse
+  function reply(device, leaf, payload) {
+    if (random() < faults.dropRate) return;
+    const delay = faults.latencyMs + Math.round(random() * faults.jitterMs);
+    later(() => {
+      if (states[device.id].online) emit(`${device.topicPrefix}/${leaf}`, payload);
+    }, delay);
+  }
+
+  const programList = (device) =>
+    JSON.stringify(states[device.id].programs.map(({ id, code }) => ({ id, code })));
+
+  function handle(device, path, payload) {
+    const state = states[device.id];
+    const relay = path.match(/^(k\d+)\/set$/);
+
+    if (relay) {
+      const value = parseOnOff(payload);
+      if (value === null || !(relay[1] in state.relays)) return;
+      set(device.id, { relays: { ...state.relays, [relay[1]]: value } });
+      const text = value ? "on" : "off";
+      reply(device, `${relay[1]}/feedback`, text);
+      reply(device, `${relay[1]}/status`, text);
+    } else if (path === "askInfo") {
+      reply(device, "answerInfo", "hi!");
+    } else if (path === "programs/get") {
+      reply(device, "programs/list", programList(device));
+    } else if (path === "programs/set") {
+      let code;
+      try {
+        code = serializeProgram(parseProgramCode(payload));
+      } catch (e) {
+        return; // la placa ignora los códigos que no entiende
+      }
+      programCounter += 1;
+      set(device.id, { programs: [...state.programs, { id: `p${programCounter}`, code }] });
+      reply(device, "programs/ack", code);
+    } else if (path === "programs/del") {
+      set(device.id, { programs: state.programs.filter((p) => p.id !== String(payload)) });
+      reply(device, "programs/ack", String(payload));
+    }
+  }
+
+  function scheduleDisconnect() {
+    clearTimeout(disconnectTimer);
+    disconnectTimer = null;
+    if (faults.disconnectEveryMs > 0) {
+      disconnectTimer = setTimeout(() => {
+        simulator.dropConnection();
+        scheduleDisconnect();
+      }, faults.disconnectEveryMs);
+    }
+  }
+
+  const simulator = {
+    devices,
+
+    // Lo que "publica" la app hacia los dispositivos
+    publish(topic, payload) {
+      const device = devices.find((d) => topic.startsWith(`${d.topicPrefix}/`));
+      if (device && states[device.id].online) {
+        handle(device, topic.slice(device.topicPrefix.length + 1), payload);
+      }
+      return Promise.resolve();
+    },
+
+    // listener({ topic, payload }) por cada mensaje de los dispositivos
+    onMessage(listener) {
+      messageListeners.add(listener);
+      return () => messageListeners.delete(listener);
+    },
+
+    onDisconnect(listener) {
+      disconnectListeners.add(listener);
+      return () => disconnectListeners.delete(listener);
+    },
+
+    // Corta la conexión de la app (como una caída de red)
+    dropConnection() {
+      disconnectListeners.forEach((l) => l());
+    },
+
+    // Un dispositivo que se apaga deja su LWT (byebye); al volver saluda con will "hi!"
+    setOnline(deviceId, online) {
+      const device = devices.find((d) => d.id === deviceId);
+      if (!device || states[deviceId].online === online) return;
+      if (!online) emit(`${device.topicPrefix}/will`, "byebye");
+      set(deviceId, { online });
+      if (online) emit(`${device.topicPrefix}/will`, "hi!");
+    },
+
+    setFaults(changes) {
+      faults = { ...faults, ...changes };
+      changed();
+      if ("disconnectEveryMs" in changes && heartbeatTimer) scheduleDisconnect();
+    },
+
+    getFaults() {
+      return faults;
+    },
+
+    start() {
+      if (heartbeatTimer) return;
+      heartbeatTimer = setInterval(() => {
+        devices.forEach((d) => states[d.id].online && reply(d, "hb", String(now())));
+      }, faults.heartbeatMs);
+      telemetryTimer = setInterval(() => {
+        devices.forEach((d) => states[d.id].online && publishTelemetry(d));
+      }, faults.telemetryMs);
+      scheduleDisconnect();
+    },
+
+    stop() {
+      clearInterval(heartbeatTimer);
+      clearInterval(telemetryTimer);
+      clearTimeout(disconnectTimer);
+      heartbeatTimer = null;
+      telemetryTimer = null;
+      disconnectTimer = null;
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // { devices: { [id]: estado }, faults }
+    getSnapshot() {
+      return snapshot;
+    },
+  };
+
+  return simulator;
+}
+
+// Ajustes de config.simulator con los valores por defecto
+export function simulatorSettings() {
+  return { ...SIMULATOR_DEFAULTS, ...getConfig().simulator };
+}
+
+let current = null;
+
+// Simulador de la página (uno para todo el panel), creado con config.simulator
+export function getSimulator() {
+  if (!current) {
+    const { devices: count, role, ...options } = simulatorSettings();
+    current = createDeviceSimulator({ devices: createSimulatedDevices(count), ...options });
+  }
+  return current;
+}
+
+// "Cerrar sesión" en modo simulador: volver a la app sin ?sim
+export function exitSimulator() {
+  window.location.assign(window.location.pathname);
+}
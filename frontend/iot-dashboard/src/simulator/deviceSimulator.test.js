@@ -0,0 +1,111 @@
+import { createDeviceSimulator, createSimulatedDevices, getSimulator } from "./deviceSimulator";
+import { createSimulatorTransport } from "../connection/transport";
+
+jest.mock("aws-amplify/auth", () => ({
+  fetchAuthSession: () => Promise.resolve({}),
+  signOut: jest.fn(),
+}));
+
+const devices = createSimulatedDevices(2);
+const [one, two] = devices;
+
+function setupSimulator(options) {
+  const simulator = createDeviceSimulator({
+    devices,
+    latencyMs: 100,
+    jitterMs: 0,
+    random: () => 0.5,
+    ...options,
+  });
+  const messages = [];
+  simulator.onMessage((m) => messages.push(m));
+  return { simulator, messages };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test("genera N dispositivos con distinto número de relés", () => {
+  expect(createSimulatedDevices(3).map((d) => [d.id, d.relays, d.topicPrefix])).toEqual([
+    ["sim_01", 1, "mod_1x1/sim_01"],
+    ["sim_02", 2, "mod_1x2/sim_02"],
+    ["sim_03", 4, "mod_1x4/sim_03"],
+  ]);
+});
+
+test("acciona relés y contesta al hi con la latencia configurada", () => {
+  const { simulator, messages } = setupSimulator();
+  simulator.publish("mod_1x2/sim_02/k2/set", "ON");
+  simulator.publish("mod_1x1/sim_01/askInfo", "hi");
+  expect(messages).toEqual([]);
+
+  jest.advanceTimersByTime(100);
+  expect(messages).toEqual([
+    { topic: "mod_1x2/sim_02/k2/feedback", payload: "on" },
+    { topic: "mod_1x2/sim_02/k2/status", payload: "on" },
+    { topic: "mod_1x1/sim_01/answerInfo", payload: "hi!" },
+  ]);
+  expect(simulator.getSnapshot().devices.sim_02.relays).toEqual({ k1: false, k2: true });
+});
+
+test("guarda, lista y borra programas confirmando con ack", () => {
+  const { simulator, messages } = setupSimulator();
+  simulator.publish("mod_1x1/sim_01/programs/set", "rl:07_00_30m");
+  simulator.publish("mod_1x1/sim_01/programs/set", "no es un programa");
+  simulator.publish("mod_1x1/sim_01/programs/get", "get");
+  jest.advanceTimersByTime(100);
+  expect(messages).toEqual([
+    { topic: "mod_1x1/sim_01/programs/ack", payload: "rl:07_00_30m" },
+    { topic: "mod_1x1/sim_01/programs/list", payload: '[{"id":"p1","code":"rl:07_00_30m"}]' },
+  ]);
+
+  simulator.publish("mod_1x1/sim_01/programs/del", "p1");
+  simulator.publish("mod_1x1/sim_01/programs/get", "get");
+  jest.advanceTimersByTime(100);
+  expect(messages.slice(2)).toEqual([
+    { topic: "mod_1x1/sim_01/programs/ack", payload: "p1" },
+    { topic: "mod_1x1/sim_01/programs/list", payload: "[]" },
+  ]);
+});
+
+test("pierde respuestas según dropRate y un dispositivo apagado deja su will", () => {
+  const { simulator, messages } = setupSimulator({ dropRate: 0.6 });
+  simulator.publish("mod_1x1/sim_01/askInfo", "hi");
+  jest.advanceTimersByTime(1000);
+  expect(messages).toEqual([]);
+
+  simulator.setFaults({ dropRate: 0 });
+  simulator.setOnline(two.id, false);
+  simulator.publish("mod_1x2/sim_02/askInfo", "hi");
+  simulator.setOnline(two.id, true);
+  jest.advanceTimersByTime(1000);
+  expect(messages).toEqual([
+    { topic: "mod_1x2/sim_02/will", payload: "byebye" },
+    { topic: "mod_1x2/sim_02/will", payload: "hi!" },
+  ]);
+});
+
+test("el transporte simulado entrega las respuestas y reconecta tras un corte", () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  const transport = createSimulatorTransport({ baseDelayMs: 10, maxDelayMs: 10 });
+  const received = jest.fn();
+  transport.subscribe(`${one.topicPrefix}/answerInfo`, received);
+  transport.connect();
+  jest.advanceTimersByTime(1000);
+  expect(transport.getState().status).toBe("open");
+
+  transport.publish(`${one.topicPrefix}/askInfo`, "hi");
+  jest.advanceTimersByTime(1000);
+  expect(received).toHaveBeenCalledWith(
+    { topic: `${one.topicPrefix}/answerInfo`, payload: "hi!" },
+    expect.anything()
+  );
+
+  getSimulator().dropConnection();
+  jest.advanceTimersByTime(0);
+  expect(transport.getState().status).toBe("reconnecting");
+  jest.advanceTimersByTime(1000);
+  expect(transport.getState().status).toBe("open");
+  transport.close();
+  console.log.mockRestore();
+});
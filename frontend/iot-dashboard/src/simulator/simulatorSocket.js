@@ -0,0 +1,44 @@
+// src/simulator/simulatorSocket.js
+// WebSocket falso que habla el protocolo JSON de API Gateway con un simulador de dispositivos,
+// para usar el gestor de conexión de siempre (reconexión, keep-alive, duplicados...) sin red.
+// El simulador puede cortar la conexión (dropConnection) y el gestor reconecta como con el real.
+
+export function createSimulatorSocket(simulator) {
+  return class SimulatorSocket {
+    static OPEN = 1;
+    static CLOSED = 3;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.cleanup = [];
+      this.timer = setTimeout(() => {
+        this.readyState = SimulatorSocket.OPEN;
+        this.cleanup = [
+          simulator.onMessage((message) => {
+            if (this.onmessage) this.onmessage({ data: JSON.stringify(message) });
+          }),
+          simulator.onDisconnect(() => this.finish(1006)),
+        ];
+        if (this.onopen) this.onopen();
+      }, simulator.getFaults().latencyMs);
+    }
+
+    send() {
+      // "ping" de keep-alive: el simulador no lo necesita
+    }
+
+    close(code = 1000) {
+      this.finish(code);
+    }
+
+    finish(code) {
+      if (this.readyState === SimulatorSocket.CLOSED) return;
+      clearTimeout(this.timer);
+      this.cleanup.forEach((unsubscribe) => unsubscribe());
+      this.readyState = SimulatorSocket.CLOSED;
+      // Como un socket real, el cierre se notifica de forma asíncrona
+      setTimeout(() => this.onclose && this.onclose({ code }), 0);
+    }
+  };
+}
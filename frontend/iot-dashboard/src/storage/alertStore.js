@@ -0,0 +1,56 @@
+// src/storage/alertStore.js
+// Historial de alertas (ver alerts/alertEngine.js): se guarda en IndexedDB (en memoria si no está
+// disponible) para ver qué pasó mientras nadie miraba y para recordar los aplazamientos.
+import { isIndexedDbAvailable, withStore } from "./db";
+
+// Las más antiguas se podan para que el historial no crezca sin límite
+export const MAX_ALERTS = 500;
+
+let memory = [];
+
+// Alta o actualización (reconocida, aplazada, repetida...)
+export async function saveAlert(alert) {
+  if (!isIndexedDbAvailable()) {
+    const rest = memory.filter((a) => a.id !== alert.id);
+    memory = [...rest, alert].slice(-MAX_ALERTS);
+    return;
+  }
+  try {
+    await withStore("alerts", "readwrite", (store) => store.put(alert));
+  } catch (e) {
+    console.error("Error guardando la alerta en IndexedDB", e);
+  }
+}
+
+// Las últimas MAX_ALERTS, de la más antigua a la más reciente
+export async function loadAlerts() {
+  if (!isIndexedDbAvailable()) return memory;
+  try {
+    const all = await withStore("alerts", "readonly", (store) => store.index("raisedAt").getAll());
+    const excess = all.slice(0, Math.max(0, all.length - MAX_ALERTS));
+    if (excess.length) {
+      await withStore("alerts", "readwrite", (store) => excess.forEach((a) => store.delete(a.id)));
+    }
+    return all.slice(excess.length);
+  } catch (e) {
+    console.error("Error leyendo las alertas de IndexedDB", e);
+    return [];
+  }
+}
+
+export async function clearAlerts() {
+  if (!isIndexedDbAvailable()) {
+    memory = [];
+    return;
+  }
+  try {
+    await withStore("alerts", "readwrite", (store) => store.clear());
+  } catch (e) {
+    console.error("Error borrando las alertas de IndexedDB", e);
+  }
+}
+
+// Solo para tests
+export function resetAlerts() {
+  memory = [];
+}
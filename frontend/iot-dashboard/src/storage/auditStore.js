@@ -0,0 +1,72 @@
+// src/storage/auditStore.js
+// Registro de auditoría de acciones sobre relés: quién, qué, cuándo, en qué relé y con qué
+// resultado. Se guarda en IndexedDB (en memoria si no está disponible) y no se poda.
+import { isIndexedDbAvailable, withStore } from "./db";
+
+const listeners = new Set();
+let memory = [];
+let memorySeq = 0;
+
+function emit(entry) {
+  listeners.forEach((l) => l(entry));
+}
+
+// listener(entry) en cada alta o actualización
+export function subscribeAudit(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// entry: { username, deviceId, relay, value, note, commandId, outcome, error }
+export async function addAuditEntry(entry) {
+  const record = { ...entry, at: Date.now(), settledAt: null };
+  if (!isIndexedDbAvailable()) {
+    memorySeq += 1;
+    record.id = memorySeq;
+    memory = [...memory, record];
+  } else {
+    try {
+      record.id = await withStore("audit", "readwrite", (store) => store.add(record));
+    } catch (e) {
+      console.error("Error guardando auditoría en IndexedDB", e);
+    }
+  }
+  emit(record);
+  return record;
+}
+
+export async function updateAuditEntry(id, changes) {
+  let record;
+  if (!isIndexedDbAvailable()) {
+    memory = memory.map((e) => (e.id === id ? (record = { ...e, ...changes }) : e));
+  } else {
+    try {
+      const current = await withStore("audit", "readonly", (store) => store.get(id));
+      if (current) {
+        record = { ...current, ...changes };
+        await withStore("audit", "readwrite", (store) => store.put(record));
+      }
+    } catch (e) {
+      console.error("Error actualizando auditoría en IndexedDB", e);
+    }
+  }
+  if (record) emit(record);
+  return record;
+}
+
+// Todas las entradas, de la más antigua a la más reciente
+export async function loadAudit() {
+  if (!isIndexedDbAvailable()) return memory;
+  try {
+    return await withStore("audit", "readonly", (store) => store.index("at").getAll());
+  } catch (e) {
+    console.error("Error leyendo auditoría de IndexedDB", e);
+    return [];
+  }
+}
+
+// Solo para tests
+export function resetAudit() {
+  memory = [];
+  memorySeq = 0;
+}
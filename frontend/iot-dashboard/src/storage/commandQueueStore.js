@@ -0,0 +1,47 @@
+// src/storage/commandQueueStore.js
+// Comandos en cola mientras no hay conexión, para que sobrevivan a una recarga de la página.
+// Se guardan en IndexedDB (en memoria si no está disponible) y se borran al enviarse,
+// cancelarse o caducar.
+import { isIndexedDbAvailable, withStore } from "./db";
+
+let memory = [];
+
+export async function saveQueuedCommand(command) {
+  if (!isIndexedDbAvailable()) {
+    memory = [...memory.filter((c) => c.id !== command.id), command];
+    return;
+  }
+  try {
+    await withStore("commandQueue", "readwrite", (store) => store.put(command));
+  } catch (e) {
+    console.error("Error guardando el comando en cola en IndexedDB", e);
+  }
+}
+
+export async function deleteQueuedCommand(id) {
+  if (!isIndexedDbAvailable()) {
+    memory = memory.filter((c) => c.id !== id);
+    return;
+  }
+  try {
+    await withStore("commandQueue", "readwrite", (store) => store.delete(id));
+  } catch (e) {
+    console.error("Error borrando el comando en cola de IndexedDB", e);
+  }
+}
+
+// Los comandos en cola, del más antiguo al más reciente
+export async function loadQueuedCommands() {
+  if (!isIndexedDbAvailable()) return memory;
+  try {
+    return await withStore("commandQueue", "readonly", (store) => store.index("queuedAt").getAll());
+  } catch (e) {
+    console.error("Error leyendo la cola de comandos de IndexedDB", e);
+    return [];
+  }
+}
+
+// Solo para tests
+export function resetQueuedCommands() {
+  memory = [];
+}
@@ -0,0 +1,59 @@
+// src/storage/db.js
+// Acceso mínimo a IndexedDB (sin librerías). Cada versión del esquema añade
+// sus object stores en onupgradeneeded.
+
+const DB_NAME = "smart-things";
+const DB_VERSION = 5;
+
+let dbPromise = null;
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const messages = db.createObjectStore("messages", { keyPath: "id", autoIncrement: true });
+          messages.createIndex("receivedAt", "receivedAt");
+        }
+        if (event.oldVersion < 2) {
+          const notes = db.createObjectStore("notes", { keyPath: "id", autoIncrement: true });
+          notes.createIndex("at", "at");
+        }
+        if (event.oldVersion < 3) {
+          const audit = db.createObjectStore("audit", { keyPath: "id", autoIncrement: true });
+          audit.createIndex("at", "at");
+        }
+        if (event.oldVersion < 4) {
+          const queue = db.createObjectStore("commandQueue", { keyPath: "id" });
+          queue.createIndex("queuedAt", "queuedAt");
+        }
+        if (event.oldVersion < 5) {
+          const alerts = db.createObjectStore("alerts", { keyPath: "id" });
+          alerts.createIndex("raisedAt", "raisedAt");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Ejecuta fn(store) en una transacción y resuelve al completarse con lo que devuelva fn
+// (si es un IDBRequest, con su result).
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const out = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
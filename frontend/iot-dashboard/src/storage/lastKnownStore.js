@@ -0,0 +1,31 @@
+// src/storage/lastKnownStore.js
+// Últimos datos conocidos, para que el panel abra sin conexión (PWA) con algo que enseñar: la
+// lista de dispositivos de cada usuario y el último estado de cada relé. Van en localStorage
+// porque son pequeños y se necesitan al pintar, sin esperar a IndexedDB.
+const PREFIX = "smart-things:last-known";
+
+function read(key) {
+  try {
+    const raw = window.localStorage.getItem(`${PREFIX}:${key}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("Datos guardados no válidos, se ignoran", e);
+    return null;
+  }
+}
+
+function write(key, value) {
+  try {
+    window.localStorage.setItem(`${PREFIX}:${key}`, JSON.stringify(value));
+  } catch (e) {
+    console.error("No se pudieron guardar los últimos datos conocidos", e);
+  }
+}
+
+// Dispositivos normalizados de la última respuesta de la API, o null
+export const loadLastDevices = (userSub) => read(`devices:${userSub}`);
+export const saveLastDevices = (userSub, devices) => write(`devices:${userSub}`, devices);
+
+// { k1: { status, statusAt, feedback, feedbackAt }, ... } como en useRelayStates
+export const loadLastRelayStates = (deviceId) => read(`relays:${deviceId}`) || {};
+export const saveLastRelayStates = (deviceId, relays) => write(`relays:${deviceId}`, relays);
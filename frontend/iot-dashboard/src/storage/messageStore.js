@@ -0,0 +1,112 @@
+// src/storage/messageStore.js
+// Log persistente de mensajes IoT en IndexedDB con tope de retención.
+// Sin IndexedDB (tests, navegadores privados) se queda en memoria.
+import { isIndexedDbAvailable, withStore } from "./db";
+import { parseTopic } from "../connection/topicRouter";
+
+export const MESSAGE_RETENTION = 50000;
+const PRUNE_MARGIN = 500; // no podar en cada inserción
+
+const listeners = new Set();
+let memory = [];
+let memorySeq = 0;
+let storedCount = null;
+let cache = null; // copia en memoria tras la primera lectura, compartida por log, timeline...
+let loadPromise = null;
+let countPromise = null;
+
+function toRecord(data) {
+  return {
+    topic: data.topic,
+    payload: data.payload,
+    deviceId: parseTopic(data.topic).device,
+    receivedAt: Date.now(),
+  };
+}
+
+async function prune() {
+  const excess = storedCount - MESSAGE_RETENTION;
+  if (excess <= 0) return;
+  await withStore("messages", "readwrite", (store) => {
+    let removed = 0;
+    store.index("receivedAt").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor || removed >= excess) return;
+      cursor.delete();
+      removed += 1;
+      cursor.continue();
+    };
+  });
+  storedCount = MESSAGE_RETENTION;
+}
+
+export function subscribeMessages(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function appendMessage(data) {
+  const record = toRecord(data);
+
+  if (!isIndexedDbAvailable()) {
+    memorySeq += 1;
+    record.id = memorySeq;
+    memory = [...memory, record].slice(-MESSAGE_RETENTION);
+    listeners.forEach((l) => l(record));
+    return record;
+  }
+
+  try {
+    // El recuento se fija una sola vez: las primeras inserciones concurrentes esperan a la
+    // misma lectura y no deben pisar los incrementos de las demás
+    if (storedCount === null) {
+      countPromise =
+        countPromise ||
+        withStore("messages", "readonly", (store) => store.count()).then(
+          (count) => {
+            if (storedCount === null) storedCount = count;
+          },
+          (e) => {
+            countPromise = null;
+            throw e;
+          }
+        );
+      await countPromise;
+    }
+    record.id = await withStore("messages", "readwrite", (store) => store.add(record));
+    storedCount += 1;
+    if (cache && (!cache.length || cache[cache.length - 1].id < record.id)) {
+      cache.push(record);
+      if (cache.length > MESSAGE_RETENTION) cache.splice(0, cache.length - MESSAGE_RETENTION);
+    }
+    if (storedCount > MESSAGE_RETENTION + PRUNE_MARGIN) await prune();
+  } catch (e) {
+    console.error("Error guardando mensaje en IndexedDB", e);
+  }
+  listeners.forEach((l) => l(record));
+  return record;
+}
+
+// Todos los mensajes guardados, del más antiguo al más reciente
+export async function loadMessages() {
+  if (!isIndexedDbAvailable()) return memory;
+  if (!loadPromise) {
+    loadPromise = withStore("messages", "readonly", (store) => store.index("receivedAt").getAll())
+      .then((rows) => {
+        cache = rows;
+      })
+      .catch((e) => {
+        console.error("Error leyendo mensajes de IndexedDB", e);
+        loadPromise = null;
+      });
+  }
+  await loadPromise;
+  return cache ? cache.slice() : [];
+}
+
+export async function clearMessages() {
+  memory = [];
+  storedCount = 0;
+  if (cache) cache = [];
+  if (isIndexedDbAvailable()) await withStore("messages", "readwrite", (store) => store.clear());
+}
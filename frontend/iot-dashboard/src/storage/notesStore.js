@@ -0,0 +1,34 @@
+// src/storage/notesStore.js
+// Notas del operador (se superponen en el timeline en el momento en que se escribieron).
+import { isIndexedDbAvailable, withStore } from "./db";
+
+let memory = [];
+let memorySeq = 0;
+
+export async function addNote({ deviceId, text, relay = null }) {
+  const note = { deviceId, relay, text, at: Date.now() };
+  if (!isIndexedDbAvailable()) {
+    memorySeq += 1;
+    note.id = memorySeq;
+    memory = [...memory, note];
+    return note;
+  }
+  note.id = await withStore("notes", "readwrite", (store) => store.add(note));
+  return note;
+}
+
+// Notas de un dispositivo entre from y to (epoch ms), en orden cronológico
+export async function loadNotes(deviceId, from, to) {
+  let notes = memory;
+  if (isIndexedDbAvailable()) {
+    try {
+      notes = await withStore("notes", "readonly", (store) =>
+        store.index("at").getAll(IDBKeyRange.bound(from, to))
+      );
+    } catch (e) {
+      console.error("Error leyendo notas de IndexedDB", e);
+      return [];
+    }
+  }
+  return notes.filter((n) => n.deviceId === deviceId && n.at >= from && n.at <= to);
+}
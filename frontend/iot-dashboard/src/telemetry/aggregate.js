@@ -0,0 +1,74 @@
+// src/telemetry/aggregate.js
+// Series temporales de los topics numéricos (histórico de messageStore) agregadas por minuto,
+// hora o día con mínimo, máximo y media, para el panel de gráficas.
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+export const BUCKETS = { minute: MIN, hour: HOUR, day: DAY };
+
+// Inicio del intervalo que contiene t, en hora local (los días empiezan a medianoche)
+export function bucketStart(t, bucket) {
+  const d = new Date(t);
+  if (bucket === "minute") d.setSeconds(0, 0);
+  else if (bucket === "hour") d.setMinutes(0, 0, 0);
+  else d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// El intervalo que deja la gráfica legible (como mucho unos cientos de puntos por serie)
+export function autoBucket(span) {
+  if (span <= 12 * HOUR) return "minute";
+  if (span <= 14 * DAY) return "hour";
+  return "day";
+}
+
+// Lecturas numéricas del topic entre from y to: [{ at, value }]
+export function numericPoints(messages, registry, topic, { from = -Infinity, to = Infinity } = {}) {
+  const points = [];
+  messages.forEach((m) => {
+    if (m.topic !== topic || m.receivedAt < from || m.receivedAt > to) return;
+    const { value } = registry.decode(m);
+    if (typeof value === "number" && Number.isFinite(value))
+      points.push({ at: m.receivedAt, value });
+  });
+  return points;
+}
+
+// [{ start, min, max, avg, count }] ordenado por start; los intervalos sin lecturas no aparecen
+export function downsample(points, bucket) {
+  const groups = new Map();
+  points.forEach(({ at, value }) => {
+    const start = bucketStart(at, bucket);
+    const g = groups.get(start);
+    if (g) {
+      g.min = Math.min(g.min, value);
+      g.max = Math.max(g.max, value);
+      g.sum += value;
+      g.count += 1;
+    } else {
+      groups.set(start, { start, min: value, max: value, sum: value, count: 1 });
+    }
+  });
+  return [...groups.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(({ sum, ...g }) => ({ ...g, avg: sum / g.count }));
+}
+
+// Trozos sin huecos: se corta la línea donde faltan intervalos (dispositivo sin datos)
+export function splitGaps(buckets, bucket) {
+  const maxGap = BUCKETS[bucket] * 1.5; // los días con cambio de hora duran 23 o 25 h
+  const runs = [];
+  buckets.forEach((b, i) => {
+    if (i === 0 || b.start - buckets[i - 1].start > maxGap) runs.push([]);
+    runs[runs.length - 1].push(b);
+  });
+  return runs;
+}
+
+// Filas para exportar a CSV: una por intervalo y serie
+export function aggregateRows(series) {
+  return series
+    .flatMap(({ topic, unit, buckets }) => buckets.map((b) => ({ ...b, topic, unit: unit || "" })))
+    .sort((a, b) => a.start - b.start || a.topic.localeCompare(b.topic));
+}
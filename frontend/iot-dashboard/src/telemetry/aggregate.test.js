@@ -0,0 +1,74 @@
+import {
+  aggregateRows,
+  autoBucket,
+  bucketStart,
+  downsample,
+  numericPoints,
+  splitGaps,
+} from "./aggregate";
+import { createDecoderRegistry } from "./decoders";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const base = new Date(2026, 9, 18, 10, 0, 0).getTime(); // 18/10/2026 10:00 hora local
+
+test("agrupa por minuto, hora o día en hora local", () => {
+  const t = base + 25 * MIN + 42 * 1000;
+  expect(bucketStart(t, "minute")).toBe(base + 25 * MIN);
+  expect(bucketStart(t, "hour")).toBe(base);
+  expect(bucketStart(t, "day")).toBe(new Date(2026, 9, 18).getTime());
+  expect(autoBucket(HOUR)).toBe("minute");
+  expect(autoBucket(7 * 24 * HOUR)).toBe("hour");
+  expect(autoBucket(30 * 24 * HOUR)).toBe("day");
+});
+
+test("calcula mínimo, máximo, media y número de lecturas por intervalo", () => {
+  const points = [
+    { at: base + 10 * MIN, value: 20 },
+    { at: base + 70 * MIN, value: 30 },
+    { at: base + 5 * MIN, value: 22 },
+    { at: base + 50 * MIN, value: 18 },
+  ];
+  expect(downsample(points, "hour")).toEqual([
+    { start: base, min: 18, max: 22, avg: 20, count: 3 },
+    { start: base + HOUR, min: 30, max: 30, avg: 30, count: 1 },
+  ]);
+  expect(downsample([], "minute")).toEqual([]);
+});
+
+test("corta la serie donde faltan intervalos", () => {
+  const buckets = [0, 1, 2, 5, 6].map((h) => ({ start: base + h * HOUR }));
+  expect(splitGaps(buckets, "hour").map((run) => run.length)).toEqual([3, 2]);
+  expect(splitGaps([], "hour")).toEqual([]);
+});
+
+test("toma solo las lecturas numéricas del topic dentro del rango", () => {
+  const registry = createDecoderRegistry();
+  const topic = "mod_1x1/sim_01/temperature";
+  const messages = [
+    { topic, payload: "21.5", receivedAt: base },
+    { topic, payload: "caliente", receivedAt: base + MIN },
+    { topic: "mod_1x1/sim_01/humidity", payload: "50", receivedAt: base + MIN },
+    { topic, payload: "22", receivedAt: base + 2 * MIN },
+    { topic, payload: "23", receivedAt: base + 10 * MIN },
+  ];
+  expect(numericPoints(messages, registry, topic, { from: base, to: base + 5 * MIN })).toEqual([
+    { at: base, value: 21.5 },
+    { at: base + 2 * MIN, value: 22 },
+  ]);
+});
+
+test("exporta una fila por intervalo y serie, ordenadas por tiempo", () => {
+  const rows = aggregateRows([
+    {
+      topic: "b/temperature",
+      unit: "°C",
+      buckets: [{ start: base, min: 1, max: 2, avg: 1.5, count: 2 }],
+    },
+    { topic: "a/current", buckets: [{ start: base, min: 0, max: 0, avg: 0, count: 1 }] },
+  ]);
+  expect(rows.map((r) => [r.topic, r.unit])).toEqual([
+    ["a/current", ""],
+    ["b/temperature", "°C"],
+  ]);
+});
@@ -0,0 +1,175 @@
+// src/telemetry/decoders.js
+// Decodificación de payloads por patrón de topic (con + y # de MQTT). Cada decodificador:
+//
+//   { pattern: "+/+/temperature", type: "number", unit: "°C", min: -40, max: 85, label }
+//
+// Tipos:
+//   "string"  texto tal cual
+//   "onoff"   on/off, 1/0, true/false → boolean
+//   "number"  número con unidad ("21.5", "21.5 °C", 21.5 o { "value": 21.5 }); min/max opcionales
+//   "json"    objeto JSON, validado con `schema` (subconjunto de JSON Schema, ver jsonSchema.js)
+//
+// decode() nunca lanza: si el payload no encaja devuelve warnings (en el idioma activo) y lo
+// muestra tal cual.
+// Manda el primer decodificador que encaje: los de config.json ("decoders") van antes que
+// DEFAULT_DECODERS.
+import { validateSchema } from "./jsonSchema";
+import { parseOnOff } from "../lib/relayState";
+import { matchTopic, validatePattern } from "../connection/topicRouter";
+import { getConfig } from "../config/runtimeConfig";
+import { t } from "../i18n/i18n";
+
+export const DECODER_TYPES = ["string", "onoff", "number", "json"];
+
+export const DEFAULT_DECODERS = [
+  { pattern: "+/+/+/status", type: "onoff" },
+  { pattern: "+/+/+/feedback", type: "onoff" },
+  { pattern: "+/+/temperature", type: "number", unit: "°C", min: -40, max: 85 },
+  { pattern: "+/+/humidity", type: "number", unit: "%", min: 0, max: 100 },
+  { pattern: "+/+/current", type: "number", unit: "A", min: 0, max: 16 },
+  {
+    pattern: "+/+/programs/list",
+    type: "json",
+    schema: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "code"],
+        properties: { id: { type: ["string", "integer"] }, code: { type: "string" } },
+      },
+    },
+  },
+  { pattern: "+/+/answerInfo", type: "string" },
+  { pattern: "+/+/will", type: "string" },
+];
+
+const payloadText = (payload) =>
+  typeof payload === "object" && payload !== null ? JSON.stringify(payload) : String(payload);
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// "21.5 °C" → { number: 21.5, unit: "°C" }
+function parseNumber(payload) {
+  if (typeof payload === "number") return { number: payload, unit: null };
+  if (payload && typeof payload === "object" && typeof payload.value === "number") {
+    return { number: payload.value, unit: payload.unit || null };
+  }
+  const match = /^\s*(-?\d+(?:[.,]\d+)?)\s*(\S.*)?$/.exec(String(payload));
+  if (!match) return null;
+  return { number: Number(match[1].replace(",", ".")), unit: match[2] ? match[2].trim() : null };
+}
+
+function decodeNumber(decoder, payload) {
+  const parsed = parseNumber(payload);
+  if (!parsed || !Number.isFinite(parsed.number)) {
+    return {
+      value: null,
+      display: payloadText(payload),
+      warnings: [t("telemetry.warning.notNumber")],
+    };
+  }
+  const warnings = [];
+  const { number, unit } = parsed;
+  if (unit && decoder.unit && unit !== decoder.unit) {
+    warnings.push(t("telemetry.warning.unit", { unit, expected: decoder.unit }));
+  }
+  const below = decoder.min !== undefined && number < decoder.min;
+  const above = decoder.max !== undefined && number > decoder.max;
+  if (below || above) {
+    const range = { min: decoder.min ?? "-∞", max: decoder.max ?? "∞" };
+    warnings.push(t("telemetry.warning.range", range));
+  }
+  const shownUnit = decoder.unit || unit;
+  return {
+    value: number,
+    display: shownUnit ? `${round(number)} ${shownUnit}` : String(round(number)),
+    warnings,
+  };
+}
+
+function decodeJson(decoder, payload) {
+  let value = payload;
+  if (typeof payload === "string") {
+    try {
+      value = JSON.parse(payload);
+    } catch (e) {
+      return { value: null, display: payload, warnings: [t("telemetry.warning.json")] };
+    }
+  }
+  return { value, display: JSON.stringify(value), warnings: validateSchema(decoder.schema, value) };
+}
+
+// { value, display, warnings } del payload según el decodificador
+export function decodePayload(decoder, payload) {
+  switch (decoder.type) {
+    case "onoff": {
+      const value = parseOnOff(payload);
+      return value === null
+        ? { value: null, display: payloadText(payload), warnings: [t("telemetry.warning.onoff")] }
+        : { value, display: value ? "ON" : "OFF", warnings: [] };
+    }
+    case "number":
+      return decodeNumber(decoder, payload);
+    case "json":
+      return decodeJson(decoder, payload);
+    default:
+      return { value: payloadText(payload), display: payloadText(payload), warnings: [] };
+  }
+}
+
+export function validateDecoder(decoder) {
+  if (!decoder || !decoder.pattern) throw new Error(t("telemetry.error.pattern"));
+  validatePattern(decoder.pattern);
+  if (!DECODER_TYPES.includes(decoder.type)) {
+    throw new Error(
+      t("telemetry.error.type", { type: decoder.type, valid: DECODER_TYPES.join(", ") })
+    );
+  }
+  return decoder;
+}
+
+export function createDecoderRegistry(decoders = DEFAULT_DECODERS) {
+  const list = [];
+  const registry = {
+    // Los registrados después tienen menos prioridad
+    register(decoder) {
+      list.push(validateDecoder(decoder));
+      return registry;
+    },
+
+    find(topic) {
+      return list.find((d) => matchTopic(d.pattern, topic)) || null;
+    },
+
+    // { decoder, value, display, warnings }; sin decodificador, el payload como texto
+    decode({ topic, payload }) {
+      const decoder = registry.find(topic || "");
+      if (!decoder)
+        return { decoder: null, value: payload, display: payloadText(payload), warnings: [] };
+      return { decoder, ...decodePayload(decoder, payload) };
+    },
+
+    decoders: () => [...list],
+  };
+  decoders.forEach(registry.register);
+  return registry;
+}
+
+let current = null;
+
+// Registro de la app: config.decoders (config.json) y después los de por defecto
+export function getDecoderRegistry() {
+  if (!current) {
+    const registry = createDecoderRegistry([]);
+    (getConfig().decoders || []).forEach((decoder) => {
+      try {
+        registry.register(decoder);
+      } catch (e) {
+        console.error("Decodificador de config.json no válido, se ignora:", e.message);
+      }
+    });
+    DEFAULT_DECODERS.forEach(registry.register);
+    current = registry;
+  }
+  return current;
+}
@@ -0,0 +1,95 @@
+import { createDecoderRegistry, decodePayload, DEFAULT_DECODERS } from "./decoders";
+import { validateSchema } from "./jsonSchema";
+import { setLanguage } from "../i18n/i18n";
+import { readings, telemetryTopics } from "./series";
+
+const temperature = { pattern: "+/+/temperature", type: "number", unit: "°C", min: -40, max: 85 };
+
+test("decodifica números con o sin unidad y avisa de los que no encajan", () => {
+  expect(decodePayload(temperature, "21.456")).toEqual({
+    value: 21.456,
+    display: "21.46 °C",
+    warnings: [],
+  });
+  expect(decodePayload(temperature, "21,5 °C").value).toBe(21.5);
+  expect(decodePayload(temperature, { value: 19 }).display).toBe("19 °C");
+  expect(decodePayload(temperature, "caliente")).toMatchObject({
+    value: null,
+    display: "caliente",
+    warnings: ["No es un número"],
+  });
+  expect(decodePayload(temperature, "120").warnings).toEqual(["Fuera de rango [-40, 85]"]);
+  expect(decodePayload(temperature, "70 °F").warnings).toEqual(['Unidad "°F", se esperaba "°C"']);
+});
+
+test("decodifica on/off y texto", () => {
+  expect(decodePayload({ type: "onoff" }, "ON")).toMatchObject({ value: true, display: "ON" });
+  expect(decodePayload({ type: "onoff" }, "0").value).toBe(false);
+  expect(decodePayload({ type: "onoff" }, "quizá").warnings).toEqual(["Se esperaba on/off"]);
+  expect(decodePayload({ type: "string" }, "hi!")).toMatchObject({ value: "hi!", warnings: [] });
+});
+
+test("valida JSON con el esquema", () => {
+  const schema = {
+    type: "object",
+    required: ["temp"],
+    properties: { temp: { type: "number", maximum: 50 }, mode: { enum: ["auto", "manual"] } },
+  };
+  expect(validateSchema(schema, { temp: 20, mode: "auto" })).toEqual([]);
+  expect(validateSchema(schema, { temp: "20", mode: "x" })).toEqual([
+    "$.temp: se esperaba number y llegó string",
+    '$.mode: valor no permitido "x"',
+  ]);
+  expect(validateSchema(schema, { temp: 60 })).toEqual(["$.temp: 60 > máximo 50"]);
+  expect(decodePayload({ type: "json", schema }, "{no json").warnings).toEqual(["JSON no válido"]);
+});
+
+test("el registro usa el primer decodificador cuyo patrón encaja", () => {
+  const registry = createDecoderRegistry([
+    { pattern: "mod_1x1/d_000/temperature", type: "number", unit: "°F" },
+    ...DEFAULT_DECODERS,
+  ]);
+  expect(registry.decode({ topic: "mod_1x1/d_000/temperature", payload: "70" }).display).toBe(
+    "70 °F"
+  );
+  expect(registry.decode({ topic: "mod_1x1/d_001/temperature", payload: "21" }).display).toBe(
+    "21 °C"
+  );
+  expect(registry.decode({ topic: "mod_1x1/d_000/k1/status", payload: "on" }).value).toBe(true);
+  expect(registry.decode({ topic: "otro/topic", payload: { a: 1 } })).toMatchObject({
+    decoder: null,
+    display: '{"a":1}',
+  });
+  expect(() => registry.register({ pattern: "a/#/b", type: "number" })).toThrow();
+  expect(() => registry.register({ pattern: "a/b", type: "xml" })).toThrow(/desconocido/);
+});
+
+test("lista los topics de telemetría y sus últimas lecturas", () => {
+  const registry = createDecoderRegistry();
+  const messages = [
+    { topic: "mod_1x1/d_000/temperature", payload: "20", receivedAt: 1 },
+    { topic: "mod_1x1/d_000/k1/status", payload: "on", receivedAt: 2 },
+    { topic: "mod_1x1/d_000/temperature", payload: "error", receivedAt: 3 },
+    { topic: "mod_1x1/d_000/humidity", payload: "55", receivedAt: 4 },
+    { topic: "mod_1x1/d_000/temperature", payload: "22", receivedAt: 5 },
+  ];
+  expect(telemetryTopics(messages, registry, { numeric: true }).map((o) => o.topic)).toEqual([
+    "mod_1x1/d_000/humidity",
+    "mod_1x1/d_000/temperature",
+  ]);
+  expect(telemetryTopics(messages, registry)).toHaveLength(3);
+  expect(readings(messages, registry, "mod_1x1/d_000/temperature", 2)).toEqual([
+    { at: 3, value: null, display: "error", warnings: ["No es un número"] },
+    { at: 5, value: 22, display: "22 °C", warnings: [] },
+  ]);
+});
+
+test("los avisos salen en el idioma activo", () => {
+  setLanguage("en");
+  try {
+    expect(decodePayload(temperature, "120").warnings).toEqual(["Out of range [-40, 85]"]);
+    expect(validateSchema({ required: ["temp"] }, {})).toEqual(['$: missing "temp"']);
+  } finally {
+    setLanguage("es");
+  }
+});
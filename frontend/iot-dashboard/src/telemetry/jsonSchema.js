@@ -0,0 +1,54 @@
+// src/telemetry/jsonSchema.js
+// Validador mínimo de JSON Schema para los payloads de los dispositivos (sin librerías):
+// type (o lista de tipos), properties, required, items, enum, minimum y maximum.
+// Devuelve la lista de problemas ("$.temp: se esperaba number"), vacía si es válido, en el
+// idioma activo (se muestran en el log de mensajes).
+import { t } from "../i18n/i18n";
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+export function validateSchema(schema, value, path = "$") {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      const expected = types.join(" | ");
+      return [t("telemetry.schema.type", { path, expected, actual: typeOf(value) })];
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => v === value)) {
+    errors.push(t("telemetry.schema.enum", { path, value: JSON.stringify(value) }));
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(t("telemetry.schema.minimum", { path, value, limit: schema.minimum }));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(t("telemetry.schema.maximum", { path, value, limit: schema.maximum }));
+    }
+  }
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(t("telemetry.schema.required", { path, key }));
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (key in value) errors.push(...validateSchema(sub, value[key], `${path}.${key}`));
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
@@ -0,0 +1,24 @@
+// src/telemetry/series.js
+// Lecturas decodificadas a partir del histórico de mensajes (messageStore), para los widgets.
+
+// Topics con decodificador, en orden alfabético: [{ topic, decoder }]; numeric: solo "number"
+export function telemetryTopics(messages, registry, { numeric = false } = {}) {
+  const unique = new Set(messages.map((m) => m.topic).filter(Boolean));
+  return [...unique]
+    .sort((a, b) => a.localeCompare(b))
+    .map((topic) => ({ topic, decoder: registry.find(topic) }))
+    .filter(({ decoder }) => decoder && (!numeric || decoder.type === "number"));
+}
+
+// Las últimas `limit` lecturas del topic, de la más antigua a la más reciente:
+// [{ at, value, display, warnings }]. Las que no se pueden decodificar tienen value null.
+export function readings(messages, registry, topic, limit = 60) {
+  const out = [];
+  for (let i = messages.length - 1; i >= 0 && out.length < limit; i--) {
+    const m = messages[i];
+    if (m.topic !== topic) continue;
+    const { value, display, warnings } = registry.decode(m);
+    out.push({ at: m.receivedAt, value, display, warnings });
+  }
+  return out.reverse();
+}